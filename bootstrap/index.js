@@ -182,6 +182,8 @@ class Bootstrap {
       
       console.log('🔌 Initializing Socket.IO...');
       this.io = await initializeSocketIO(this.server);
+      // Expose io to REST routes via req.app.get('io')
+      this.app.set('io', this.io);
       console.log('✅ Socket.IO initialized');
       
       console.log('📚 Setting up middleware stack...');
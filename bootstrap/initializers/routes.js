@@ -9,6 +9,7 @@ const conversationRoutes = require('../../routes/conversation');  // Changed fro
 const messageRoutes = require('../../routes/message');  // Changed from 'messages'
 //const adminRoutes = require('../../routes/admin');
 const notificationsRoutes = require('../../routes/notification');
+const syncRoutes = require('../../routes/sync');
 
 async function setupRoutes(app) {
   const startTime = Date.now();
@@ -98,10 +99,11 @@ function setupAPIRoutes(app) {
   app.use('/api/v1/messages', messageRoutes);
   //app.use('/api/v1/admin', adminRoutes);
   app.use('/api/v1/notifications', notificationsRoutes);
+  app.use('/api/v1/sync', syncRoutes);
   
   logger.info('✅ [Routes] API routes configured', {
     version: 'v1',
-    routes: ['auth', 'users', 'conversations', 'messages', 'admin', 'notifications']
+    routes: ['auth', 'users', 'conversations', 'messages', 'admin', 'notifications', 'sync']
   });
 }
 
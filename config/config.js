@@ -184,6 +184,29 @@ module.exports = {
     offlineMessageTTL: parseInt(process.env.OFFLINE_MESSAGE_TTL || '604800')
   },
 
+  // Messaging Policies
+  messaging: {
+    deleteForEveryoneWindow: parseInt(process.env.DELETE_FOR_EVERYONE_WINDOW || '172800'), // seconds, 0 = unlimited
+    // Edit window in seconds per message type (0 = unlimited); other types cannot be edited.
+    // Quotes can only be edited while pending.
+    editWindows: {
+      text: parseInt(process.env.EDIT_WINDOW_TEXT || '86400'),
+      image: parseInt(process.env.EDIT_WINDOW_IMAGE || '3600'),
+      file: parseInt(process.env.EDIT_WINDOW_FILE || '3600'),
+      quote: parseInt(process.env.EDIT_WINDOW_QUOTE || '86400')
+    },
+    // Pinned messages per conversation, and who may pin: 'participants', 'admins' or 'creator'
+    maxPinnedMessages: parseInt(process.env.MAX_PINNED_MESSAGES || '5'),
+    pinPermission: process.env.PIN_PERMISSION || 'participants',
+    // Invite links: lifetime in hours when none is given, upper bound, and the
+    // link prefix the token is appended to (unset = clients build their own)
+    inviteDefaultTtlHours: parseInt(process.env.INVITE_DEFAULT_TTL_HOURS || '168'),
+    inviteMaxTtlHours: parseInt(process.env.INVITE_MAX_TTL_HOURS || '720'),
+    inviteLinkBaseUrl: process.env.INVITE_LINK_BASE_URL || null,
+    // Conversation labels each user may define
+    maxConversationLabels: parseInt(process.env.MAX_CONVERSATION_LABELS || '50')
+  },
+
   // Security
   security: {
     enableHelmet: process.env.ENABLE_HELMET !== 'false',
@@ -114,6 +114,9 @@ const NOTIFICATION_EVENTS = {
   CHAT_NEW_MESSAGE: 'chat.new_message',
   CHAT_MESSAGE_RECEIVED: 'chat.message_received',
   CHAT_MESSAGE_READ: 'chat.message_read',
+  CHAT_MENTION: 'chat.mention',
+  APPOINTMENT_ACCEPTED: 'appointment.accepted',
+  APPOINTMENT_DECLINED: 'appointment.declined',
   
   // ===== USER EVENTS =====
   USER_ACCOUNT_CREATED: 'user.account_created',
@@ -232,7 +235,10 @@ const EVENT_CATEGORY_MAPPING = {
   chat: [
     'chat.new_message',
     'chat.message_received',
-    'chat.message_read'
+    'chat.message_read',
+    'chat.mention',
+    'appointment.accepted',
+    'appointment.declined'
   ]
 };
 
@@ -261,7 +267,8 @@ const EVENT_PRIORITY_MAPPING = {
     'work.approved',
     'work.rejected',
     'user.account_security',
-    'system.maintenance'
+    'system.maintenance',
+    'chat.mention'
   ],
   
   // LOW PRIORITY EVENTS
@@ -0,0 +1,79 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ConversationInvite = sequelize.define('ConversationInvite', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    token: {
+      type: DataTypes.STRING(64), // Opaque value shared in the invite link
+      allowNull: false,
+      unique: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    maxUses: {
+      type: DataTypes.INTEGER, // null = unlimited
+      allowNull: true
+    },
+    useCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    requiresApproval: {
+      type: DataTypes.BOOLEAN, // Joining creates a join request for admins to decide
+      allowNull: false,
+      defaultValue: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  }, {
+    tableName: 'conversation_invites',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['token']
+      },
+      {
+        fields: ['conversationId', 'createdAt']
+      }
+    ]
+  });
+
+  ConversationInvite.associate = function(models) {
+    ConversationInvite.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      as: 'conversation'
+    });
+    ConversationInvite.belongsTo(models.User, {
+      foreignKey: 'createdBy',
+      as: 'creator'
+    });
+    ConversationInvite.hasMany(models.ConversationJoinRequest, {
+      foreignKey: 'inviteId',
+      as: 'joinRequests'
+    });
+  };
+
+  return ConversationInvite;
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ConversationJoinRequest = sequelize.define('ConversationJoinRequest', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    inviteId: {
+      type: DataTypes.UUID, // Invite the request was made through
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    decidedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    decidedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'conversation_join_requests',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['conversationId', 'status']
+      },
+      {
+        fields: ['inviteId']
+      }
+    ]
+  });
+
+  ConversationJoinRequest.associate = function(models) {
+    ConversationJoinRequest.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      as: 'conversation'
+    });
+    ConversationJoinRequest.belongsTo(models.ConversationInvite, {
+      foreignKey: 'inviteId',
+      as: 'invite'
+    });
+    ConversationJoinRequest.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return ConversationJoinRequest;
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ConversationLabel = sequelize.define('ConversationLabel', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID, // Labels are private to the user who made them
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    color: {
+      type: DataTypes.STRING(7), // #RRGGBB
+      allowNull: true
+    },
+    position: {
+      type: DataTypes.INTEGER, // Display order in the user's inbox
+      allowNull: false,
+      defaultValue: 0
+    }
+  }, {
+    tableName: 'conversation_labels',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'position']
+      }
+    ]
+  });
+
+  ConversationLabel.associate = function(models) {
+    ConversationLabel.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return ConversationLabel;
+};
@@ -16,26 +16,44 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.UUID,
       allowNull: false
     },
+    role: {
+      type: DataTypes.ENUM('owner', 'admin', 'member'),
+      allowNull: false,
+      defaultValue: 'member'
+    },
     unreadCount: {
       type: DataTypes.INTEGER,
       defaultValue: 0
     },
+    unreadMentionCount: {
+      type: DataTypes.INTEGER, // Unread messages that mention this participant
+      defaultValue: 0
+    },
     isBlocked: {
-      type: DataTypes.BOOLEAN,
+      type: DataTypes.BOOLEAN, // Unused; blocking is per user (UserBlock)
       defaultValue: false
     },
     isMuted: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
+    mutedUntil: {
+      type: DataTypes.DATE, // End of a timed mute; null while muted = forever
+      allowNull: true
+    },
     isPinned: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
     },
     notificationEnabled: {
-      type: DataTypes.BOOLEAN,
+      type: DataTypes.BOOLEAN, // Kept in step with notificationLevel ('none' = false)
       defaultValue: true
     },
+    notificationLevel: {
+      type: DataTypes.ENUM('all', 'mentions', 'none'),
+      allowNull: false,
+      defaultValue: 'all'
+    },
     joinedAt: {
       type: DataTypes.DATE,
       allowNull: false,
@@ -48,6 +66,23 @@ module.exports = (sequelize, DataTypes) => {
     lastReadAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    draft: {
+      type: DataTypes.JSON, // Unsent text and reply target, shared across devices
+      allowNull: true
+    },
+    draftUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    archivedAt: {
+      type: DataTypes.DATE, // Hidden from this user's inbox until the next message
+      allowNull: true
+    },
+    labelIds: {
+      type: DataTypes.ARRAY(DataTypes.UUID), // This user's ConversationLabel ids
+      allowNull: false,
+      defaultValue: []
     }
   }, {
     tableName: 'conversation_participants',
@@ -62,6 +97,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['userId', 'isMuted']
+      },
+      {
+        fields: ['conversationId', 'role']
       }
     ]
   });
@@ -87,8 +125,10 @@ module.exports = (sequelize, DataTypes) => {
   
   ConversationParticipant.prototype.updateSettings = async function(settings) {
     if (settings.hasOwnProperty('isMuted')) this.isMuted = settings.isMuted;
+    if (settings.hasOwnProperty('mutedUntil')) this.mutedUntil = settings.mutedUntil;
     if (settings.hasOwnProperty('isPinned')) this.isPinned = settings.isPinned;
     if (settings.hasOwnProperty('notificationEnabled')) this.notificationEnabled = settings.notificationEnabled;
+    if (settings.hasOwnProperty('notificationLevel')) this.notificationLevel = settings.notificationLevel;
     return this.save();
   };
 
@@ -9,7 +9,7 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true
     },
     type: {
-      type: DataTypes.ENUM('job_chat', 'direct_message'),
+      type: DataTypes.ENUM('job_chat', 'direct_message', 'group'),
       defaultValue: 'direct_message',
       allowNull: false
     },
@@ -21,6 +21,18 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    name: {
+      type: DataTypes.STRING(100), // Group conversations only
+      allowNull: true
+    },
+    avatar: {
+      type: DataTypes.STRING(1000),
+      allowNull: true
+    },
+    description: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
     participantIds: {
       type: DataTypes.ARRAY(DataTypes.UUID),
       allowNull: false
@@ -52,6 +64,15 @@ module.exports = (sequelize, DataTypes) => {
     deletedAt: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    messageTtlSeconds: {
+      type: DataTypes.INTEGER, // Disappearing messages retention, null = off
+      allowNull: true
+    },
+    lastMessageSeq: {
+      type: DataTypes.INTEGER, // seq of the newest message
+      allowNull: false,
+      defaultValue: 0
     }
   }, {
     tableName: 'conversations',
@@ -83,6 +104,16 @@ module.exports = (sequelize, DataTypes) => {
       foreignKey: 'conversationId',
       as: 'participants'
     });
+
+    Conversation.hasMany(models.PinnedMessage, {
+      foreignKey: 'conversationId',
+      as: 'pinnedMessages'
+    });
+
+    Conversation.hasMany(models.ConversationInvite, {
+      foreignKey: 'conversationId',
+      as: 'invites'
+    });
     
     Conversation.belongsTo(models.User, {
       foreignKey: 'createdBy',
@@ -122,23 +153,33 @@ module.exports = (sequelize, DataTypes) => {
       participants: participants.map(p => ({
         userId: p.userId,
         role: p.user.role,
+        participantRole: p.role,
         joinedAt: p.joinedAt,
         isActive: !p.leftAt
       })),
       metadata: {
         jobId: this.jobId,
         jobTitle: this.jobTitle,
+        name: this.name,
+        avatar: this.avatar,
+        description: this.description,
         status: this.status,
         createdBy: this.createdBy,
-        closedAt: this.closedAt
+        closedAt: this.closedAt,
+        messageTtlSeconds: this.messageTtlSeconds || null,
+        lastMessageSeq: this.lastMessageSeq || 0
       },
       settings: userParticipation ? {
         isMuted: userParticipation.isMuted,
+        mutedUntil: userParticipation.mutedUntil || null,
         isPinned: userParticipation.isPinned,
-        notificationEnabled: userParticipation.notificationEnabled
+        notificationEnabled: userParticipation.notificationEnabled,
+        notificationLevel: userParticipation.notificationLevel || 'all'
       } : null,
       lastMessage: lastMessage,
       unreadCount: userParticipation ? userParticipation.unreadCount : 0,
+      archivedAt: userParticipation ? userParticipation.archivedAt || null : null,
+      labelIds: userParticipation ? userParticipation.labelIds || [] : [],
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
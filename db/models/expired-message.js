@@ -0,0 +1,39 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ExpiredMessage = sequelize.define('ExpiredMessage', {
+    messageId: {
+      type: DataTypes.UUID, // The purged message; the row itself is gone
+      primaryKey: true
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    messageCreatedAt: {
+      type: DataTypes.DATE, // For the leftAt visibility rule in sync
+      allowNull: false
+    },
+    expiredAt: {
+      type: DataTypes.DATE, // The message's expiresAt, not the purge time
+      allowNull: false
+    }
+  }, {
+    tableName: 'expired_messages',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['conversationId', 'expiredAt']
+      }
+    ]
+  });
+
+  ExpiredMessage.associate = function(models) {
+    ExpiredMessage.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      as: 'conversation'
+    });
+  };
+
+  return ExpiredMessage;
+};
@@ -0,0 +1,48 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const HiddenMessage = sequelize.define('HiddenMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID, // User who deleted the message for themselves
+      allowNull: false
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'hidden_messages',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['messageId', 'userId']
+      },
+      {
+        fields: ['userId', 'createdAt']
+      }
+    ]
+  });
+
+  HiddenMessage.associate = function(models) {
+    HiddenMessage.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+    HiddenMessage.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return HiddenMessage;
+};
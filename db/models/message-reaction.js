@@ -0,0 +1,48 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const MessageReaction = sequelize.define('MessageReaction', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    emoji: {
+      type: DataTypes.STRING(64), // Unicode emoji or custom emoji shortcode
+      allowNull: false
+    }
+  }, {
+    tableName: 'message_reactions',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['messageId', 'userId', 'emoji']
+      },
+      {
+        fields: ['messageId']
+      }
+    ]
+  });
+
+  MessageReaction.associate = function(models) {
+    MessageReaction.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+    MessageReaction.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return MessageReaction;
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const MessageReceipt = sequelize.define('MessageReceipt', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID, // Recipient the receipt belongs to
+      allowNull: false
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'message_receipts',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['messageId', 'userId']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  MessageReceipt.associate = function(models) {
+    MessageReceipt.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+    MessageReceipt.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return MessageReceipt;
+};
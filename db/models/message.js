@@ -1,5 +1,7 @@
 'use strict';
 
+const { Op } = require('sequelize');
+
 module.exports = (sequelize, DataTypes) => {
   const Message = sequelize.define('Message', {
     id: {
@@ -24,11 +26,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
     },
     type: {
-      type: DataTypes.ENUM("text", "image", "file", "emoji", "audio", "system"),
+      type: DataTypes.ENUM("text", "image", "file", "emoji", "audio", "system", "quote", "appointment", "location", "contact", "poll"),
       defaultValue: "text",
     },
     content: {
-      type: DataTypes.JSON, // Stores text, images, audio, replyTo, attachments
+      type: DataTypes.JSON, // Stores text, images, audio, replyTo, attachments, card
       allowNull: true,
     },
     status: {
@@ -46,6 +48,60 @@ module.exports = (sequelize, DataTypes) => {
     isSystemMessage: {
       type: DataTypes.BOOLEAN,
       defaultValue: false
+    },
+    parentMessageId: {
+      type: DataTypes.UUID, // Thread root this message replies to
+      allowNull: true
+    },
+    threadReplyCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0
+    },
+    threadLastReplyAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE, // Set from the conversation's retention at send time
+      allowNull: true
+    },
+    purgeAttempts: {
+      type: DataTypes.INTEGER, // Failed expiry purges (media could not be deleted)
+      allowNull: false,
+      defaultValue: 0
+    },
+    seq: {
+      type: DataTypes.INTEGER, // Strictly increasing per conversation
+      allowNull: true
+    },
+    editCount: {
+      type: DataTypes.INTEGER, // Number of MessageVersion snapshots
+      defaultValue: 0
+    },
+    editedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isEdited: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        return this.getDataValue('editCount') > 0;
+      }
+    },
+    forwardedFromId: {
+      type: DataTypes.UUID, // Message this one was copied from
+      allowNull: true
+    },
+    originalSenderId: {
+      type: DataTypes.UUID, // Author of the first message in a forward chain
+      allowNull: true
+    },
+    isForwarded: {
+      type: DataTypes.VIRTUAL,
+      get() {
+        // The source may be gone; the original sender is kept
+        return !!this.getDataValue('originalSenderId');
+      }
     }
   }, {
     tableName: "messages",
@@ -59,15 +115,43 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['status']
+      },
+      {
+        fields: ['parentMessageId', 'createdAt']
+      },
+      {
+        fields: ['expiresAt']
+      },
+      {
+        fields: ['forwardedFromId']
+      },
+      {
+        unique: true,
+        fields: ['conversationId', 'seq']
+      },
+      {
+        unique: true,
+        fields: ['senderId', 'clientTempId'],
+        where: { clientTempId: { [Op.ne]: null } }
       }
     ]
   });
 
   Message.associate = function(models) {
     Message.belongsTo(models.User, { foreignKey: "senderId", as: "sender" });
+    Message.belongsTo(models.User, { foreignKey: "originalSenderId", as: "originalSender" });
+    Message.belongsTo(models.Message, { foreignKey: "forwardedFromId", as: "forwardedFrom" });
     Message.belongsTo(models.User, { foreignKey: "receiverId", as: "receiver" });
     Message.belongsTo(models.Conversation, { foreignKey: "conversationId", as: "conversation" });
     Message.hasMany(models.MessageVersion, { foreignKey: "messageId", as: "versions" });
+    Message.hasMany(models.MessageReaction, { foreignKey: "messageId", as: "reactions" });
+    Message.hasMany(models.MessageReceipt, { foreignKey: "messageId", as: "receipts" });
+    Message.hasMany(models.HiddenMessage, { foreignKey: "messageId", as: "hiddenFor" });
+    Message.hasMany(models.PollVote, { foreignKey: "messageId", as: "pollVotes" });
+    Message.hasMany(models.StarredMessage, { foreignKey: "messageId", as: "stars" });
+    Message.hasMany(models.PinnedMessage, { foreignKey: "messageId", as: "pins" });
+    Message.belongsTo(models.Message, { foreignKey: "parentMessageId", as: "parentMessage" });
+    Message.hasMany(models.Message, { foreignKey: "parentMessageId", as: "threadReplies" });
   };
 
   // Instance methods
@@ -0,0 +1,52 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PinnedMessage = sequelize.define('PinnedMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    pinnedBy: {
+      type: DataTypes.UUID, // Participant who pinned the message
+      allowNull: false
+    }
+  }, {
+    tableName: 'pinned_messages',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['conversationId', 'messageId']
+      },
+      {
+        fields: ['messageId']
+      }
+    ]
+  });
+
+  PinnedMessage.associate = function(models) {
+    PinnedMessage.belongsTo(models.Conversation, {
+      foreignKey: 'conversationId',
+      as: 'conversation'
+    });
+    PinnedMessage.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+    PinnedMessage.belongsTo(models.User, {
+      foreignKey: 'pinnedBy',
+      as: 'pinner'
+    });
+  };
+
+  return PinnedMessage;
+};
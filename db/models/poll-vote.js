@@ -0,0 +1,48 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const PollVote = sequelize.define('PollVote', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    messageId: {
+      type: DataTypes.UUID, // Poll message
+      allowNull: false
+    },
+    optionId: {
+      type: DataTypes.STRING(36), // Id of an option in content.poll.options
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'poll_votes',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['messageId', 'optionId', 'userId']
+      },
+      {
+        fields: ['messageId', 'userId']
+      }
+    ]
+  });
+
+  PollVote.associate = function(models) {
+    PollVote.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+    PollVote.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return PollVote;
+};
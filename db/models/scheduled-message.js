@@ -0,0 +1,74 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const ScheduledMessage = sequelize.define('ScheduledMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    senderId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    receiverId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    jobId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    payload: {
+      type: DataTypes.JSON, // Same shape as a send_message payload
+      allowNull: false
+    },
+    scheduledFor: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'processing', 'sent', 'cancelled', 'failed'),
+      defaultValue: 'pending'
+    },
+    claimedAt: {
+      type: DataTypes.DATE, // When a worker took it for sending; stale claims are retried
+      allowNull: true
+    },
+    sentMessageId: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    failureReason: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    tableName: 'scheduled_messages',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'scheduledFor']
+      },
+      {
+        fields: ['senderId', 'status']
+      }
+    ]
+  });
+
+  ScheduledMessage.associate = function(models) {
+    ScheduledMessage.belongsTo(models.User, { foreignKey: 'senderId', as: 'sender' });
+    ScheduledMessage.belongsTo(models.Conversation, { foreignKey: 'conversationId', as: 'conversation' });
+    ScheduledMessage.belongsTo(models.Message, { foreignKey: 'sentMessageId', as: 'sentMessage' });
+  };
+
+  return ScheduledMessage;
+};
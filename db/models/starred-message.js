@@ -0,0 +1,51 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const StarredMessage = sequelize.define('StarredMessage', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    messageId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    userId: {
+      type: DataTypes.UUID, // User who saved the message
+      allowNull: false
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'starred_messages',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['messageId', 'userId']
+      },
+      {
+        fields: ['userId', 'createdAt']
+      },
+      {
+        fields: ['conversationId', 'userId']
+      }
+    ]
+  });
+
+  StarredMessage.associate = function(models) {
+    StarredMessage.belongsTo(models.Message, {
+      foreignKey: 'messageId',
+      as: 'message'
+    });
+    StarredMessage.belongsTo(models.User, {
+      foreignKey: 'userId',
+      as: 'user'
+    });
+  };
+
+  return StarredMessage;
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+module.exports = (sequelize, DataTypes) => {
+  const UserBlock = sequelize.define('UserBlock', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    blockerId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    blockedId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    }
+  }, {
+    tableName: 'user_blocks',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['blockerId', 'blockedId']
+      },
+      {
+        fields: ['blockedId']
+      }
+    ]
+  });
+
+  UserBlock.associate = function(models) {
+    UserBlock.belongsTo(models.User, {
+      foreignKey: 'blockerId',
+      as: 'blocker'
+    });
+    UserBlock.belongsTo(models.User, {
+      foreignKey: 'blockedId',
+      as: 'blocked'
+    });
+  };
+
+  return UserBlock;
+};
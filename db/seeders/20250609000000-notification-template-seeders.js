@@ -173,6 +173,9 @@ module.exports = {
         'contract.completed',
         'chat.new_message',
         'chat.message_received',
+        'chat.mention',
+        'appointment.accepted',
+        'appointment.declined',
         'user.account_verified',
         'user.profile_verified',
         'system.announcement',
@@ -299,6 +302,36 @@ module.exports = {
           body: 'You have a new message'
         }
       },
+      'chat.mention': {
+        [APP_IDS.CUSTOMER_APP]: {
+          title: 'You Were Mentioned',
+          body: '{{senderName}} mentioned you: {{messageContent}}'
+        },
+        [APP_IDS.USTA_APP]: {
+          title: 'You Were Mentioned',
+          body: '{{senderName}} mentioned you: {{messageContent}}'
+        }
+      },
+      'appointment.accepted': {
+        [APP_IDS.CUSTOMER_APP]: {
+          title: 'Appointment Accepted',
+          body: '{{actorName}} accepted your appointment proposal'
+        },
+        [APP_IDS.USTA_APP]: {
+          title: 'Appointment Accepted',
+          body: '{{actorName}} accepted your appointment proposal'
+        }
+      },
+      'appointment.declined': {
+        [APP_IDS.CUSTOMER_APP]: {
+          title: 'Appointment Declined',
+          body: '{{actorName}} declined your appointment proposal'
+        },
+        [APP_IDS.USTA_APP]: {
+          title: 'Appointment Declined',
+          body: '{{actorName}} declined your appointment proposal'
+        }
+      },
 
       // System events (both apps, same message)
       'user.account_verified': {
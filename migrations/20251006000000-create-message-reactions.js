@@ -0,0 +1,82 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('message_reactions')) {
+      await queryInterface.createTable('message_reactions', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        messageId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'messages',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        emoji: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- One reaction per emoji per user on a message
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_message_reactions_unique') THEN
+            CREATE UNIQUE INDEX idx_message_reactions_unique ON message_reactions("messageId", "userId", emoji);
+          END IF;
+
+          -- Index for aggregating reactions per message
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_message_reactions_message_id') THEN
+            CREATE INDEX idx_message_reactions_message_id ON message_reactions("messageId");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Message reactions table created successfully');
+    } else {
+      console.log('ℹ️  Message reactions table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_message_reactions_message_id;
+      DROP INDEX IF EXISTS idx_message_reactions_unique;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('message_reactions')) {
+      await queryInterface.dropTable('message_reactions');
+      console.log('✅ Message reactions table dropped successfully');
+    }
+  }
+};
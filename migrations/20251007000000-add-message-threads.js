@@ -0,0 +1,92 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    // Add parentMessageId column
+    if (!messageTableInfo.parentMessageId) {
+      await queryInterface.addColumn('messages', 'parentMessageId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      });
+    }
+
+    // Add threadReplyCount column
+    if (!messageTableInfo.threadReplyCount) {
+      await queryInterface.addColumn('messages', 'threadReplyCount', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      });
+    }
+
+    // Add threadLastReplyAt column
+    if (!messageTableInfo.threadLastReplyAt) {
+      await queryInterface.addColumn('messages', 'threadLastReplyAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_messages_parent_created') THEN
+          CREATE INDEX idx_messages_parent_created ON messages("parentMessageId", "createdAt");
+        END IF;
+      END $$;
+    `);
+
+    // Backfill thread parents from existing content.replyTo references.
+    // Only replies pointing at a message in the same conversation are linked.
+    await queryInterface.sequelize.query(`
+      UPDATE messages AS reply
+      SET "parentMessageId" = COALESCE(parent."parentMessageId", parent.id)
+      FROM messages AS parent
+      WHERE reply."parentMessageId" IS NULL
+        AND reply.content->>'replyTo' = parent.id::text
+        AND reply."conversationId" = parent."conversationId";
+    `);
+
+    await queryInterface.sequelize.query(`
+      UPDATE messages AS parent
+      SET "threadReplyCount" = stats.reply_count,
+          "threadLastReplyAt" = stats.last_reply_at
+      FROM (
+        SELECT "parentMessageId", COUNT(*) AS reply_count, MAX("createdAt") AS last_reply_at
+        FROM messages
+        WHERE "parentMessageId" IS NOT NULL
+        GROUP BY "parentMessageId"
+      ) AS stats
+      WHERE parent.id = stats."parentMessageId";
+    `);
+
+    console.log('✅ Message thread columns added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_messages_parent_created;
+    `);
+
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    if (messageTableInfo.threadLastReplyAt) {
+      await queryInterface.removeColumn('messages', 'threadLastReplyAt');
+    }
+    if (messageTableInfo.threadReplyCount) {
+      await queryInterface.removeColumn('messages', 'threadReplyCount');
+    }
+    if (messageTableInfo.parentMessageId) {
+      await queryInterface.removeColumn('messages', 'parentMessageId');
+    }
+
+    console.log('✅ Message thread columns removed successfully');
+  }
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('message_receipts')) {
+      await queryInterface.createTable('message_receipts', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        messageId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'messages',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        deliveredAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        readAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- One receipt per recipient per message
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_message_receipts_unique') THEN
+            CREATE UNIQUE INDEX idx_message_receipts_unique ON message_receipts("messageId", "userId");
+          END IF;
+
+          -- Index for per-user receipt lookups
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_message_receipts_user_id') THEN
+            CREATE INDEX idx_message_receipts_user_id ON message_receipts("userId");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Message receipts table created successfully');
+    } else {
+      console.log('ℹ️  Message receipts table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_message_receipts_user_id;
+      DROP INDEX IF EXISTS idx_message_receipts_unique;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('message_receipts')) {
+      await queryInterface.dropTable('message_receipts');
+      console.log('✅ Message receipts table dropped successfully');
+    }
+  }
+};
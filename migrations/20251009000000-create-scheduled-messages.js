@@ -0,0 +1,133 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_scheduled_messages_status') THEN
+          CREATE TYPE "enum_scheduled_messages_status" AS ENUM ('pending', 'processing', 'sent', 'cancelled', 'failed');
+        END IF;
+      END $$;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('scheduled_messages')) {
+      await queryInterface.createTable('scheduled_messages', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        senderId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        receiverId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        jobId: {
+          type: Sequelize.UUID,
+          allowNull: true
+        },
+        payload: {
+          type: Sequelize.JSON,
+          allowNull: false
+        },
+        scheduledFor: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'processing', 'sent', 'cancelled', 'failed'),
+          defaultValue: 'pending',
+          allowNull: false
+        },
+        sentMessageId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'messages',
+            key: 'id'
+          },
+          onDelete: 'SET NULL',
+          onUpdate: 'CASCADE'
+        },
+        sentAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        failureReason: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- Index for the worker picking up due messages
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_scheduled_messages_due') THEN
+            CREATE INDEX idx_scheduled_messages_due ON scheduled_messages("scheduledFor") WHERE status = 'pending';
+          END IF;
+
+          -- Index for listing a sender's scheduled messages
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_scheduled_messages_sender_status') THEN
+            CREATE INDEX idx_scheduled_messages_sender_status ON scheduled_messages("senderId", status);
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Scheduled messages table created successfully');
+    } else {
+      console.log('ℹ️  Scheduled messages table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_scheduled_messages_sender_status;
+      DROP INDEX IF EXISTS idx_scheduled_messages_due;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('scheduled_messages')) {
+      await queryInterface.dropTable('scheduled_messages');
+      console.log('✅ Scheduled messages table dropped successfully');
+    }
+
+    await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_scheduled_messages_status";');
+  }
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const conversationTableInfo = await queryInterface.describeTable('conversations');
+
+    // Add messageTtlSeconds column (null = messages never expire)
+    if (!conversationTableInfo.messageTtlSeconds) {
+      await queryInterface.addColumn('conversations', 'messageTtlSeconds', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    // Add expiresAt column
+    if (!messageTableInfo.expiresAt) {
+      await queryInterface.addColumn('messages', 'expiresAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Partial index for the expiry sweep
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_messages_expires_at') THEN
+          CREATE INDEX idx_messages_expires_at ON messages("expiresAt") WHERE "expiresAt" IS NOT NULL;
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Disappearing message columns added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_messages_expires_at;
+    `);
+
+    const messageTableInfo = await queryInterface.describeTable('messages');
+    if (messageTableInfo.expiresAt) {
+      await queryInterface.removeColumn('messages', 'expiresAt');
+    }
+
+    const conversationTableInfo = await queryInterface.describeTable('conversations');
+    if (conversationTableInfo.messageTtlSeconds) {
+      await queryInterface.removeColumn('conversations', 'messageTtlSeconds');
+    }
+
+    console.log('✅ Disappearing message columns removed successfully');
+  }
+};
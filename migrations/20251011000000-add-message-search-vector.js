@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Full-text search over message text and attachment names.
+ *
+ * The "searchVector" column is maintained by a trigger and is intentionally
+ * not mapped on the Message model, so regular queries never load it.
+ *
+ * Albanian: Postgres ships no Albanian stemmer. If the hunspell sq_AL files
+ * have been converted into $SHAREDIR/tsearch_data/sq_al.dict / sq_al.affix the
+ * "albanian" configuration uses them, otherwise it falls back to unstemmed
+ * (simple) matching. Re-run the DO block after installing the files.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Albanian text search configuration
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'albanian') THEN
+          BEGIN
+            CREATE TEXT SEARCH DICTIONARY albanian_hunspell (
+              TEMPLATE = ispell,
+              DictFile = sq_al,
+              AffFile = sq_al
+            );
+            CREATE TEXT SEARCH CONFIGURATION albanian (COPY = simple);
+            ALTER TEXT SEARCH CONFIGURATION albanian
+              ALTER MAPPING FOR asciiword, asciihword, hword_asciipart, word, hword, hword_part
+              WITH albanian_hunspell, simple;
+          EXCEPTION WHEN OTHERS THEN
+            CREATE TEXT SEARCH CONFIGURATION albanian (COPY = simple);
+          END;
+        END IF;
+      END $$;
+    `);
+
+    // 2. Search vector column
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    if (!messageTableInfo.searchVector) {
+      await queryInterface.addColumn('messages', 'searchVector', {
+        type: Sequelize.TSVECTOR,
+        allowNull: true
+      });
+    }
+
+    // 3. Document builder + trigger
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION messages_search_document(body json)
+      RETURNS tsvector AS $$
+      DECLARE
+        message_text text := coalesce(body->>'text', '');
+        attachment_names text := '';
+      BEGIN
+        IF json_typeof(body->'attachments') = 'array' THEN
+          SELECT coalesce(string_agg(coalesce(a->>'name', a->>'originalName', ''), ' '), '')
+          INTO attachment_names
+          FROM json_array_elements(body->'attachments') AS a
+          WHERE json_typeof(a) = 'object';
+        END IF;
+
+        RETURN setweight(to_tsvector('english', message_text), 'A') ||
+               setweight(to_tsvector('albanian', message_text), 'A') ||
+               setweight(to_tsvector('simple', attachment_names), 'B');
+      END;
+      $$ LANGUAGE plpgsql IMMUTABLE;
+    `);
+
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION messages_search_vector_update()
+      RETURNS trigger AS $$
+      BEGIN
+        NEW."searchVector" := messages_search_document(NEW.content);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    const [triggerExists] = await queryInterface.sequelize.query(`
+      SELECT 1 FROM pg_trigger
+      WHERE tgname = 'messages_search_vector_trigger'
+      LIMIT 1;
+    `);
+
+    if (triggerExists.length === 0) {
+      await queryInterface.sequelize.query(`
+        CREATE TRIGGER messages_search_vector_trigger
+        BEFORE INSERT OR UPDATE OF content ON messages
+        FOR EACH ROW
+        EXECUTE PROCEDURE messages_search_vector_update();
+      `);
+    }
+
+    // 4. Backfill without bumping updatedAt
+    await queryInterface.sequelize.query(`
+      ALTER TABLE messages DISABLE TRIGGER update_messages_modtime;
+      UPDATE messages SET "searchVector" = messages_search_document(content) WHERE "searchVector" IS NULL;
+      ALTER TABLE messages ENABLE TRIGGER update_messages_modtime;
+    `);
+
+    // 5. GIN index
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_messages_search_vector') THEN
+          CREATE INDEX idx_messages_search_vector ON messages USING GIN ("searchVector");
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Message full-text search configured successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_messages_search_vector;
+      DROP TRIGGER IF EXISTS messages_search_vector_trigger ON messages;
+      DROP FUNCTION IF EXISTS messages_search_vector_update();
+    `);
+
+    const messageTableInfo = await queryInterface.describeTable('messages');
+    if (messageTableInfo.searchVector) {
+      await queryInterface.removeColumn('messages', 'searchVector');
+    }
+
+    await queryInterface.sequelize.query(`
+      DROP FUNCTION IF EXISTS messages_search_document(json);
+      DROP TEXT SEARCH CONFIGURATION IF EXISTS albanian;
+      DROP TEXT SEARCH DICTIONARY IF EXISTS albanian_hunspell;
+    `);
+
+    console.log('✅ Message full-text search removed successfully');
+  }
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+/**
+ * Per-conversation message sequence numbers.
+ *
+ * messageService assigns seq explicitly inside the send transaction. The
+ * trigger covers every other insert path (queued system messages, batch
+ * sends) so a conversation's sequence never has holes from missing values.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const conversationTableInfo = await queryInterface.describeTable('conversations');
+
+    if (!conversationTableInfo.lastMessageSeq) {
+      await queryInterface.addColumn('conversations', 'lastMessageSeq', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    if (!messageTableInfo.seq) {
+      await queryInterface.addColumn('messages', 'seq', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+
+    // Backfill in createdAt order without bumping updatedAt
+    await queryInterface.sequelize.query(`
+      ALTER TABLE messages DISABLE TRIGGER update_messages_modtime;
+      ALTER TABLE conversations DISABLE TRIGGER update_conversations_modtime;
+
+      UPDATE messages m
+      SET seq = numbered.seq
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY "conversationId" ORDER BY "createdAt", id) AS seq
+        FROM messages
+        WHERE "conversationId" IS NOT NULL
+      ) numbered
+      WHERE m.id = numbered.id AND m.seq IS NULL;
+
+      UPDATE conversations c
+      SET "lastMessageSeq" = latest.seq
+      FROM (
+        SELECT "conversationId", MAX(seq) AS seq
+        FROM messages
+        WHERE "conversationId" IS NOT NULL
+        GROUP BY "conversationId"
+      ) latest
+      WHERE c.id = latest."conversationId";
+
+      ALTER TABLE conversations ENABLE TRIGGER update_conversations_modtime;
+      ALTER TABLE messages ENABLE TRIGGER update_messages_modtime;
+    `);
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_messages_conversation_seq') THEN
+          CREATE UNIQUE INDEX idx_messages_conversation_seq ON messages("conversationId", seq);
+        END IF;
+      END $$;
+    `);
+
+    // Fallback assignment for inserts that did not set seq
+    await queryInterface.sequelize.query(`
+      CREATE OR REPLACE FUNCTION messages_assign_seq()
+      RETURNS trigger AS $$
+      BEGIN
+        IF NEW.seq IS NULL AND NEW."conversationId" IS NOT NULL THEN
+          UPDATE conversations
+          SET "lastMessageSeq" = "lastMessageSeq" + 1
+          WHERE id = NEW."conversationId"
+          RETURNING "lastMessageSeq" INTO NEW.seq;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+    `);
+
+    const [triggerExists] = await queryInterface.sequelize.query(`
+      SELECT 1 FROM pg_trigger
+      WHERE tgname = 'messages_assign_seq_trigger'
+      LIMIT 1;
+    `);
+
+    if (triggerExists.length === 0) {
+      await queryInterface.sequelize.query(`
+        CREATE TRIGGER messages_assign_seq_trigger
+        BEFORE INSERT ON messages
+        FOR EACH ROW
+        EXECUTE PROCEDURE messages_assign_seq();
+      `);
+    }
+
+    console.log('✅ Message sequence numbers added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP TRIGGER IF EXISTS messages_assign_seq_trigger ON messages;
+      DROP FUNCTION IF EXISTS messages_assign_seq();
+      DROP INDEX IF EXISTS idx_messages_conversation_seq;
+    `);
+
+    const messageTableInfo = await queryInterface.describeTable('messages');
+    if (messageTableInfo.seq) {
+      await queryInterface.removeColumn('messages', 'seq');
+    }
+
+    const conversationTableInfo = await queryInterface.describeTable('conversations');
+    if (conversationTableInfo.lastMessageSeq) {
+      await queryInterface.removeColumn('conversations', 'lastMessageSeq');
+    }
+
+    console.log('✅ Message sequence numbers removed successfully');
+  }
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * One message per (senderId, clientTempId) so retried sends are idempotent.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Existing duplicates keep their oldest row; later copies lose the key
+    await queryInterface.sequelize.query(`
+      ALTER TABLE messages DISABLE TRIGGER update_messages_modtime;
+
+      UPDATE messages m
+      SET "clientTempId" = NULL
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY "senderId", "clientTempId" ORDER BY "createdAt", id) AS position
+        FROM messages
+        WHERE "clientTempId" IS NOT NULL
+      ) duplicates
+      WHERE m.id = duplicates.id AND duplicates.position > 1;
+
+      ALTER TABLE messages ENABLE TRIGGER update_messages_modtime;
+    `);
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_messages_sender_client_temp_id') THEN
+          CREATE UNIQUE INDEX idx_messages_sender_client_temp_id
+          ON messages("senderId", "clientTempId")
+          WHERE "clientTempId" IS NOT NULL;
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Message idempotency index created successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_messages_sender_client_temp_id;
+    `);
+
+    console.log('✅ Message idempotency index removed successfully');
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('hidden_messages')) {
+      await queryInterface.createTable('hidden_messages', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        messageId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'messages',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- A message is hidden at most once per user
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_hidden_messages_unique') THEN
+            CREATE UNIQUE INDEX idx_hidden_messages_unique ON hidden_messages("messageId", "userId");
+          END IF;
+
+          -- Index for history/search exclusion and sync
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_hidden_messages_user_created') THEN
+            CREATE INDEX idx_hidden_messages_user_created ON hidden_messages("userId", "createdAt");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Hidden messages table created successfully');
+    } else {
+      console.log('ℹ️  Hidden messages table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_hidden_messages_user_created;
+      DROP INDEX IF EXISTS idx_hidden_messages_unique;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('hidden_messages')) {
+      await queryInterface.dropTable('hidden_messages');
+      console.log('✅ Hidden messages table dropped successfully');
+    }
+  }
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    if (!messageTableInfo.editCount) {
+      await queryInterface.addColumn('messages', 'editCount', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    if (!messageTableInfo.editedAt) {
+      await queryInterface.addColumn('messages', 'editedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    // Backfill from existing edit history without bumping updatedAt
+    await queryInterface.sequelize.query(`
+      ALTER TABLE messages DISABLE TRIGGER update_messages_modtime;
+
+      UPDATE messages m
+      SET "editCount" = history.count,
+          "editedAt" = history.last_edited
+      FROM (
+        SELECT "messageId", COUNT(*) AS count, MAX("editedAt") AS last_edited
+        FROM message_versions
+        GROUP BY "messageId"
+      ) history
+      WHERE m.id = history."messageId";
+
+      ALTER TABLE messages ENABLE TRIGGER update_messages_modtime;
+    `);
+
+    console.log('✅ Message edit tracking columns added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    if (messageTableInfo.editedAt) {
+      await queryInterface.removeColumn('messages', 'editedAt');
+    }
+
+    if (messageTableInfo.editCount) {
+      await queryInterface.removeColumn('messages', 'editCount');
+    }
+
+    console.log('✅ Message edit tracking columns removed successfully');
+  }
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Unread-mention counter per participant and the chat.mention push event.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const participantTableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (!participantTableInfo.unreadMentionCount) {
+      await queryInterface.addColumn('conversation_participants', 'unreadMentionCount', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('notification_events') && tables.includes('notification_templates')) {
+      await queryInterface.sequelize.query(`
+        INSERT INTO notification_events (id, category_id, event_key, event_name, description, default_priority, is_active, created_at, updated_at)
+        SELECT uuid_generate_v4(), c.id, 'chat.mention', 'Chat Mention', 'When a user is mentioned in a chat message', 'high', true, NOW(), NOW()
+        FROM notification_categories c
+        WHERE c.category_key = 'chat'
+        ON CONFLICT (event_key) DO NOTHING;
+      `);
+
+      await queryInterface.sequelize.query(`
+        INSERT INTO notification_templates (id, event_id, app_id, title, body, priority, default_enabled, platforms, created_at, updated_at)
+        SELECT uuid_generate_v4(), e.id, apps.app_id, 'You Were Mentioned', '{{senderName}} mentioned you: {{messageContent}}', 'high', true, '["ios","android"]', NOW(), NOW()
+        FROM notification_events e
+        CROSS JOIN (VALUES ('com.myusta.myusta'), ('com.myusta.myustacustomer')) AS apps(app_id)
+        WHERE e.event_key = 'chat.mention'
+        ON CONFLICT (event_id, app_id) DO NOTHING;
+      `);
+    }
+
+    console.log('✅ Message mention tracking added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('notification_events')) {
+      // Templates cascade with the event
+      await queryInterface.sequelize.query(`
+        DELETE FROM notification_events WHERE event_key = 'chat.mention';
+      `);
+    }
+
+    const participantTableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (participantTableInfo.unreadMentionCount) {
+      await queryInterface.removeColumn('conversation_participants', 'unreadMentionCount');
+    }
+
+    console.log('✅ Message mention tracking removed successfully');
+  }
+};
@@ -0,0 +1,73 @@
+'use strict';
+
+const CARD_TYPES = ['quote', 'appointment', 'location', 'contact'];
+
+const APPOINTMENT_EVENTS = [
+  {
+    key: 'appointment.accepted',
+    name: 'Appointment Accepted',
+    description: 'When an appointment proposal in chat is accepted',
+    title: 'Appointment Accepted',
+    body: '{{actorName}} accepted your appointment proposal'
+  },
+  {
+    key: 'appointment.declined',
+    name: 'Appointment Declined',
+    description: 'When an appointment proposal in chat is declined',
+    title: 'Appointment Declined',
+    body: '{{actorName}} declined your appointment proposal'
+  }
+];
+
+/**
+ * Card message types (quote, appointment, location, contact) and the push
+ * events for answered appointment cards.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // ADD VALUE cannot run inside a transaction block, so one statement each
+    for (const type of CARD_TYPES) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_messages_type" ADD VALUE IF NOT EXISTS '${type}';`
+      );
+    }
+
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('notification_events') && tables.includes('notification_templates')) {
+      for (const event of APPOINTMENT_EVENTS) {
+        await queryInterface.sequelize.query(`
+          INSERT INTO notification_events (id, category_id, event_key, event_name, description, default_priority, is_active, created_at, updated_at)
+          SELECT uuid_generate_v4(), c.id, :key, :name, :description, 'normal', true, NOW(), NOW()
+          FROM notification_categories c
+          WHERE c.category_key = 'chat'
+          ON CONFLICT (event_key) DO NOTHING;
+        `, { replacements: event });
+
+        await queryInterface.sequelize.query(`
+          INSERT INTO notification_templates (id, event_id, app_id, title, body, priority, default_enabled, platforms, created_at, updated_at)
+          SELECT uuid_generate_v4(), e.id, apps.app_id, :title, :body, 'normal', true, '["ios","android"]', NOW(), NOW()
+          FROM notification_events e
+          CROSS JOIN (VALUES ('com.myusta.myusta'), ('com.myusta.myustacustomer')) AS apps(app_id)
+          WHERE e.event_key = :key
+          ON CONFLICT (event_id, app_id) DO NOTHING;
+        `, { replacements: event });
+      }
+    }
+
+    console.log('✅ Card message types added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('notification_events')) {
+      await queryInterface.sequelize.query(`
+        DELETE FROM notification_events WHERE event_key IN ('appointment.accepted', 'appointment.declined');
+      `);
+    }
+
+    // Postgres cannot drop enum values; existing card messages keep their type
+    console.log('✅ Card notification events removed; message type values left in place');
+  }
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * Poll message type and one row per (poll, option, voter).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_messages_type" ADD VALUE IF NOT EXISTS 'poll';`
+    );
+
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('poll_votes')) {
+      await queryInterface.createTable('poll_votes', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        messageId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'messages',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        optionId: {
+          type: Sequelize.STRING(36),
+          allowNull: false
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- One vote per option per user
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_poll_votes_unique') THEN
+            CREATE UNIQUE INDEX idx_poll_votes_unique ON poll_votes("messageId", "optionId", "userId");
+          END IF;
+
+          -- Index for a user's current selection
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_poll_votes_message_user') THEN
+            CREATE INDEX idx_poll_votes_message_user ON poll_votes("messageId", "userId");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Poll votes table created successfully');
+    } else {
+      console.log('ℹ️  Poll votes table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_poll_votes_message_user;
+      DROP INDEX IF EXISTS idx_poll_votes_unique;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('poll_votes')) {
+      await queryInterface.dropTable('poll_votes');
+      console.log('✅ Poll votes table dropped successfully');
+    }
+
+    // Postgres cannot drop enum values; existing poll messages keep their type
+  }
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('starred_messages')) {
+      await queryInterface.createTable('starred_messages', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        messageId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'messages',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- A message is starred at most once per user
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_starred_messages_unique') THEN
+            CREATE UNIQUE INDEX idx_starred_messages_unique ON starred_messages("messageId", "userId");
+          END IF;
+
+          -- Index for the saved-messages list (newest first)
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_starred_messages_user_created') THEN
+            CREATE INDEX idx_starred_messages_user_created ON starred_messages("userId", "createdAt" DESC, id DESC);
+          END IF;
+
+          -- Index for clearing a user's stars when they leave a conversation
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_starred_messages_conversation_user') THEN
+            CREATE INDEX idx_starred_messages_conversation_user ON starred_messages("conversationId", "userId");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Starred messages table created successfully');
+    } else {
+      console.log('ℹ️  Starred messages table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_starred_messages_conversation_user;
+      DROP INDEX IF EXISTS idx_starred_messages_user_created;
+      DROP INDEX IF EXISTS idx_starred_messages_unique;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('starred_messages')) {
+      await queryInterface.dropTable('starred_messages');
+      console.log('✅ Starred messages table dropped successfully');
+    }
+  }
+};
@@ -0,0 +1,88 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('pinned_messages')) {
+      await queryInterface.createTable('pinned_messages', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        messageId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'messages',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        pinnedBy: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- A message is pinned at most once per conversation
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_pinned_messages_unique') THEN
+            CREATE UNIQUE INDEX idx_pinned_messages_unique ON pinned_messages("conversationId", "messageId");
+          END IF;
+
+          -- Index for unpinning when a message is deleted
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_pinned_messages_message') THEN
+            CREATE INDEX idx_pinned_messages_message ON pinned_messages("messageId");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Pinned messages table created successfully');
+    } else {
+      console.log('ℹ️  Pinned messages table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_pinned_messages_message;
+      DROP INDEX IF EXISTS idx_pinned_messages_unique;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('pinned_messages')) {
+      await queryInterface.dropTable('pinned_messages');
+      console.log('✅ Pinned messages table dropped successfully');
+    }
+  }
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    if (!messageTableInfo.forwardedFromId) {
+      await queryInterface.addColumn('messages', 'forwardedFromId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'messages',
+          key: 'id'
+        },
+        // Forwarded copies outlive the message they were copied from
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    if (!messageTableInfo.originalSenderId) {
+      await queryInterface.addColumn('messages', 'originalSenderId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Index for finding the copies of a message
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_messages_forwarded_from') THEN
+          CREATE INDEX idx_messages_forwarded_from ON messages("forwardedFromId") WHERE "forwardedFromId" IS NOT NULL;
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Message forwarding columns added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_messages_forwarded_from;
+    `);
+
+    const messageTableInfo = await queryInterface.describeTable('messages');
+
+    if (messageTableInfo.originalSenderId) {
+      await queryInterface.removeColumn('messages', 'originalSenderId');
+    }
+
+    if (messageTableInfo.forwardedFromId) {
+      await queryInterface.removeColumn('messages', 'forwardedFromId');
+    }
+
+    console.log('✅ Message forwarding columns removed successfully');
+  }
+};
@@ -0,0 +1,37 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const participantTableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (!participantTableInfo.draft) {
+      await queryInterface.addColumn('conversation_participants', 'draft', {
+        type: Sequelize.JSON,
+        allowNull: true
+      });
+    }
+
+    if (!participantTableInfo.draftUpdatedAt) {
+      await queryInterface.addColumn('conversation_participants', 'draftUpdatedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    console.log('✅ Conversation draft columns added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    const participantTableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (participantTableInfo.draftUpdatedAt) {
+      await queryInterface.removeColumn('conversation_participants', 'draftUpdatedAt');
+    }
+
+    if (participantTableInfo.draft) {
+      await queryInterface.removeColumn('conversation_participants', 'draft');
+    }
+
+    console.log('✅ Conversation draft columns removed successfully');
+  }
+};
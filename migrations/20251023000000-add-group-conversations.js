@@ -0,0 +1,110 @@
+'use strict';
+
+/**
+ * Group conversations (name, avatar, description) and owner/admin/member
+ * participant roles. Existing conversations are owned by their creator, or
+ * by the longest-standing participant if the creator has left.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // ADD VALUE cannot run inside a transaction block
+    await queryInterface.sequelize.query(
+      `ALTER TYPE "enum_conversations_type" ADD VALUE IF NOT EXISTS 'group';`
+    );
+
+    const conversationTableInfo = await queryInterface.describeTable('conversations');
+
+    if (!conversationTableInfo.name) {
+      await queryInterface.addColumn('conversations', 'name', {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      });
+    }
+
+    if (!conversationTableInfo.avatar) {
+      await queryInterface.addColumn('conversations', 'avatar', {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      });
+    }
+
+    if (!conversationTableInfo.description) {
+      await queryInterface.addColumn('conversations', 'description', {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      });
+    }
+
+    const participantTableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (!participantTableInfo.role) {
+      await queryInterface.addColumn('conversation_participants', 'role', {
+        type: Sequelize.ENUM('owner', 'admin', 'member'),
+        allowNull: false,
+        defaultValue: 'member'
+      });
+
+      // Backfill owners without bumping updatedAt
+      await queryInterface.sequelize.query(`
+        ALTER TABLE conversation_participants DISABLE TRIGGER update_conversation_participants_modtime;
+
+        UPDATE conversation_participants cp
+        SET role = 'owner'
+        FROM conversations c
+        WHERE c.id = cp."conversationId"
+          AND cp."userId" = c."createdBy"
+          AND cp."leftAt" IS NULL;
+
+        UPDATE conversation_participants
+        SET role = 'owner'
+        WHERE id IN (
+          SELECT DISTINCT ON (p."conversationId") p.id
+          FROM conversation_participants p
+          WHERE p."leftAt" IS NULL
+            AND NOT EXISTS (
+              SELECT 1 FROM conversation_participants o
+              WHERE o."conversationId" = p."conversationId" AND o.role = 'owner'
+            )
+          ORDER BY p."conversationId", p."joinedAt" ASC, p.id ASC
+        );
+
+        ALTER TABLE conversation_participants ENABLE TRIGGER update_conversation_participants_modtime;
+      `);
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Index for role lookups (owner handover, admin lists)
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_participants_role') THEN
+          CREATE INDEX idx_conversation_participants_role ON conversation_participants("conversationId", role);
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Group conversations and participant roles added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_conversation_participants_role;
+    `);
+
+    const participantTableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (participantTableInfo.role) {
+      await queryInterface.removeColumn('conversation_participants', 'role');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_conversation_participants_role";');
+    }
+
+    const conversationTableInfo = await queryInterface.describeTable('conversations');
+
+    for (const column of ['description', 'avatar', 'name']) {
+      if (conversationTableInfo[column]) {
+        await queryInterface.removeColumn('conversations', column);
+      }
+    }
+
+    // Postgres can't drop an enum value; 'group' stays on enum_conversations_type
+    console.log('✅ Group conversations and participant roles removed successfully');
+  }
+};
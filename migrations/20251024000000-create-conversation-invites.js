@@ -0,0 +1,213 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('conversation_invites')) {
+      await queryInterface.createTable('conversation_invites', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        token: {
+          type: Sequelize.STRING(64),
+          allowNull: false
+        },
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        maxUses: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        useCount: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        requiresApproval: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        revokedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        revokedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL',
+          onUpdate: 'CASCADE'
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      console.log('✅ Conversation invites table created successfully');
+    } else {
+      console.log('ℹ️  Conversation invites table already exists, skipping creation');
+    }
+
+    if (!tables.includes('conversation_join_requests')) {
+      await queryInterface.createTable('conversation_join_requests', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        inviteId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversation_invites',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'approved', 'rejected'),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        decidedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'SET NULL',
+          onUpdate: 'CASCADE'
+        },
+        decidedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      console.log('✅ Conversation join requests table created successfully');
+    } else {
+      console.log('ℹ️  Conversation join requests table already exists, skipping creation');
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Tokens are looked up on every join
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_invites_token') THEN
+          CREATE UNIQUE INDEX idx_conversation_invites_token ON conversation_invites(token);
+        END IF;
+
+        -- Index for listing a conversation's invites
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_invites_conversation') THEN
+          CREATE INDEX idx_conversation_invites_conversation ON conversation_invites("conversationId", "createdAt");
+        END IF;
+
+        -- At most one open request per user and conversation
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_join_requests_pending') THEN
+          CREATE UNIQUE INDEX idx_conversation_join_requests_pending
+            ON conversation_join_requests("conversationId", "userId")
+            WHERE status = 'pending';
+        END IF;
+
+        -- Index for the admins' list of open requests
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_join_requests_status') THEN
+          CREATE INDEX idx_conversation_join_requests_status ON conversation_join_requests("conversationId", status);
+        END IF;
+
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_join_requests_invite') THEN
+          CREATE INDEX idx_conversation_join_requests_invite ON conversation_join_requests("inviteId");
+        END IF;
+      END $$;
+    `);
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_conversation_join_requests_invite;
+      DROP INDEX IF EXISTS idx_conversation_join_requests_status;
+      DROP INDEX IF EXISTS idx_conversation_join_requests_pending;
+      DROP INDEX IF EXISTS idx_conversation_invites_conversation;
+      DROP INDEX IF EXISTS idx_conversation_invites_token;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('conversation_join_requests')) {
+      await queryInterface.dropTable('conversation_join_requests');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_conversation_join_requests_status";');
+      console.log('✅ Conversation join requests table dropped successfully');
+    }
+
+    if (tables.includes('conversation_invites')) {
+      await queryInterface.dropTable('conversation_invites');
+      console.log('✅ Conversation invites table dropped successfully');
+    }
+  }
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('user_blocks')) {
+      await queryInterface.createTable('user_blocks', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        blockerId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        blockedId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- A user blocks another user at most once
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_user_blocks_unique') THEN
+            CREATE UNIQUE INDEX idx_user_blocks_unique ON user_blocks("blockerId", "blockedId");
+          END IF;
+
+          -- Index for finding who blocked a user (presence and typing fan-out)
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_user_blocks_blocked') THEN
+            CREATE INDEX idx_user_blocks_blocked ON user_blocks("blockedId");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ User blocks table created successfully');
+    } else {
+      console.log('ℹ️  User blocks table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_user_blocks_blocked;
+      DROP INDEX IF EXISTS idx_user_blocks_unique;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('user_blocks')) {
+      await queryInterface.dropTable('user_blocks');
+      console.log('✅ User blocks table dropped successfully');
+    }
+  }
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Timed mutes (mutedUntil) and a per-conversation notification level.
+ * Participants who turned notifications off start at level 'none'.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (!tableInfo.mutedUntil) {
+      await queryInterface.addColumn('conversation_participants', 'mutedUntil', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    if (!tableInfo.notificationLevel) {
+      await queryInterface.addColumn('conversation_participants', 'notificationLevel', {
+        type: Sequelize.ENUM('all', 'mentions', 'none'),
+        allowNull: false,
+        defaultValue: 'all'
+      });
+
+      // Backfill without bumping updatedAt
+      await queryInterface.sequelize.query(`
+        ALTER TABLE conversation_participants DISABLE TRIGGER update_conversation_participants_modtime;
+
+        UPDATE conversation_participants
+        SET "notificationLevel" = 'none'
+        WHERE "notificationEnabled" = false;
+
+        ALTER TABLE conversation_participants ENABLE TRIGGER update_conversation_participants_modtime;
+      `);
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Index for the sweep that ends timed mutes
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_participants_muted_until') THEN
+          CREATE INDEX idx_conversation_participants_muted_until
+            ON conversation_participants("mutedUntil")
+            WHERE "isMuted" = true AND "mutedUntil" IS NOT NULL;
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Mute expiry and notification level added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_conversation_participants_muted_until;
+    `);
+
+    const tableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (tableInfo.notificationLevel) {
+      await queryInterface.removeColumn('conversation_participants', 'notificationLevel');
+      await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_conversation_participants_notificationLevel";');
+    }
+
+    if (tableInfo.mutedUntil) {
+      await queryInterface.removeColumn('conversation_participants', 'mutedUntil');
+    }
+
+    console.log('✅ Mute expiry and notification level removed successfully');
+  }
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+/**
+ * Per-user inbox organisation: archivedAt and labelIds on the participant
+ * row, and the user's own label definitions.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('conversation_labels')) {
+      await queryInterface.createTable('conversation_labels', {
+        id: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'users',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        color: {
+          type: Sequelize.STRING(7),
+          allowNull: true
+        },
+        position: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false,
+          defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+        }
+      });
+
+      console.log('✅ Conversation labels table created successfully');
+    } else {
+      console.log('ℹ️  Conversation labels table already exists, skipping creation');
+    }
+
+    const tableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (!tableInfo.archivedAt) {
+      await queryInterface.addColumn('conversation_participants', 'archivedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    if (!tableInfo.labelIds) {
+      await queryInterface.addColumn('conversation_participants', 'labelIds', {
+        type: Sequelize.ARRAY(Sequelize.UUID),
+        allowNull: false,
+        defaultValue: []
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Label names are unique per user, ignoring case
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_labels_user_name') THEN
+          CREATE UNIQUE INDEX idx_conversation_labels_user_name ON conversation_labels("userId", LOWER(name));
+        END IF;
+
+        -- Index for listing a user's labels in display order
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_labels_user_position') THEN
+          CREATE INDEX idx_conversation_labels_user_position ON conversation_labels("userId", position);
+        END IF;
+
+        -- Index for the inbox's archived / not archived split
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_participants_user_archived') THEN
+          CREATE INDEX idx_conversation_participants_user_archived
+            ON conversation_participants("userId", "archivedAt");
+        END IF;
+
+        -- Index for filtering the inbox by label
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_conversation_participants_label_ids') THEN
+          CREATE INDEX idx_conversation_participants_label_ids
+            ON conversation_participants USING GIN ("labelIds");
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Conversation archive and labels added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_conversation_participants_label_ids;
+      DROP INDEX IF EXISTS idx_conversation_participants_user_archived;
+      DROP INDEX IF EXISTS idx_conversation_labels_user_position;
+      DROP INDEX IF EXISTS idx_conversation_labels_user_name;
+    `);
+
+    const tableInfo = await queryInterface.describeTable('conversation_participants');
+
+    if (tableInfo.labelIds) {
+      await queryInterface.removeColumn('conversation_participants', 'labelIds');
+    }
+
+    if (tableInfo.archivedAt) {
+      await queryInterface.removeColumn('conversation_participants', 'archivedAt');
+    }
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('conversation_labels')) {
+      await queryInterface.dropTable('conversation_labels');
+      console.log('✅ Conversation labels table dropped successfully');
+    }
+
+    console.log('✅ Conversation archive and labels removed successfully');
+  }
+};
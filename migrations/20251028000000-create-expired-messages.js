@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Tombstones for purged disappearing messages, so devices that were
+ * offline when a message expired learn to drop it on their next sync.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tables = await queryInterface.showAllTables();
+
+    if (!tables.includes('expired_messages')) {
+      await queryInterface.createTable('expired_messages', {
+        messageId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          allowNull: false
+        },
+        conversationId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: {
+            model: 'conversations',
+            key: 'id'
+          },
+          onDelete: 'CASCADE',
+          onUpdate: 'CASCADE'
+        },
+        messageCreatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        expiredAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.sequelize.query(`
+        DO $$ BEGIN
+          -- Index for sync: expirations per conversation since a cursor
+          IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_expired_messages_conversation_expired') THEN
+            CREATE INDEX idx_expired_messages_conversation_expired ON expired_messages("conversationId", "expiredAt");
+          END IF;
+        END $$;
+      `);
+
+      console.log('✅ Expired messages table created successfully');
+    } else {
+      console.log('ℹ️  Expired messages table already exists, skipping creation');
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_expired_messages_conversation_expired;
+    `);
+
+    const tables = await queryInterface.showAllTables();
+    if (tables.includes('expired_messages')) {
+      await queryInterface.dropTable('expired_messages');
+      console.log('✅ Expired messages table dropped successfully');
+    }
+  }
+};
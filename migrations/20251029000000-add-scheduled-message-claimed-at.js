@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * claimedAt on scheduled messages, so claims left behind by a crashed
+ * worker can be detected and the messages re-queued.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tableInfo = await queryInterface.describeTable('scheduled_messages');
+
+    if (!tableInfo.claimedAt) {
+      await queryInterface.addColumn('scheduled_messages', 'claimedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Index for finding stale claims
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_scheduled_messages_claimed') THEN
+          CREATE INDEX idx_scheduled_messages_claimed ON scheduled_messages("claimedAt") WHERE status = 'processing';
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Scheduled message claimedAt added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_scheduled_messages_claimed;
+    `);
+
+    const tableInfo = await queryInterface.describeTable('scheduled_messages');
+
+    if (tableInfo.claimedAt) {
+      await queryInterface.removeColumn('scheduled_messages', 'claimedAt');
+    }
+
+    console.log('✅ Scheduled message claimedAt removed successfully');
+  }
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * purgeAttempts on messages: expired messages whose media could not be
+ * deleted are retried after the rest of the backlog instead of before it.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tableInfo = await queryInterface.describeTable('messages');
+
+    if (!tableInfo.purgeAttempts) {
+      await queryInterface.addColumn('messages', 'purgeAttempts', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    await queryInterface.sequelize.query(`
+      DO $$ BEGIN
+        -- Index for the expiry sweep's batch order
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_messages_purge_order') THEN
+          CREATE INDEX idx_messages_purge_order ON messages("purgeAttempts", "expiresAt") WHERE "expiresAt" IS NOT NULL;
+        END IF;
+      END $$;
+    `);
+
+    console.log('✅ Message purgeAttempts added successfully');
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(`
+      DROP INDEX IF EXISTS idx_messages_purge_order;
+    `);
+
+    const tableInfo = await queryInterface.describeTable('messages');
+
+    if (tableInfo.purgeAttempts) {
+      await queryInterface.removeColumn('messages', 'purgeAttempts');
+    }
+
+    console.log('✅ Message purgeAttempts removed successfully');
+  }
+};
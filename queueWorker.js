@@ -16,6 +16,13 @@ const { ExpressAdapter } = require('@bull-board/express');
 const messageQueueService = require('./services/queue/MessageQueueService');
 const presenceQueueService = require('./services/queue/PresenceQueueService');
 const notificationQueueService = require('./services/queue/notificationQueueService');
+const scheduledMessageService = require('./services/socket/scheduledMessageService');
+const retentionService = require('./services/socket/retentionService');
+const muteService = require('./services/socket/muteService');
+const { createWorkerIO } = require('./socket/workerEmitter');
+
+// Socket.IO emitter used by jobs that broadcast to clients (scheduled messages)
+let workerIO = null;
 
 // Initialize all services at startup
 async function initializeQueueServices() {
@@ -30,6 +37,9 @@ async function initializeQueueServices() {
     // Start processing with each service
     await messageQueueService.start();
     await presenceQueueService.start();
+
+    workerIO = await createWorkerIO();
+    messageQueueService.setIO(workerIO);
     
     logger.info('All queue services initialized and started successfully');
   } catch (error) {
@@ -162,6 +172,48 @@ setInterval(async () => {
   }
 }, 5000); // Process every 5 seconds
 
+// Release due scheduled messages periodically
+setInterval(async () => {
+  if (!workerIO) {
+    return; // Still initializing
+  }
+  try {
+    await scheduledMessageService.processDueMessages(workerIO);
+  } catch (error) {
+    logger.error(`Error processing scheduled messages: ${error.message}`, {
+      error: error.stack
+    });
+  }
+}, config.queue?.scheduledMessageInterval || 15000); // Check every 15 seconds
+
+// Purge expired (disappearing) messages periodically
+setInterval(async () => {
+  if (!workerIO) {
+    return; // Still initializing
+  }
+  try {
+    await retentionService.purgeExpiredMessages(workerIO);
+  } catch (error) {
+    logger.error(`Error purging expired messages: ${error.message}`, {
+      error: error.stack
+    });
+  }
+}, config.queue?.messageExpiryInterval || 60000); // Sweep every minute
+
+// Lift timed conversation mutes that have run out
+setInterval(async () => {
+  if (!workerIO) {
+    return; // Still initializing
+  }
+  try {
+    await muteService.releaseExpiredMutes(workerIO);
+  } catch (error) {
+    logger.error(`Error releasing expired mutes: ${error.message}`, {
+      error: error.stack
+    });
+  }
+}, config.queue?.muteExpiryInterval || 60000); // Sweep every minute
+
 // Process presence queue cleanup periodically
 setInterval(async () => {
   try {
@@ -209,6 +261,11 @@ const shutdown = async () => {
       logger.info('Presence queue service stopped');
     }
 
+    if (workerIO) {
+      await new Promise(resolve => workerIO.close(resolve));
+      logger.info('Worker Socket.IO emitter closed');
+    }
+
     // Close queue service last
     await queueService.close();
     logger.info('Queue closed gracefully');
@@ -8,10 +8,24 @@ const logger = require('../utils/logger');
 const { authenticate } = require('../middleware/authentication');
 const redisService = require('../services/redis');
 const queueService = require('../services/queue/queueService');
+const searchService = require('../services/search.service');
+const { resolveSearchFilters } = require('../utils/searchFilters');
+const deletionService = require('../services/socket/deletionService');
+const pinService = require('../services/socket/pinService');
+const draftService = require('../services/socket/draftService');
+const groupService = require('../services/socket/groupService');
+const inviteService = require('../services/socket/inviteService');
+const blockService = require('../services/socket/blockService');
+const muteService = require('../services/socket/muteService');
+const inboxService = require('../services/socket/inboxService');
+const receiptService = require('../services/socket/receiptService');
+const { CONVERSATION_TYPES } = groupService;
 
 const { asyncHandler, createOperationalError, createSystemError } = require('../middleware/exceptionHandler');
 
 // Get all conversations for current user
+// Inbox filters: archived ('false' by default, 'true' or 'all'), labelId,
+// unreadOnly, pinnedFirst (default true) and jobId
 router.get('/', 
   authenticate, 
   asyncHandler(async (req, res) => {
@@ -21,7 +35,12 @@ router.get('/',
       type, 
       status, 
       isPinned,
-      isMuted 
+      isMuted,
+      archived,
+      labelId,
+      unreadOnly,
+      pinnedFirst,
+      jobId
     } = req.query;
     const userId = req.user.id;
     
@@ -33,6 +52,11 @@ router.get('/',
       status,
       isPinned,
       isMuted,
+      archived,
+      labelId,
+      unreadOnly,
+      pinnedFirst,
+      jobId,
       userObject: req.user
     });
     
@@ -51,8 +75,8 @@ router.get('/',
     }
     
     // Validate filters
-    if (type && !['job_chat', 'direct_message'].includes(type)) {
-      throw createOperationalError('Invalid type. Must be job_chat or direct_message', 400, 'INVALID_TYPE');
+    if (type && !CONVERSATION_TYPES.includes(type)) {
+      throw createOperationalError('Invalid type. Must be job_chat, direct_message or group', 400, 'INVALID_TYPE');
     }
     
     if (status && !['active', 'closed', 'archived'].includes(status)) {
@@ -84,8 +108,14 @@ router.get('/',
         throw new Error('Database models not initialized');
       }
       
-      // Build participant query conditions
-      const participantWhere = { userId };
+      // Build participant and conversation query conditions
+      const { participantWhere, conversationWhere, order } = inboxService.buildListQuery(userId, {
+        archived,
+        labelId,
+        unreadOnly,
+        pinnedFirst,
+        jobId
+      });
       if (isPinned !== undefined) {
         participantWhere.isPinned = isPinned === 'true';
       }
@@ -93,8 +123,6 @@ router.get('/',
         participantWhere.isMuted = isMuted === 'true';
       }
       
-      // Build conversation query conditions
-      const conversationWhere = {};
       if (type) {
         conversationWhere.type = type;
       }
@@ -123,13 +151,16 @@ router.get('/',
             limit: 1,
             order: [['createdAt', 'DESC']],
             required: false,
-            where: { deleted: false }
+            where: {
+              deleted: false,
+              [Op.or]: [
+                { expiresAt: null },
+                { expiresAt: { [Op.gt]: new Date() } }
+              ]
+            }
           }]
         }],
-        order: [
-          ['isPinned', 'DESC'],
-          [{model: Conversation, as: 'conversation'}, 'lastMessageAt', 'DESC']
-        ],
+        order,
         limit: parsedLimit,
         offset: parsedOffset
       });
@@ -175,6 +206,7 @@ router.get('/',
         const participants = allParticipants.map(p => ({
           userId: p.userId,
           role: p.user.role,
+          participantRole: p.role,
           joinedAt: p.joinedAt,
           isActive: !p.leftAt,
           // Additional fields for UI
@@ -215,15 +247,18 @@ router.get('/',
             jobTitle: conversation.jobTitle,
             status: conversation.status || 'active',
             createdBy: conversation.createdBy || conversation.participantIds[0],
-            closedAt: conversation.closedAt
-          },
-          settings: {
-            isMuted: participation.isMuted || false,
-            isPinned: participation.isPinned || false,
-            notificationEnabled: participation.notificationEnabled !== false
+            closedAt: conversation.closedAt,
+            name: conversation.name,
+            avatar: conversation.avatar,
+            description: conversation.description
           },
+          settings: muteService.formatSettings(participation),
           lastMessage,
           unreadCount: participation.unreadCount || 0,
+          unreadMentionCount: participation.unreadMentionCount || 0,
+          draft: participation.draft || null,
+          archivedAt: participation.archivedAt || null,
+          labelIds: participation.labelIds || [],
           createdAt: conversation.createdAt,
           updatedAt: conversation.updatedAt
         };
@@ -292,6 +327,302 @@ router.get('/',
   })
 );
 
+/**
+ * @route GET /api/v1/conversations/search
+ * @desc Search conversations by job title or participant name. Supports the
+ *       message search filters inline or as parameters; type and has match
+ *       conversations containing such a message, before/after use lastMessageAt
+ * @access Private
+ */
+router.get('/search', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { query, limit = 20, offset = 0 } = req.query;
+    const userId = req.user.id;
+    
+    if (query !== undefined && typeof query !== 'string') {
+      throw createOperationalError('Search query must be a string', 400, 'INVALID_QUERY');
+    }
+    
+    const { text, filters } = resolveSearchFilters(req.query);
+    
+    if (text.length < 2 && Object.keys(filters).length === 0) {
+      throw createOperationalError('Search query must be at least 2 characters or include a filter', 400, 'INVALID_QUERY');
+    }
+    
+    // Validate pagination
+    const parsedLimit = parseInt(limit);
+    const parsedOffset = parseInt(offset);
+    
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+      throw createOperationalError('Limit must be a number between 1 and 100', 400, 'INVALID_LIMIT');
+    }
+    
+    if (isNaN(parsedOffset) || parsedOffset < 0) {
+      throw createOperationalError('Offset must be a non-negative number', 400, 'INVALID_OFFSET');
+    }
+    
+    try {
+      const db = require('../db/models');
+      const { Conversation, ConversationParticipant, User } = db;
+      
+      const { conversationIds, total } = await searchService.searchConversations(userId, {
+        query: text,
+        filters,
+        limit: parsedLimit,
+        offset: parsedOffset
+      });
+      
+      const participations = conversationIds.length > 0
+        ? await ConversationParticipant.findAll({
+          where: { userId, conversationId: { [Op.in]: conversationIds } },
+          include: [{
+            model: Conversation,
+            as: 'conversation'
+          }]
+        })
+        : [];
+      
+      // Keep the ranking order from the search
+      participations.sort((a, b) =>
+        conversationIds.indexOf(a.conversationId) - conversationIds.indexOf(b.conversationId)
+      );
+      
+      // Format results
+      const results = await Promise.all(participations.map(async (participation) => {
+        const conversation = participation.conversation;
+        if (!conversation) return null;
+        
+        // Get participants
+        const allParticipants = await ConversationParticipant.findAll({
+          where: { conversationId: conversation.id },
+          include: [{
+            model: User,
+            as: 'user',
+            attributes: ['id', 'name', 'avatar', 'role']
+          }]
+        });
+        
+        const participants = allParticipants.map(p => ({
+          userId: p.userId,
+          role: p.user.role,
+          participantRole: p.role,
+          joinedAt: p.joinedAt,
+          isActive: !p.leftAt,
+          name: p.user.name,
+          avatar: p.user.avatar
+        }));
+        
+        return {
+          id: conversation.id,
+          type: conversation.type || 'direct_message',
+          participants,
+          metadata: {
+            jobId: conversation.jobId,
+            jobTitle: conversation.jobTitle,
+            status: conversation.status || 'active',
+            createdBy: conversation.createdBy || conversation.participantIds[0],
+            closedAt: conversation.closedAt,
+            name: conversation.name,
+            avatar: conversation.avatar,
+            description: conversation.description
+          },
+          settings: muteService.formatSettings(participation),
+          unreadCount: participation.unreadCount || 0,
+          unreadMentionCount: participation.unreadMentionCount || 0,
+          lastMessageAt: conversation.lastMessageAt,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt
+        };
+      }));
+      
+      const validResults = results.filter(r => r !== null);
+      
+      res.json({
+        success: true,
+        conversations: validResults,
+        total,
+        limit: parsedLimit,
+        offset: parsedOffset,
+        query,
+        filters,
+        hasMore: (parsedOffset + conversationIds.length) < total
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to search conversations', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/conversations/invites/:token
+ * @desc Preview the conversation an invite link leads to
+ * @access Private
+ */
+router.get('/invites/:token', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const invite = await inviteService.previewInvite(req.params.token);
+      
+      res.json({
+        success: true,
+        invite
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to load invite', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/invites/:token/join
+ * @desc Join through an invite link. Invites that need approval create a
+ *       join request instead and respond with status 'pending' (202).
+ * @access Private
+ */
+router.post('/invites/:token/join', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await inviteService.joinWithToken(req.app.get('io'), {
+        token: req.params.token,
+        user: req.user
+      });
+      
+      res.status(result.status === 'pending' ? 202 : 200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to join conversation', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/conversations/labels
+ * @desc The authenticated user's conversation labels in display order
+ * @access Private
+ */
+router.get('/labels', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const labels = await inboxService.getLabels(req.user.id);
+      
+      res.json({
+        success: true,
+        labels,
+        count: labels.length
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve labels', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/labels
+ * @desc Create a label, e.g. "Quotes pending". Body: name, color (#RRGGBB, optional)
+ * @access Private
+ */
+router.post('/labels', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { name, color } = req.body || {};
+    
+    try {
+      const label = await inboxService.createLabel(req.app.get('io'), {
+        userId: req.user.id,
+        name,
+        color
+      });
+      
+      res.status(201).json({
+        success: true,
+        label
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to create label', error);
+    }
+  })
+);
+
+/**
+ * @route PATCH /api/v1/conversations/labels/:labelId
+ * @desc Rename, recolor or reorder a label
+ * @access Private
+ */
+router.patch('/labels/:labelId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { name, color, position } = req.body || {};
+    
+    try {
+      const label = await inboxService.updateLabel(req.app.get('io'), {
+        userId: req.user.id,
+        labelId: req.params.labelId,
+        name,
+        color,
+        position
+      });
+      
+      res.json({
+        success: true,
+        label
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to update label', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/conversations/labels/:labelId
+ * @desc Delete a label and remove it from every conversation
+ * @access Private
+ */
+router.delete('/labels/:labelId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await inboxService.deleteLabel(req.app.get('io'), {
+        userId: req.user.id,
+        labelId: req.params.labelId
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to delete label', error);
+    }
+  })
+);
+
 // Get single conversation
 router.get('/:id', 
   authenticate, 
@@ -360,6 +691,7 @@ router.get('/:id',
       const participants = allParticipants.map(p => ({
         userId: p.userId,
         role: p.user.role,
+        participantRole: p.role,
         joinedAt: p.joinedAt,
         isActive: !p.leftAt,
         name: p.user.name,
@@ -400,15 +732,18 @@ router.get('/:id',
             jobTitle: conversation.jobTitle,
             status: conversation.status || 'active',
             createdBy: conversation.createdBy || conversation.participantIds[0],
-            closedAt: conversation.closedAt
-          },
-          settings: {
-            isMuted: participation.isMuted || false,
-            isPinned: participation.isPinned || false,
-            notificationEnabled: participation.notificationEnabled !== false
+            closedAt: conversation.closedAt,
+            name: conversation.name,
+            avatar: conversation.avatar,
+            description: conversation.description
           },
+          settings: muteService.formatSettings(participation),
           lastMessage,
           unreadCount: participation.unreadCount || 0,
+          unreadMentionCount: participation.unreadMentionCount || 0,
+          draft: participation.draft || null,
+          archivedAt: participation.archivedAt || null,
+          labelIds: participation.labelIds || [],
           createdAt: conversation.createdAt,
           updatedAt: conversation.updatedAt
         }
@@ -433,7 +768,10 @@ router.post('/',
       type = 'direct_message',
       jobId, 
       jobTitle,
-      status = 'active' 
+      status = 'active',
+      name,
+      avatar,
+      description
     } = req.body;
     const userId = req.user.id;
     
@@ -468,10 +806,15 @@ router.post('/',
     }
     
     // Validate type
-    if (!['job_chat', 'direct_message'].includes(type)) {
-      throw createOperationalError('Type must be either job_chat or direct_message', 400, 'INVALID_TYPE');
+    if (!CONVERSATION_TYPES.includes(type)) {
+      throw createOperationalError('Type must be job_chat, direct_message or group', 400, 'INVALID_TYPE');
     }
     
+    // Groups need a name; avatar and description are optional
+    const groupDetails = type === 'group'
+      ? groupService.validateGroupDetails({ name, avatar, description }, { requireName: true })
+      : {};
+    
     // Validate job info for job_chat
     if (type === 'job_chat' && !jobId) {
       throw createOperationalError('Job ID is required for job chat', 400, 'MISSING_JOB_ID');
@@ -544,6 +887,11 @@ router.post('/',
         throw createOperationalError(`Some participant IDs do not exist: ${missingUserIds.join(', ')}`, 400, 'INVALID_PARTICIPANTS');
       }
       
+      // Blocks only stop one-to-one conversations; groups can include both users
+      if (type !== 'group' && await blockService.isBlockedBetween(userId, allParticipantIds.filter(id => id !== userId))) {
+        throw createOperationalError('You cannot start a conversation with this user', 403, 'USER_BLOCKED');
+      }
+      
       // For direct messages, check if conversation already exists
       if (type === 'direct_message' && allParticipantIds.length === 2) {
         logger.info('Checking for existing direct conversation', {
@@ -584,6 +932,7 @@ router.post('/',
         participantIds: allParticipantIds,
         status,
         createdBy: userId,
+        ...groupDetails,
         lastMessageAt: new Date()
       };
       
@@ -599,11 +948,12 @@ router.post('/',
         conversationId: conversation.id
       });
       
-      // Create participants records
+      // Create participants records; the creator owns the conversation
       const participantRecords = allParticipantIds.map(pId => ({
         id: uuidv4(),
         conversationId,
         userId: pId,
+        role: pId === userId ? 'owner' : 'member',
         unreadCount: pId === userId ? 0 : 0,
         joinedAt: new Date(),
         isMuted: false,
@@ -627,6 +977,7 @@ router.post('/',
         .map(user => ({
           userId: user.id,
           role: user.role,
+          participantRole: user.id === userId ? 'owner' : 'member',
           joinedAt: new Date(),
           isActive: true,
           name: user.name,
@@ -644,12 +995,17 @@ router.post('/',
             jobTitle: jobTitle || null,
             status,
             createdBy: userId,
-            closedAt: null
+            closedAt: null,
+            name: groupDetails.name || null,
+            avatar: groupDetails.avatar || null,
+            description: groupDetails.description || null
           },
           settings: {
             isMuted: false,
+            mutedUntil: null,
             isPinned: false,
-            notificationEnabled: true
+            notificationEnabled: true,
+            notificationLevel: 'all'
           },
           lastMessage: null,
           unreadCount: 0,
@@ -704,11 +1060,13 @@ router.post('/',
 );
 
 // Update conversation settings
+// muteDuration ('1h' | '8h' | '1w' | 'forever') mutes until it runs out;
+// notificationLevel ('all' | 'mentions' | 'none') supersedes notificationEnabled
 router.patch('/:id/settings', 
   authenticate, 
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { isMuted, isPinned, notificationEnabled } = req.body;
+    const { isMuted, muteDuration, isPinned, notificationEnabled, notificationLevel } = req.body;
     const userId = req.user.id;
     
     if (!id) {
@@ -716,7 +1074,8 @@ router.patch('/:id/settings',
     }
     
     // Validate at least one setting is provided
-    if (isMuted === undefined && isPinned === undefined && notificationEnabled === undefined) {
+    if (isMuted === undefined && muteDuration === undefined && isPinned === undefined &&
+        notificationEnabled === undefined && notificationLevel === undefined) {
       throw createOperationalError('At least one setting must be provided', 400, 'NO_SETTINGS_PROVIDED');
     }
     
@@ -726,7 +1085,7 @@ router.patch('/:id/settings',
       
       // Find participant record
       const participation = await ConversationParticipant.findOne({
-        where: { conversationId: id, userId }
+        where: { conversationId: id, userId, leftAt: null }
       });
       
       if (!participation) {
@@ -734,19 +1093,14 @@ router.patch('/:id/settings',
       }
       
       // Update settings
-      if (isMuted !== undefined) participation.isMuted = isMuted;
+      muteService.applySettings(participation, { isMuted, muteDuration, notificationLevel, notificationEnabled });
       if (isPinned !== undefined) participation.isPinned = isPinned;
-      if (notificationEnabled !== undefined) participation.notificationEnabled = notificationEnabled;
       
       await participation.save();
       
       res.json({
         success: true,
-        settings: {
-          isMuted: participation.isMuted,
-          isPinned: participation.isPinned,
-          notificationEnabled: participation.notificationEnabled
-        }
+        settings: muteService.formatSettings(participation)
       });
     } catch (error) {
       if (error.isOperational) {
@@ -779,16 +1133,11 @@ router.patch('/:id/status',
     
     try {
       const db = require('../db/models');
-      const { Conversation, ConversationParticipant } = db;
+      const { Conversation } = db;
       
-      // Verify user is a participant
-      const participation = await ConversationParticipant.findOne({
-        where: { conversationId: id, userId }
-      });
-      
-      if (!participation) {
-        throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
-      }
+      // Verify user is an active participant allowed to change settings
+      const participation = await groupService.getParticipation(id, userId);
+      groupService.requireRole(participation, 'admin', 'change the conversation status');
       
       // Get conversation
       const conversation = await Conversation.findByPk(id);
@@ -845,56 +1194,615 @@ router.patch('/:id/status',
   })
 );
 
-// Add participants to conversation
-router.post('/:id/participants', 
+// Update disappearing messages retention (24h, 7d or off)
+router.patch('/:id/retention', 
   authenticate, 
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { participantIds } = req.body;
+    const { retention } = req.body;
     const userId = req.user.id;
     
-    if (!id) {
-      throw createOperationalError('Conversation ID is required', 400, 'MISSING_CONVERSATION_ID');
-    }
-    
-    // Validate
-    if (!participantIds || !Array.isArray(participantIds) || participantIds.length === 0) {
-      throw createOperationalError('Participant IDs array is required and cannot be empty', 400, 'INVALID_PARTICIPANTS');
-    }
-    
-    if (participantIds.length > 20) {
-      throw createOperationalError('Cannot add more than 20 participants at once', 400, 'TOO_MANY_PARTICIPANTS');
-    }
-    
-    // Validate participant format
-    for (const participantId of participantIds) {
-      if (typeof participantId !== 'string' || participantId.trim().length === 0) {
-        throw createOperationalError('All participant IDs must be valid strings', 400, 'INVALID_PARTICIPANT_FORMAT');
-      }
+    if (retention === undefined || retention === null) {
+      throw createOperationalError('Retention is required', 400, 'MISSING_RETENTION');
     }
     
     try {
-      const db = require('../db/models');
-      const { Conversation, ConversationParticipant, User } = db;
+      const retentionService = require('../services/socket/retentionService');
+      const result = await retentionService.setConversationRetention(
+        req.app.get('io'),
+        id,
+        userId,
+        retention
+      );
       
-      if (!Conversation || !ConversationParticipant || !User) {
-        logger.error('Models not initialized in POST /:id/participants', {
-          hasConversation: !!Conversation,
-          hasConversationParticipant: !!ConversationParticipant,
-          hasUser: !!User
-        });
-        throw new Error('Database models not initialized');
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to update conversation retention', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/conversations/:id/pins
+ * @desc Pinned messages of a conversation, most recently pinned first
+ * @access Private
+ */
+router.get('/:id/pins', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+      const result = await pinService.getPins(id, req.user.id);
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve pinned messages', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/:id/pins
+ * @desc Pin a message for everyone in the conversation
+ * @access Private
+ */
+router.post('/:id/pins', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { messageId } = req.body || {};
+    
+    try {
+      const pin = await pinService.pinMessage(req.app.get('io'), {
+        conversationId: id,
+        messageId,
+        user: req.user
+      });
+      
+      res.status(201).json({
+        success: true,
+        pin
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to pin message', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/conversations/:id/pins/:messageId
+ * @desc Unpin a message
+ * @access Private
+ */
+router.delete('/:id/pins/:messageId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id, messageId } = req.params;
+    
+    try {
+      const result = await pinService.unpinMessage(req.app.get('io'), {
+        conversationId: id,
+        messageId,
+        user: req.user
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to unpin message', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/conversations/:id/draft
+ * @desc The authenticated user's unsent draft in this conversation
+ * @access Private
+ */
+router.get('/:id/draft', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+      const result = await draftService.getDraft(id, req.user.id);
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve draft', error);
+    }
+  })
+);
+
+/**
+ * @route PUT /api/v1/conversations/:id/draft
+ * @desc Save the draft and push draft_updated to the user's other devices.
+ *       socketId (optional) is the caller's own socket, which is skipped.
+ * @access Private
+ */
+router.put('/:id/draft', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { text, replyToMessageId, socketId } = req.body || {};
+    
+    try {
+      const result = await draftService.saveDraft(req.app.get('io'), {
+        conversationId: id,
+        userId: req.user.id,
+        text,
+        replyToMessageId,
+        originSocketId: socketId
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to save draft', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/conversations/:id/draft
+ * @desc Discard the draft on all of the user's devices
+ * @access Private
+ */
+router.delete('/:id/draft', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { socketId } = req.query;
+    
+    try {
+      const result = await draftService.deleteDraft(req.app.get('io'), {
+        conversationId: id,
+        userId: req.user.id,
+        originSocketId: socketId
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to delete draft', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/:id/archive
+ * @desc Archive the conversation for the authenticated user only. It returns
+ *       to the inbox when a new message arrives.
+ * @access Private
+ */
+router.post('/:id/archive', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await inboxService.archiveConversation(req.app.get('io'), {
+        conversationId: req.params.id,
+        userId: req.user.id
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to archive conversation', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/conversations/:id/archive
+ * @desc Move the conversation back to the authenticated user's inbox
+ * @access Private
+ */
+router.delete('/:id/archive', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await inboxService.unarchiveConversation(req.app.get('io'), {
+        conversationId: req.params.id,
+        userId: req.user.id
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to unarchive conversation', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/:id/labels/:labelId
+ * @desc Apply one of the user's labels to the conversation
+ * @access Private
+ */
+router.post('/:id/labels/:labelId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await inboxService.addConversationLabel(req.app.get('io'), {
+        conversationId: req.params.id,
+        userId: req.user.id,
+        labelId: req.params.labelId
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to apply label', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/conversations/:id/labels/:labelId
+ * @desc Take a label off the conversation
+ * @access Private
+ */
+router.delete('/:id/labels/:labelId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await inboxService.removeConversationLabel(req.app.get('io'), {
+        conversationId: req.params.id,
+        userId: req.user.id,
+        labelId: req.params.labelId
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to remove label', error);
+    }
+  })
+);
+
+/**
+ * @route PATCH /api/v1/conversations/:id
+ * @desc Update a group's name, avatar or description (owner and admins)
+ * @access Private
+ */
+router.patch('/:id', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, avatar, description } = req.body || {};
+    
+    try {
+      const group = await groupService.updateGroupDetails(req.app.get('io'), {
+        conversationId: id,
+        userId: req.user.id,
+        details: { name, avatar, description }
+      });
+      
+      res.json({
+        success: true,
+        conversation: group
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to update group details', error);
+    }
+  })
+);
+
+/**
+ * @route PATCH /api/v1/conversations/:id/participants/:participantId/role
+ * @desc Make a participant an admin or a member again (owner only)
+ * @access Private
+ */
+router.patch('/:id/participants/:participantId/role', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id, participantId } = req.params;
+    const { role } = req.body || {};
+    
+    try {
+      const result = await groupService.setParticipantRole(req.app.get('io'), {
+        conversationId: id,
+        userId: req.user.id,
+        participantId,
+        role
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to update participant role', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/:id/owner
+ * @desc Hand ownership to another participant; the previous owner becomes an admin
+ * @access Private
+ */
+router.post('/:id/owner', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { userId: newOwnerId } = req.body || {};
+    
+    try {
+      const result = await groupService.transferOwnership(req.app.get('io'), {
+        conversationId: id,
+        userId: req.user.id,
+        newOwnerId
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to transfer conversation ownership', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/:id/invites
+ * @desc Create an invite link (owner and admins). Body: expiresInHours,
+ *       maxUses (omit for unlimited), requiresApproval
+ * @access Private
+ */
+router.post('/:id/invites', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { expiresInHours, maxUses = null, requiresApproval = false } = req.body || {};
+    
+    try {
+      const invite = await inviteService.createInvite({
+        conversationId: id,
+        userId: req.user.id,
+        expiresInHours,
+        maxUses,
+        requiresApproval
+      });
+      
+      res.status(201).json({
+        success: true,
+        invite
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to create invite', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/conversations/:id/invites
+ * @desc Invite links of a conversation, newest first, including inactive ones
+ * @access Private
+ */
+router.get('/:id/invites', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const invites = await inviteService.listInvites(req.params.id, req.user.id);
+      
+      res.json({
+        success: true,
+        invites
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
       }
+      throw createSystemError('Failed to get invites', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/conversations/:id/invites/:inviteId
+ * @desc Revoke an invite link; pending join requests made with it are rejected
+ * @access Private
+ */
+router.delete('/:id/invites/:inviteId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id, inviteId } = req.params;
+    
+    try {
+      const invite = await inviteService.revokeInvite(req.app.get('io'), {
+        conversationId: id,
+        inviteId,
+        userId: req.user.id
+      });
       
-      // Verify user is a participant
-      const participation = await ConversationParticipant.findOne({
-        where: { conversationId: id, userId }
+      res.json({
+        success: true,
+        invite
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to revoke invite', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/conversations/:id/join-requests
+ * @desc Pending join requests from invite links that need approval
+ * @access Private
+ */
+router.get('/:id/join-requests', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const requests = await inviteService.listJoinRequests(req.params.id, req.user.id);
+      
+      res.json({
+        success: true,
+        requests
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to get join requests', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/conversations/:id/join-requests/:requestId/:decision
+ * @desc Approve or reject a pending join request (decision: approve | reject)
+ * @access Private
+ */
+router.post('/:id/join-requests/:requestId/:decision', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id, requestId, decision } = req.params;
+    
+    if (!['approve', 'reject'].includes(decision)) {
+      throw createOperationalError('Decision must be approve or reject', 400, 'INVALID_DECISION');
+    }
+    
+    try {
+      const request = await inviteService.decideJoinRequest(req.app.get('io'), {
+        conversationId: id,
+        requestId,
+        userId: req.user.id,
+        approve: decision === 'approve'
       });
       
-      if (!participation) {
-        throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+      res.json({
+        success: true,
+        request
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to decide on join request', error);
+    }
+  })
+);
+
+// Add participants to conversation
+router.post('/:id/participants', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { participantIds } = req.body;
+    const userId = req.user.id;
+    
+    if (!id) {
+      throw createOperationalError('Conversation ID is required', 400, 'MISSING_CONVERSATION_ID');
+    }
+    
+    // Validate
+    if (!participantIds || !Array.isArray(participantIds) || participantIds.length === 0) {
+      throw createOperationalError('Participant IDs array is required and cannot be empty', 400, 'INVALID_PARTICIPANTS');
+    }
+    
+    if (participantIds.length > 20) {
+      throw createOperationalError('Cannot add more than 20 participants at once', 400, 'TOO_MANY_PARTICIPANTS');
+    }
+    
+    // Validate participant format
+    for (const participantId of participantIds) {
+      if (typeof participantId !== 'string' || participantId.trim().length === 0) {
+        throw createOperationalError('All participant IDs must be valid strings', 400, 'INVALID_PARTICIPANT_FORMAT');
+      }
+    }
+    
+    try {
+      const db = require('../db/models');
+      const { Conversation, ConversationParticipant, User } = db;
+      
+      if (!Conversation || !ConversationParticipant || !User) {
+        logger.error('Models not initialized in POST /:id/participants', {
+          hasConversation: !!Conversation,
+          hasConversationParticipant: !!ConversationParticipant,
+          hasUser: !!User
+        });
+        throw new Error('Database models not initialized');
       }
       
+      // Verify user is a participant allowed to add others
+      const participation = await groupService.getParticipation(id, userId);
+      groupService.requireRole(participation, 'admin', 'add participants');
+      
       // Get conversation
       const conversation = await Conversation.findByPk(id);
       
@@ -939,19 +1847,8 @@ router.post('/:id/participants',
       conversation.participantIds = updatedParticipantIds;
       await conversation.save();
       
-      // Create participant records
-      const participantRecords = newParticipantIds.map(pId => ({
-        id: uuidv4(),
-        conversationId: id,
-        userId: pId,
-        unreadCount: 0,
-        joinedAt: new Date(),
-        isMuted: false,
-        isPinned: false,
-        notificationEnabled: true
-      }));
-      
-      await ConversationParticipant.bulkCreate(participantRecords);
+      // Create participant records (or reactivate those of former participants)
+      await groupService.addMembers(id, newParticipantIds);
       
       // Add system message
       const addedUsers = existingUsers.filter(user => newParticipantIds.includes(user.id));
@@ -1018,13 +1915,7 @@ router.delete('/:id/participants/:participantId',
       }
       
       // Verify current user is a participant
-      const participation = await ConversationParticipant.findOne({
-        where: { conversationId: id, userId }
-      });
-      
-      if (!participation) {
-        throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
-      }
+      const participation = await groupService.getParticipation(id, userId);
       
       // Check if removing self or another user
       const isSelf = userId === participantId;
@@ -1037,10 +1928,16 @@ router.delete('/:id/participants/:participantId',
       }
       
       // Verify target is a participant
-      if (!conversation.participantIds.includes(participantId)) {
+      const targetParticipation = await ConversationParticipant.findOne({
+        where: { conversationId: id, userId: participantId, leftAt: null }
+      });
+      
+      if (!conversation.participantIds.includes(participantId) || !targetParticipation) {
         throw createOperationalError('User is not a participant in this conversation', 400, 'NOT_PARTICIPANT');
       }
       
+      groupService.assertCanRemove(participation, targetParticipation);
+      
       // Update conversation participants
       const updatedParticipantIds = conversation.participantIds.filter(id => id !== participantId);
       
@@ -1084,6 +1981,7 @@ router.delete('/:id/participants/:participantId',
       };
       
       await queueService.enqueueMessage(systemMessage);
+      await groupService.handleParticipantLeft(req.app.get('io'), id, participantId);
       
       res.json({
         success: true,
@@ -1130,30 +2028,32 @@ router.post('/:id/read',
         throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
       }
       
-      // Reset unread count and update last read time
+      // Per-recipient receipts for everything since the last read;
+      // Message.status is derived from them
+      const readIds = await receiptService.markRead(userId, { conversationId: id });
+      
+      // Reset unread count
       participation.unreadCount = 0;
-      participation.lastReadAt = new Date();
+      participation.unreadMentionCount = 0;
       await participation.save();
       
       // Reset Redis unread count
       await redisService.resetUnreadCount(userId, id);
       
-      // Mark all unread messages as read
-      const updatedCount = await Message.update(
-        { status: 'read' },
-        { 
-          where: { 
-            conversationId: id, 
-            receiverId: userId,
-            status: { [Op.ne]: 'read' }
-          } 
-        }
-      );
+      // Let senders update their per-recipient ticks
+      if (readIds.length > 0) {
+        req.app.get('io')?.to(`conversation:${id}`).emit('messages_read_by', {
+          conversationId: id,
+          userId,
+          messageIds: readIds,
+          readAt: new Date().toISOString()
+        });
+      }
       
       res.json({
         success: true,
         message: 'Conversation marked as read',
-        messagesMarkedRead: updatedCount[0] || 0
+        messagesMarkedRead: readIds.length
       });
     } catch (error) {
       if (error.isOperational) {
@@ -1189,13 +2089,7 @@ router.delete('/:id',
       }
       
       // Verify user is a participant
-      const participation = await ConversationParticipant.findOne({
-        where: { conversationId: id, userId }
-      });
-      
-      if (!participation) {
-        throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
-      }
+      const participation = await groupService.getParticipation(id, userId);
       
       // Get conversation
       const conversation = await Conversation.findByPk(id);
@@ -1224,8 +2118,10 @@ router.delete('/:id',
           { leftAt: new Date() },
           { where: { conversationId: id, userId } }
         );
+        await groupService.handleParticipantLeft(req.app.get('io'), id, userId);
       } else {
-        // Soft delete - just archive for the user
+        // Archiving affects everyone, so it's a settings change
+        groupService.requireRole(participation, 'admin', 'archive the conversation');
         conversation.status = 'archived';
         await conversation.save();
       }
@@ -1371,12 +2267,18 @@ router.delete('/:conversationId/hard', authenticate, async (req, res) => {
 
 
 
-// Get messages for a conversation - ADD THIS BEFORE module.exports
+/**
+ * @route GET /api/v1/conversations/:conversationId/messages
+ * @desc Get messages for a conversation. With afterSeq, returns the range
+ *       after that sequence number in seq order, including deleted messages
+ *       as tombstones, so clients can fill gaps deterministically
+ * @access Private
+ */
 router.get('/:conversationId/messages', 
   authenticate, 
   asyncHandler(async (req, res) => {
     const { conversationId } = req.params;
-    const { limit = 50, offset = 0, before, after } = req.query;
+    const { limit = 50, offset = 0, before, after, afterSeq } = req.query;
     const userId = req.user.id;
     
     logger.info('GET /conversations/:conversationId/messages', {
@@ -1401,9 +2303,15 @@ router.get('/:conversationId/messages',
       throw createOperationalError('Offset must be non-negative', 400, 'INVALID_OFFSET');
     }
     
+    const parsedAfterSeq = afterSeq !== undefined ? Number(afterSeq) : null;
+    
+    if (parsedAfterSeq !== null && (!Number.isInteger(parsedAfterSeq) || parsedAfterSeq < 0)) {
+      throw createOperationalError('afterSeq must be a non-negative integer', 400, 'INVALID_AFTER_SEQ');
+    }
+    
     try {
       const db = require('../db/models');
-      const { Conversation, ConversationParticipant, Message, User } = db;
+      const { Conversation, ConversationParticipant, Message, User, HiddenMessage } = db;
       
       if (!Conversation || !ConversationParticipant || !Message || !User) {
         throw new Error('Database models not initialized');
@@ -1418,10 +2326,92 @@ router.get('/:conversationId/messages',
         throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
       }
       
+      if (parsedAfterSeq !== null) {
+        const conversation = await Conversation.findByPk(conversationId, {
+          attributes: ['id', 'lastMessageSeq']
+        });
+        
+        // Expired messages are left out like purged ones
+        const rangeWhere = {
+          conversationId,
+          seq: { [Op.gt]: parsedAfterSeq },
+          [Op.or]: [
+            { expiresAt: null },
+            { expiresAt: { [Op.gt]: new Date() } }
+          ]
+        };
+        
+        // After leaving, nothing past leftAt is visible
+        if (participation.leftAt) {
+          rangeWhere.createdAt = { [Op.lte]: participation.leftAt };
+        }
+        
+        const rangeMessages = await Message.findAll({
+          where: rangeWhere,
+          order: [['seq', 'ASC']],
+          limit: parsedLimit
+        });
+        
+        // Messages deleted for this user only come back as tombstones too
+        const hidden = rangeMessages.length > 0
+          ? await HiddenMessage.findAll({
+            where: { userId, messageId: { [Op.in]: rangeMessages.map(m => m.id) } },
+            attributes: ['messageId']
+          })
+          : [];
+        const hiddenIds = new Set(hidden.map(h => h.messageId));
+        
+        const lastSeq = conversation ? conversation.lastMessageSeq : 0;
+        const toSeq = rangeMessages.length > 0
+          ? rangeMessages[rangeMessages.length - 1].seq
+          : parsedAfterSeq;
+        
+        return res.json({
+          success: true,
+          messages: rangeMessages.map(msg => (msg.deleted || hiddenIds.has(msg.id))
+            ? { id: msg.id, conversationId: msg.conversationId, seq: msg.seq, deleted: true }
+            : {
+              id: msg.id,
+              clientTempId: msg.clientTempId,
+              conversationId: msg.conversationId,
+              seq: msg.seq,
+              senderId: msg.senderId,
+              receiverId: msg.receiverId,
+              type: msg.type,
+              content: msg.content,
+              status: msg.status,
+              parentMessageId: msg.parentMessageId,
+              expiresAt: msg.expiresAt,
+              isEdited: msg.isEdited,
+              editCount: msg.editCount || 0,
+              editedAt: msg.editedAt,
+              isForwarded: msg.isForwarded,
+              forwardedFromId: msg.forwardedFromId || null,
+              originalSenderId: msg.originalSenderId || null,
+              timestamp: msg.createdAt,
+              createdAt: msg.createdAt,
+              updatedAt: msg.updatedAt
+            }),
+          // Sequence numbers in (afterSeq, toSeq] that are missing were purged
+          range: {
+            afterSeq: parsedAfterSeq,
+            toSeq,
+            lastSeq,
+            hasMore: toSeq < lastSeq && rangeMessages.length === parsedLimit
+          }
+        });
+      }
+      
       // Build where clause
       const where = { 
         conversationId,
-        deleted: false
+        deleted: false,
+        id: deletionService.notHiddenFor(userId),
+        // Skip messages that have expired but are not purged yet
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
       };
       
       if (before) {
@@ -1455,7 +2445,11 @@ router.get('/:conversationId/messages',
       const totalCount = await Message.count({
         where: {
           conversationId,
-          deleted: false
+          deleted: false,
+          [Op.or]: [
+            { expiresAt: null },
+            { expiresAt: { [Op.gt]: new Date() } }
+          ]
         }
       });
       
@@ -1464,6 +2458,7 @@ router.get('/:conversationId/messages',
         id: msg.id,
         clientTempId: msg.clientTempId,
         conversationId: msg.conversationId,
+        seq: msg.seq,
         senderId: msg.senderId,
         receiverId: msg.receiverId,
         type: msg.type,
@@ -1474,7 +2469,11 @@ router.get('/:conversationId/messages',
         updatedAt: msg.updatedAt,
         replyTo: msg.replyTo,
         isEdited: msg.isEdited || false,
-        editedAt: msg.editedAt
+        editCount: msg.editCount || 0,
+        editedAt: msg.editedAt,
+        isForwarded: msg.isForwarded || false,
+        forwardedFromId: msg.forwardedFromId || null,
+        originalSenderId: msg.originalSenderId || null
       }));
       
       res.json({
@@ -1512,120 +2511,3 @@ router.get('/:conversationId/messages',
 );
 
 module.exports = router;
-
-// Search conversations
-router.get('/search', 
-  authenticate, 
-  asyncHandler(async (req, res) => {
-    const { query, limit = 20, offset = 0 } = req.query;
-    const userId = req.user.id;
-    
-    if (!query || query.trim().length < 2) {
-      throw createOperationalError('Search query must be at least 2 characters', 400, 'INVALID_QUERY');
-    }
-    
-    // Validate pagination
-    const parsedLimit = parseInt(limit);
-    const parsedOffset = parseInt(offset);
-    
-    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
-      throw createOperationalError('Limit must be a number between 1 and 100', 400, 'INVALID_LIMIT');
-    }
-    
-    if (isNaN(parsedOffset) || parsedOffset < 0) {
-      throw createOperationalError('Offset must be a non-negative number', 400, 'INVALID_OFFSET');
-    }
-    
-    try {
-      const db = require('../db/models');
-      const { Conversation, ConversationParticipant, User, Message } = db;
-      const { Sequelize } = db;
-      
-      // Search in conversations where user is a participant
-      const participations = await ConversationParticipant.findAll({
-        where: { userId },
-        include: [{
-          model: Conversation,
-          as: 'conversation',
-          where: {
-            [Op.or]: [
-              { jobTitle: { [Op.iLike]: `%${query}%` } },
-              Sequelize.literal(`EXISTS (
-                SELECT 1 FROM users u 
-                WHERE u.id = ANY(conversation.participant_ids) 
-                AND u.name ILIKE '%${query.replace(/'/g, "''")}%'
-              )`)
-            ]
-          }
-        }],
-        limit: parsedLimit,
-        offset: parsedOffset
-      });
-      
-      // Format results
-      const results = await Promise.all(participations.map(async (participation) => {
-        const conversation = participation.conversation;
-        if (!conversation) return null;
-        
-        // Get participants
-        const allParticipants = await ConversationParticipant.findAll({
-          where: { conversationId: conversation.id },
-          include: [{
-            model: User,
-            as: 'user',
-            attributes: ['id', 'name', 'avatar', 'role']
-          }]
-        });
-        
-        const participants = allParticipants.map(p => ({
-          userId: p.userId,
-          role: p.user.role,
-          joinedAt: p.joinedAt,
-          isActive: !p.leftAt,
-          name: p.user.name,
-          avatar: p.user.avatar
-        }));
-        
-        return {
-          id: conversation.id,
-          type: conversation.type || 'direct_message',
-          participants,
-          metadata: {
-            jobId: conversation.jobId,
-            jobTitle: conversation.jobTitle,
-            status: conversation.status || 'active',
-            createdBy: conversation.createdBy || conversation.participantIds[0],
-            closedAt: conversation.closedAt
-          },
-          settings: {
-            isMuted: participation.isMuted || false,
-            isPinned: participation.isPinned || false,
-            notificationEnabled: participation.notificationEnabled !== false
-          },
-          unreadCount: participation.unreadCount || 0,
-          createdAt: conversation.createdAt,
-          updatedAt: conversation.updatedAt
-        };
-      }));
-      
-      const validResults = results.filter(r => r !== null);
-      
-      res.json({
-        success: true,
-        conversations: validResults,
-        total: validResults.length,
-        limit: parsedLimit,
-        offset: parsedOffset,
-        query,
-        hasMore: participations.length === parsedLimit
-      });
-    } catch (error) {
-      if (error.isOperational) {
-        throw error;
-      }
-      throw createSystemError('Failed to search conversations', error);
-    }
-  })
-);
-
-module.exports = router;
\ No newline at end of file
@@ -7,6 +7,20 @@ const { v4: uuidv4 } = require('uuid');
 const { authenticate } = require('../middleware/authentication');
 const redisService = require('../services/redis');
 const queueService = require('../services/queue/queueService');
+const messageService = require('../services/socket/messageService');
+const receiptService = require('../services/socket/receiptService');
+const deletionService = require('../services/socket/deletionService');
+const editService = require('../services/socket/editService');
+const cardService = require('../services/socket/cardService');
+const { CARD_TYPES } = cardService;
+const pollService = require('../services/socket/pollService');
+const starService = require('../services/socket/starService');
+const forwardService = require('../services/socket/forwardService');
+const scheduledMessageService = require('../services/socket/scheduledMessageService');
+const searchService = require('../services/search.service');
+const { resolveSearchFilters } = require('../utils/searchFilters');
+const notificationService = require('../services/notifications/notificationService');
+const { createUserSocket } = require('../socket/workerEmitter');
 const logger = require('../utils/logger');
 
 // ✅ BETTER: Direct import from exception handler
@@ -67,7 +81,13 @@ router.get('/conversation/:conversationId',
       // Build query
       const where = { 
         conversationId,
-        deleted: false
+        deleted: false,
+        id: deletionService.notHiddenFor(userId),
+        // Skip messages that have expired but are not purged yet
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
       };
       
       // Add time filters
@@ -123,6 +143,18 @@ router.get('/conversation/:conversationId',
         return map;
       }, {});
       
+      // Get aggregated reactions
+      let reactionMap = {};
+      try {
+        reactionMap = await messageService.getReactionSummaries(messages.map(m => m.id), userId);
+      } catch (reactionError) {
+        logger.error('Error fetching message reactions', {
+          error: reactionError.message,
+          conversationId
+        });
+        // Continue without reactions rather than failing
+      }
+      
       // Format response - Handle both Sequelize instances and plain objects
       const formattedMessages = messages.map(message => {
         try {
@@ -131,11 +163,23 @@ router.get('/conversation/:conversationId',
           return {
             id: messageData.id,
             conversationId: messageData.conversationId,
+            seq: messageData.seq,
             senderId: messageData.senderId,
             sender: senderMap[messageData.senderId] || null,
             type: messageData.type || 'text',
             content: messageData.content || {},
             status: messageData.status || 'sent',
+            parentMessageId: messageData.parentMessageId || null,
+            threadReplyCount: messageData.threadReplyCount || 0,
+            threadLastReplyAt: messageData.threadLastReplyAt || null,
+            expiresAt: messageData.expiresAt || null,
+            isEdited: (messageData.editCount || 0) > 0,
+            editCount: messageData.editCount || 0,
+            editedAt: messageData.editedAt || null,
+            isForwarded: !!messageData.originalSenderId,
+            forwardedFromId: messageData.forwardedFromId || null,
+            originalSenderId: messageData.originalSenderId || null,
+            reactions: reactionMap[messageData.id] || [],
             createdAt: messageData.createdAt,
             updatedAt: messageData.updatedAt
           };
@@ -162,11 +206,8 @@ router.get('/conversation/:conversationId',
           if (messageIds.length > 0) {
             await queueService.enqueueDeliveryReceipt(userId, messageIds);
             
-            // Update status immediately for UI feedback
-            await Message.update(
-              { status: 'delivered' },
-              { where: { id: { [Op.in]: messageIds } } }
-            );
+            // Record receipts immediately for UI feedback
+            await receiptService.markDelivered(userId, messageIds);
           }
         } catch (deliveryError) {
           logger.error('Error processing delivery receipts', {
@@ -197,6 +238,291 @@ router.get('/conversation/:conversationId',
     }
   })
 );
+/**
+ * @route POST /api/v1/messages/scheduled
+ * @desc Schedule a message to be sent later
+ * @access Private
+ */
+router.post('/scheduled', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    
+    try {
+      const scheduledMessage = await scheduledMessageService.scheduleMessage(userId, req.body);
+      
+      res.status(201).json({
+        success: true,
+        scheduledMessage
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to schedule message', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/scheduled
+ * @desc List the authenticated user's scheduled messages
+ * @access Private
+ */
+router.get('/scheduled', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { status = 'pending', conversationId, limit = 50, offset = 0 } = req.query;
+    const userId = req.user.id;
+    
+    const validStatuses = ['pending', 'processing', 'sent', 'cancelled', 'failed', 'all'];
+    if (!validStatuses.includes(status)) {
+      throw createOperationalError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400, 'INVALID_STATUS');
+    }
+    
+    const parsedLimit = parseInt(limit);
+    const parsedOffset = parseInt(offset);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+      throw createOperationalError('Limit must be a number between 1 and 100', 400, 'INVALID_LIMIT');
+    }
+    if (isNaN(parsedOffset) || parsedOffset < 0) {
+      throw createOperationalError('Offset must be a non-negative number', 400, 'INVALID_OFFSET');
+    }
+    
+    try {
+      const { scheduledMessages, total } = await scheduledMessageService.listScheduled(userId, {
+        status,
+        conversationId,
+        limit: parsedLimit,
+        offset: parsedOffset
+      });
+      
+      res.json({
+        success: true,
+        scheduledMessages,
+        total,
+        limit: parsedLimit,
+        offset: parsedOffset,
+        hasMore: parsedOffset + scheduledMessages.length < total
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve scheduled messages', error);
+    }
+  })
+);
+
+/**
+ * @route PUT /api/v1/messages/scheduled/:scheduledId
+ * @desc Edit a pending scheduled message (content and/or scheduledFor)
+ * @access Private
+ */
+router.put('/scheduled/:scheduledId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { scheduledId } = req.params;
+    const userId = req.user.id;
+    
+    try {
+      const scheduledMessage = await scheduledMessageService.updateScheduled(userId, scheduledId, req.body);
+      
+      res.json({
+        success: true,
+        scheduledMessage
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to update scheduled message', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/messages/scheduled/:scheduledId
+ * @desc Cancel a pending scheduled message
+ * @access Private
+ */
+router.delete('/scheduled/:scheduledId', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { scheduledId } = req.params;
+    const userId = req.user.id;
+    
+    try {
+      const scheduledMessage = await scheduledMessageService.cancelScheduled(userId, scheduledId);
+      
+      res.json({
+        success: true,
+        message: 'Scheduled message cancelled',
+        scheduledMessage
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to cancel scheduled message', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/starred
+ * @desc The authenticated user's starred messages, newest star first.
+ *       Pass nextCursor from the previous page as cursor.
+ * @access Private
+ */
+router.get('/starred', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { cursor, limit = 30 } = req.query;
+    
+    const parsedLimit = parseInt(limit);
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > starService.MAX_PAGE_SIZE) {
+      throw createOperationalError(`Limit must be a number between 1 and ${starService.MAX_PAGE_SIZE}`, 400, 'INVALID_LIMIT');
+    }
+    
+    try {
+      const { items, nextCursor, hasMore } = await starService.getStarredMessages(req.user.id, {
+        cursor,
+        limit: parsedLimit
+      });
+      
+      res.json({
+        success: true,
+        starred: items,
+        nextCursor,
+        hasMore
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve starred messages', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/search
+ * @desc Full-text search across messages the user can access (ranked, with highlights).
+ *       Supports filters inline ("from:<id> has:attachment invoice") or as parameters:
+ *       from/senderId, type, before, after, has/hasAttachment, in/conversationId, job/jobId
+ * @access Private
+ */
+router.get('/search', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { query, lang = 'auto', limit = 20, offset = 0 } = req.query;
+    const userId = req.user.id;
+    
+    if (query !== undefined && typeof query !== 'string') {
+      throw createOperationalError('Search query must be a string', 400, 'INVALID_QUERY');
+    }
+    
+    if (query && query.length > 500) {
+      throw createOperationalError('Search query cannot exceed 500 characters', 400, 'QUERY_TOO_LONG');
+    }
+    
+    const { text, filters } = resolveSearchFilters(req.query);
+    
+    if (text.length < 2 && Object.keys(filters).length === 0) {
+      throw createOperationalError('Search query must be at least 2 characters or include a filter', 400, 'INVALID_QUERY');
+    }
+    
+    if (!Object.keys(searchService.SEARCH_LANGUAGES).includes(lang)) {
+      throw createOperationalError(`Invalid language. Must be one of: ${Object.keys(searchService.SEARCH_LANGUAGES).join(', ')}`, 400, 'INVALID_LANGUAGE');
+    }
+    
+    // Validate query parameters
+    const parsedLimit = parseInt(limit);
+    const parsedOffset = parseInt(offset);
+    
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
+      throw createOperationalError('Limit must be a number between 1 and 100', 400, 'INVALID_LIMIT');
+    }
+    
+    if (isNaN(parsedOffset) || parsedOffset < 0) {
+      throw createOperationalError('Offset must be a non-negative number', 400, 'INVALID_OFFSET');
+    }
+    
+    try {
+      // Lazy load models
+      const db = require('../db/models');
+      const { ConversationParticipant, User } = db;
+      
+      // Verify user is a participant in the filtered conversation
+      if (filters.conversationId) {
+        const participation = await ConversationParticipant.findOne({
+          where: { conversationId: filters.conversationId, userId }
+        });
+        
+        if (!participation) {
+          throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+        }
+      }
+      
+      const { messages, total } = await searchService.searchMessages(userId, {
+        query: text,
+        lang,
+        filters,
+        limit: parsedLimit,
+        offset: parsedOffset
+      });
+      
+      // Get sender details
+      const senderIds = [...new Set(messages.map(m => m.senderId))];
+      
+      const senders = senderIds.length > 0
+        ? await User.findAll({
+          where: { id: { [Op.in]: senderIds } },
+          attributes: ['id', 'name', 'avatar']
+        })
+        : [];
+      
+      const senderMap = senders.reduce((map, sender) => {
+        map[sender.id] = sender;
+        return map;
+      }, {});
+      
+      // Format messages
+      const formattedMessages = messages.map(message => ({
+        id: message.id,
+        conversationId: message.conversationId,
+        senderId: message.senderId,
+        sender: senderMap[message.senderId] || { id: message.senderId },
+        receiverId: message.receiverId,
+        type: message.type,
+        content: message.content,
+        status: message.status,
+        rank: message.rank,
+        highlight: message.highlight,
+        createdAt: message.createdAt,
+        updatedAt: message.updatedAt
+      }));
+      
+      res.json({
+        success: true,
+        messages: formattedMessages,
+        total,
+        limit: parsedLimit,
+        offset: parsedOffset,
+        query,
+        filters,
+        hasMore: (parsedOffset + formattedMessages.length) < total
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to search messages', error);
+    }
+  })
+);
+
 /**
  * @route GET /api/v1/messages/:id
  * @desc Get a message by ID
@@ -218,8 +544,16 @@ router.get('/:id',
       const db = require('../db/models');
       const { Conversation, ConversationParticipant, Message, User } = db;
 
-      // Get message
-      const message = await Message.findByPk(id);
+      // Get message; expired ones are gone even before the purge reaches them
+      const message = await Message.findOne({
+        where: {
+          id,
+          [Op.or]: [
+            { expiresAt: null },
+            { expiresAt: { [Op.gt]: new Date() } }
+          ]
+        }
+      });
       
       if (!message) {
         throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
@@ -251,12 +585,22 @@ router.get('/:id',
       const formattedMessage = {
         id: message.id,
         conversationId: message.conversationId,
+        seq: message.seq,
         senderId: message.senderId,
         sender,
         receiverId: message.receiverId,
         type: message.type,
         content: message.content,
         status: message.status,
+        parentMessageId: message.parentMessageId || null,
+        threadReplyCount: message.threadReplyCount || 0,
+        threadLastReplyAt: message.threadLastReplyAt || null,
+        isEdited: message.isEdited,
+        editCount: message.editCount || 0,
+        editedAt: message.editedAt || null,
+        isForwarded: message.isForwarded,
+        forwardedFromId: message.forwardedFromId || null,
+        originalSenderId: message.originalSenderId || null,
         createdAt: message.createdAt,
         updatedAt: message.updatedAt
       };
@@ -291,6 +635,8 @@ router.post('/',
       audio = null,
       replyToMessageId = null,
       attachments = [],
+      card = null,
+      poll = null,
       clientTempId
     } = req.body;
     
@@ -301,12 +647,12 @@ router.post('/',
       throw createOperationalError('Either conversationId or receiverId is required', 400, 'MISSING_TARGET');
     }
     
-    if (!text && images.length === 0 && !audio && attachments.length === 0) {
+    if (!text && images.length === 0 && !audio && attachments.length === 0 && !card && !poll) {
       throw createOperationalError('Message content is required', 400, 'MESSAGE_EMPTY');
     }
     
     // Validate message type
-    const validTypes = ['text', 'image', 'file', 'emoji', 'audio', 'system'];
+    const validTypes = ['text', 'image', 'file', 'emoji', 'audio', 'system', 'poll', ...CARD_TYPES];
     if (!validTypes.includes(type)) {
       throw createOperationalError(`Invalid message type. Must be one of: ${validTypes.join(', ')}`, 400, 'INVALID_MESSAGE_TYPE');
     }
@@ -327,181 +673,38 @@ router.post('/',
     }
     
     try {
-      // Handle direct messages (create conversation if needed)
-      let targetConversationId = conversationId;
-      let newConversation = false;
-      
-      if (!targetConversationId && receiverId) {
-        // Validate receiverId
-        const receiverExists = await User.findByPk(receiverId);
-        if (!receiverExists) {
-          throw createOperationalError('Receiver user not found', 404, 'RECEIVER_NOT_FOUND');
-        }
-        
-        // Check if conversation already exists between these users
-        const conversations = await Conversation.findAll({
-          where: {
-            participantIds: {
-              [Op.contains]: [userId, receiverId]
-            }
-          }
-        });
-        
-        // Filter for direct conversations (just 2 participants)
-        const directConversations = conversations.filter(c => 
-          c.participantIds.length === 2 && 
-          c.participantIds.includes(userId) && 
-          c.participantIds.includes(receiverId)
-        );
-        
-        if (directConversations.length > 0) {
-          // Use existing conversation
-          targetConversationId = directConversations[0].id;
-        } else {
-          // Create new conversation
-          const newConvId = uuidv4();
-          await queueService.enqueueConversationOperation(
-            'create',
-            {
-              id: newConvId,
-              participantIds: [userId, receiverId],
-              lastMessageAt: new Date()
-            }
-          );
-          
-          // Create conversation participants
-          await ConversationParticipant.bulkCreate([
-            {
-              id: uuidv4(),
-              conversationId: newConvId,
-              userId,
-              unreadCount: 0,
-              joinedAt: new Date()
-            },
-            {
-              id: uuidv4(),
-              conversationId: newConvId,
-              userId: receiverId,
-              unreadCount: 1,
-              joinedAt: new Date()
-            }
-          ]);
-          
-          targetConversationId = newConvId;
-          newConversation = true;
-        }
-      } else if (targetConversationId) {
-        // Verify user is a conversation participant
-        const participation = await ConversationParticipant.findOne({
-          where: { conversationId: targetConversationId, userId }
-        });
-        
-        if (!participation) {
-          throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
-        }
-      }
-      
-      // Validate reply message if provided
-      if (replyToMessageId) {
-        const replyMessage = await Message.findByPk(replyToMessageId);
-        if (!replyMessage || replyMessage.conversationId !== targetConversationId) {
-          throw createOperationalError('Invalid reply message', 400, 'INVALID_REPLY_MESSAGE');
-        }
-      }
-      
-      // Create message ID
-      const messageId = uuidv4();
+      // Same path as socket sends: sequence numbers, idempotency on
+      // clientTempId, acked delivery and unread counts
+      const io = req.app.get('io');
+      const socket = createUserSocket(io, req.user);
       
-      // Prepare message data
-      const messageData = {
-        id: messageId,
-        conversationId: targetConversationId,
-        senderId: userId,
-        receiverId: receiverId || null,
-        type,
-        content: {
-          text,
-          images,
-          audio,
-          replyTo: replyToMessageId,
-          attachments
-        },
-        status: 'sent',
-        clientTempId,
-        deleted: false,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
+      const result = await messageService.handleSendMessage(io, socket, {
+        conversationId,
+        receiverId,
+        messageType: type,
+        text,
+        images,
+        audio,
+        replyToMessageId,
+        attachments,
+        card,
+        poll,
+        clientTempId
+      });
       
-      // Queue message for processing
-      await queueService.enqueueMessage(messageData);
+      if (result.notifyRecipients && result.participants) {
+        await notificationService.sendMessageNotification(result.message, result.participants);
+      }
       
-      // Update conversation last message time
-      if (targetConversationId) {
-        await Conversation.update(
-          { lastMessageAt: new Date() },
-          { where: { id: targetConversationId } }
-        );
-      }
-      
-      // Get conversation to increment unread counts
-      if (targetConversationId) {
-        const conversation = await Conversation.findByPk(targetConversationId);
-        
-        if (conversation) {
-          // Increment unread count for all participants except sender
-          await ConversationParticipant.increment(
-            'unreadCount',
-            {
-              where: {
-                conversationId: targetConversationId,
-                userId: { [Op.ne]: userId }
-              }
-            }
-          );
-          
-          // Update Redis unread counts
-          const otherParticipants = conversation.participantIds.filter(id => id !== userId);
-          
-          for (const participantId of otherParticipants) {
-            await redisService.incrementUnreadCount(participantId, targetConversationId);
-          }
-        }
-      }
-      
-      // Get sender details
-      const sender = await User.findByPk(userId, {
-        attributes: ['id', 'name', 'avatar']
-      });
-      
-      // Format response
-      const response = {
-        id: messageId,
-        conversationId: targetConversationId,
-        senderId: userId,
-        sender,
-        receiverId: receiverId || null,
-        type,
-        content: {
-          text,
-          images,
-          audio,
-          replyTo: replyToMessageId,
-          attachments
-        },
-        status: 'sent',
-        clientTempId,
-        createdAt: new Date()
-      };
-      
-      res.status(201).json({ 
-        success: true,
-        message: response,
-        newConversation
-      });
-    } catch (error) {
-      if (error.isOperational) {
-        throw error;
+      res.status(result.duplicate ? 200 : 201).json({ 
+        success: true,
+        message: result.message,
+        newConversation: result.isNewConversation,
+        duplicate: result.duplicate || false
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
       }
       
       if (error.name === 'SequelizeValidationError') {
@@ -595,14 +798,16 @@ router.post('/batch',
 
 /**
  * @route PUT /api/v1/messages/:id
- * @desc Update a message
+ * @desc Edit the text of a message, or the card fields of a pending quote.
+ *       Sender only, within the edit window for the message type; system
+ *       messages and media cannot be edited
  * @access Private
  */
 router.put('/:id', 
   authenticate, 
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { text, images, attachments } = req.body;
+    const { text, images, attachments, card } = req.body;
     const userId = req.user.id;
     
     if (!id) {
@@ -610,8 +815,8 @@ router.put('/:id',
     }
     
     // Validate at least one field is provided
-    if (text === undefined && images === undefined && attachments === undefined) {
-      throw createOperationalError('At least one field (text, images, or attachments) must be provided', 400, 'NO_UPDATE_FIELDS');
+    if (text === undefined && images === undefined && attachments === undefined && card === undefined) {
+      throw createOperationalError('At least one field (text, images, attachments or card) must be provided', 400, 'NO_UPDATE_FIELDS');
     }
     
     // Validate text length if provided
@@ -630,83 +835,27 @@ router.put('/:id',
     }
     
     try {
-      // Find message
-      const message = await Message.findByPk(id);
-      
-      if (!message) {
-        throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
-      }
-      
-      // Verify ownership
-      if (message.senderId !== userId) {
-        throw createOperationalError('Not authorized to update this message', 403, 'NOT_AUTHORIZED');
-      }
-      
-      // Check if message can be edited (not deleted)
-      if (message.deleted) {
-        throw createOperationalError('Deleted messages cannot be edited', 400, 'MESSAGE_DELETED');
-      }
-      
-      // Check if editing allowed based on message type
-      if (!['text', 'image', 'file'].includes(message.type)) {
-        throw createOperationalError(`Messages of type '${message.type}' cannot be edited`, 400, 'INVALID_MESSAGE_TYPE');
-      }
-      
-      // Check message age (optional: prevent editing very old messages)
-      const messageAge = Date.now() - new Date(message.createdAt).getTime();
-      const maxEditAge = 24 * 60 * 60 * 1000; // 24 hours
-      if (messageAge > maxEditAge) {
-        throw createOperationalError('Messages older than 24 hours cannot be edited', 400, 'MESSAGE_TOO_OLD');
-      }
-      
-      // Create message version
-      await MessageVersion.create({
-        id: uuidv4(),
+      // Window per message type, text or pending quote fields, previous content kept as a version
+      const result = await editService.editMessage(req.app.get('io'), {
         messageId: id,
-        versionContent: message.content,
-        editedAt: new Date()
+        userId,
+        text,
+        images,
+        attachments,
+        card
       });
       
-      // Update message content
-      const updatedContent = {
-        ...message.content
-      };
-      
-      if (text !== undefined) {
-        updatedContent.text = text;
-      }
-      
-      if (images !== undefined) {
-        updatedContent.images = images;
-      }
-      
-      if (attachments !== undefined) {
-        updatedContent.attachments = attachments;
-      }
-      
-      // Add edit metadata
-      updatedContent.edited = true;
-      updatedContent.editedAt = new Date().toISOString();
-      
-      // Save changes
-      message.content = updatedContent;
-      await message.save();
-      
-      // Cache updated message
-      await redisService.cacheMessage(message);
-      
-      // Format response
-      const response = {
-        id: message.id,
-        conversationId: message.conversationId,
-        senderId: message.senderId,
-        content: message.content,
-        updatedAt: message.updatedAt
-      };
-      
       res.json({
         success: true,
-        message: response
+        message: {
+          id: result.messageId,
+          conversationId: result.conversationId,
+          senderId: userId,
+          content: result.content,
+          isEdited: result.isEdited,
+          editCount: result.editCount,
+          editedAt: result.editedAt
+        }
       });
     } catch (error) {
       if (error.isOperational) {
@@ -725,13 +874,16 @@ router.put('/:id',
 
 /**
  * @route DELETE /api/v1/messages/:id
- * @desc Delete a message
+ * @desc Delete a message. mode=me hides it from the caller's own history;
+ *       mode=everyone (default, sender only, within the configured window)
+ *       replaces it with a tombstone for all participants
  * @access Private
  */
 router.delete('/:id', 
   authenticate, 
   asyncHandler(async (req, res) => {
     const { id } = req.params;
+    const mode = (req.body && req.body.mode) || req.query.mode || 'everyone';
     const userId = req.user.id;
     
     if (!id) {
@@ -739,33 +891,16 @@ router.delete('/:id',
     }
     
     try {
-      // Find message
-      const message = await Message.findByPk(id);
-      
-      if (!message) {
-        throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
-      }
-      
-      // Verify ownership
-      if (message.senderId !== userId) {
-        throw createOperationalError('Not authorized to delete this message', 403, 'NOT_AUTHORIZED');
-      }
-      
-      // Check if already deleted
-      if (message.deleted) {
-        throw createOperationalError('Message is already deleted', 400, 'ALREADY_DELETED');
-      }
-      
-      // Soft delete the message
-      message.deleted = true;
-      await message.save();
-      
-      // Update cache
-      await redisService.cacheMessage(message);
+      const result = await deletionService.deleteMessage(req.app.get('io'), {
+        messageId: id,
+        userId,
+        mode
+      });
       
       res.json({ 
         success: true,
-        message: 'Message deleted successfully'
+        message: 'Message deleted successfully',
+        ...result
       });
     } catch (error) {
       if (error.isOperational) {
@@ -777,386 +912,689 @@ router.delete('/:id',
 );
 
 /**
- * @route GET /api/v1/messages/:id/versions
- * @desc Get message versions (edit history)
+ * @route POST /api/v1/messages/:id/card/:action
+ * @desc Answer a quote or appointment card: accept or decline (recipients,
+ *       appointments need slotIndex) or withdraw (sender)
  * @access Private
  */
-router.get('/:id/versions', 
+router.post('/:id/card/:action', 
   authenticate, 
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
+    const { id, action } = req.params;
+    const { slotIndex } = req.body || {};
     const userId = req.user.id;
     
-    if (!id) {
-      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
-    }
-    
     try {
-
-           // Lazy load models
-      const db = require('../db/models');
-      const { Conversation, ConversationParticipant, Message, User } = db;
-
-      // Find message
-      const message = await Message.findByPk(id);
-      
-      if (!message) {
-        throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
-      }
-      
-      // Verify user is sender, recipient, or conversation participant
-      if (message.senderId !== userId && message.receiverId !== userId) {
-        if (message.conversationId) {
-          const participation = await ConversationParticipant.findOne({
-            where: { conversationId: message.conversationId, userId }
-          });
-          
-          if (!participation) {
-            throw createOperationalError('Not authorized to view this message history', 403, 'NOT_AUTHORIZED');
-          }
-        } else {
-          throw createOperationalError('Not authorized to view this message history', 403, 'NOT_AUTHORIZED');
-        }
-      }
-      
-      // Get versions
-      const versions = await MessageVersion.findAll({
-        where: { messageId: id },
-        order: [['editedAt', 'DESC']]
+      const result = await cardService.performAction(req.app.get('io'), {
+        messageId: id,
+        userId,
+        action,
+        slotIndex
       });
       
       res.json({ 
         success: true,
-        versions,
-        count: versions.length
+        ...result
       });
     } catch (error) {
       if (error.isOperational) {
         throw error;
       }
-      throw createSystemError('Failed to retrieve message versions', error);
+      throw createSystemError('Failed to update card', error);
     }
   })
 );
 
 /**
- * @route POST /api/v1/messages/deliver
- * @desc Mark messages as delivered
+ * @route GET /api/v1/messages/:id/poll
+ * @desc Poll results, voters (unless anonymous) and the caller's own votes
  * @access Private
  */
-router.post('/deliver', 
+router.get('/:id/poll', 
   authenticate, 
   asyncHandler(async (req, res) => {
-    const { messageIds } = req.body;
-    const userId = req.user.id;
-    
-    if (!messageIds || !Array.isArray(messageIds) || messageIds.length === 0) {
-      throw createOperationalError('Message IDs array is required and cannot be empty', 400, 'INVALID_MESSAGE_IDS');
-    }
-    
-    if (messageIds.length > 100) {
-      throw createOperationalError('Cannot mark more than 100 messages as delivered at once', 400, 'TOO_MANY_MESSAGES');
-    }
+    const { id } = req.params;
     
     try {
-      // Queue delivery receipt for processing
-      await queueService.enqueueDeliveryReceipt(userId, messageIds);
-      
-      // Update message status immediately for UI feedback
-      const [updatedCount] = await Message.update(
-        { status: 'delivered' },
-        { 
-          where: { 
-            id: { [Op.in]: messageIds },
-            receiverId: userId,
-            status: 'sent'
-          } 
-        }
-      );
+      const poll = await pollService.getPoll(id, req.user.id);
       
       res.json({ 
         success: true,
-        message: `${updatedCount} messages marked as delivered`
+        poll
       });
     } catch (error) {
-      throw createSystemError('Failed to mark messages as delivered', error);
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve poll', error);
     }
   })
 );
 
 /**
- * @route POST /api/v1/messages/read
- * @desc Mark messages as read
+ * @route POST /api/v1/messages/:id/poll/votes
+ * @desc Vote on a poll; replaces the caller's previous choice
  * @access Private
  */
-router.post('/read', 
+router.post('/:id/poll/votes', 
   authenticate, 
   asyncHandler(async (req, res) => {
-    const { messageIds, conversationId } = req.body;
-    const userId = req.user.id;
-    
-    // More flexible validation
-    if (!messageIds && !conversationId) {
-      throw createOperationalError('Either messageIds array or conversationId is required', 400, 'MISSING_PARAMETERS');
-    }
-    
-    // If messageIds is provided, validate it's an array (can be empty if conversationId is provided)
-    if (messageIds !== undefined && !Array.isArray(messageIds)) {
-      throw createOperationalError('Message IDs must be an array', 400, 'INVALID_MESSAGE_IDS_FORMAT');
-    }
-    
-    // If only messageIds is provided, it must not be empty
-    if (messageIds && !conversationId && messageIds.length === 0) {
-      throw createOperationalError('Message IDs array cannot be empty when conversationId is not provided', 400, 'EMPTY_MESSAGE_IDS');
-    }
-    
-    if (messageIds && messageIds.length > 100) {
-      throw createOperationalError('Cannot mark more than 100 messages as read at once', 400, 'TOO_MANY_MESSAGES');
-    }
+    const { id } = req.params;
+    const { optionIds } = req.body || {};
     
     try {
-      // Queue read receipt for processing
-      await queueService.enqueueReadReceipt(userId, messageIds || [], conversationId);
-      
-           // Lazy load models
-      const db = require('../db/models');
-      const { Conversation, ConversationParticipant, Message, User } = db;
-
-      let updatedCount = 0;
-      
-      // Process immediately for UI feedback
-      if (messageIds && messageIds.length > 0) {
-        // Update specific messages
-        const [count] = await Message.update(
-          { status: 'read' },
-          { 
-            where: { 
-              id: { [Op.in]: messageIds },
-              receiverId: userId,
-              status: { [Op.ne]: 'read' }
-            } 
-          }
-        );
-        updatedCount += count;
-      }
+      const poll = await pollService.vote(req.app.get('io'), {
+        messageId: id,
+        userId: req.user.id,
+        optionIds
+      });
       
-      if (conversationId) {
-        // Verify user is a participant
-        const participation = await ConversationParticipant.findOne({
-          where: { conversationId, userId }
-        });
-        
-        if (!participation) {
-          throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
-        }
-        
-        // Update all messages in conversation
-        const [count] = await Message.update(
-          { status: 'read' },
-          { 
-            where: { 
-              conversationId,
-              receiverId: userId,
-              status: { [Op.ne]: 'read' }
-            } 
-          }
-        );
-        updatedCount += count;
-        
-        // Reset unread count for this conversation
-        await ConversationParticipant.update(
-          { unreadCount: 0 },
-          { where: { conversationId, userId } }
-        );
-        
-        // Reset Redis unread count
-        await redisService.resetUnreadCount(userId, conversationId);
+      res.json({ 
+        success: true,
+        poll
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
       }
+      throw createSystemError('Failed to record vote', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/messages/:id/poll/votes
+ * @desc Retract the caller's vote on a poll
+ * @access Private
+ */
+router.delete('/:id/poll/votes', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+      const poll = await pollService.retract(req.app.get('io'), {
+        messageId: id,
+        userId: req.user.id
+      });
       
       res.json({ 
         success: true,
-        message: `${updatedCount} messages marked as read`
+        poll
       });
     } catch (error) {
       if (error.isOperational) {
         throw error;
       }
-      throw createSystemError('Failed to mark messages as read', error);
+      throw createSystemError('Failed to retract vote', error);
     }
   })
 );
 
 /**
- * @route GET /api/v1/messages/offline
- * @desc Get offline messages for the authenticated user
+ * @route POST /api/v1/messages/:id/forward
+ * @desc Copy a message, attachments included, into one or more
+ *       conversations. The copies record the original sender.
  * @access Private
  */
-router.get('/offline', 
+router.post('/:id/forward', 
   authenticate, 
   asyncHandler(async (req, res) => {
-    const userId = req.user.id;
+    const { id } = req.params;
+    const { conversationIds } = req.body || {};
     
     try {
-      // Get offline messages
-      const messages = await queueService.getOfflineMessages(userId);
+      const io = req.app.get('io');
+      const socket = createUserSocket(io, req.user);
       
-      // Get sender details for messages
-      if (messages.length > 0) {
-        const senderIds = [...new Set(messages.map(m => m.senderId))];
-        
-        const senders = await User.findAll({
-          where: { id: { [Op.in]: senderIds } },
-          attributes: ['id', 'name', 'avatar']
-        });
-        
-        const senderMap = senders.reduce((map, sender) => {
-          map[sender.id] = sender;
-          return map;
-        }, {});
-        
-        // Attach sender info to messages
-        messages.forEach(message => {
-          message.sender = senderMap[message.senderId] || { id: message.senderId };
-        });
+      const results = await forwardService.forwardMessage(io, socket, {
+        messageId: id,
+        conversationIds
+      });
+      
+      for (const result of results) {
+        if (result.notifyRecipients && result.participants) {
+          await notificationService.sendMessageNotification(result.message, result.participants);
+        }
       }
       
-      res.json({
+      res.status(201).json({ 
         success: true,
-        messages,
-        count: messages.length
+        messages: results.map(result => result.message)
       });
     } catch (error) {
-      throw createSystemError('Failed to retrieve offline messages', error);
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to forward message', error);
     }
   })
 );
 
 /**
- * @route GET /api/v1/messages/search
- * @desc Search messages
+ * @route POST /api/v1/messages/:id/star
+ * @desc Star a message for the authenticated user
  * @access Private
  */
-router.get('/search', 
+router.post('/:id/star', 
   authenticate, 
   asyncHandler(async (req, res) => {
-
-         // Lazy load models
-      const db = require('../db/models');
-      const { Conversation, ConversationParticipant, Message, User } = db;
-      
-    const { query, conversationId, limit = 20, offset = 0 } = req.query;
-    const userId = req.user.id;
-    
-    if (!query || typeof query !== 'string' || query.trim().length < 2) {
-      throw createOperationalError('Search query must be at least 2 characters', 400, 'INVALID_QUERY');
-    }
+    const { id } = req.params;
     
-    // Validate query parameters
-    const parsedLimit = parseInt(limit);
-    const parsedOffset = parseInt(offset);
+    try {
+      const star = await starService.starMessage(req.app.get('io'), {
+        messageId: id,
+        userId: req.user.id
+      });
+      
+      res.json({ 
+        success: true,
+        ...star
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to star message', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/messages/:id/star
+ * @desc Remove the authenticated user's star from a message
+ * @access Private
+ */
+router.delete('/:id/star', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    try {
+      const star = await starService.unstarMessage(req.app.get('io'), {
+        messageId: id,
+        userId: req.user.id
+      });
+      
+      res.json({ 
+        success: true,
+        ...star
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to unstar message', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/:id/versions
+ * @desc Get message versions (edit history), oldest first. The last entry
+ *       is the current content.
+ * @access Private
+ */
+router.get('/:id/versions', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    
+    if (!id) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+    
+    try {
+      const { message, versions } = await editService.getVersions(id, req.user);
+      
+      res.json({ 
+        success: true,
+        messageId: message.id,
+        editCount: message.editCount || 0,
+        versions,
+        count: versions.length
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve message versions', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/:id/versions/diff
+ * @desc Word-level text diff between two versions, plus changed fields for
+ *       quotes (from/to are version numbers or 'current'; defaults to the
+ *       latest edit)
+ * @access Private
+ */
+router.get('/:id/versions/diff', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    
+    if (!id) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
     
+    try {
+      const diff = await editService.diffVersions(id, req.user, { from, to });
+      
+      res.json({ 
+        success: true,
+        ...diff
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to compute message diff', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/:id/thread
+ * @desc Get a thread (parent message and its replies)
+ * @access Private
+ */
+router.get('/:id/thread', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { limit = 50, before, after } = req.query;
+    const userId = req.user.id;
+    
+    const parsedLimit = parseInt(limit);
     if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > 100) {
       throw createOperationalError('Limit must be a number between 1 and 100', 400, 'INVALID_LIMIT');
     }
     
-    if (isNaN(parsedOffset) || parsedOffset < 0) {
-      throw createOperationalError('Offset must be a non-negative number', 400, 'INVALID_OFFSET');
+    if (before && isNaN(Date.parse(before))) {
+      throw createOperationalError('Invalid before date format', 400, 'INVALID_BEFORE_DATE');
+    }
+    
+    if (after && isNaN(Date.parse(after))) {
+      throw createOperationalError('Invalid after date format', 400, 'INVALID_AFTER_DATE');
     }
     
     try {
-      
-      // Build search conditions
-      const searchConditions = {
-        [Op.and]: [
-          // Either user is sender or receiver, or user is in conversation
-          {
-            [Op.or]: [
-              { senderId: userId },
-              { receiverId: userId },
-              { 
-                conversationId: {
-                  [Op.in]: Sequelize.literal(`(
-                    SELECT "conversationId" FROM "conversation_participants" 
-                    WHERE "userId" = '${userId}'
-                  )`)
-                }
-              }
-            ]
-          },
-          // Message content contains search query
-          Sequelize.literal(`"content"->>'text' ILIKE '%${query.replace(/'/g, "''")}%'`),
-          // Message is not deleted
-          { deleted: false }
+      const db = require('../db/models');
+      const { ConversationParticipant, Message, User } = db;
+
+      const notExpired = {
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
         ]
       };
       
-      // Add conversation filter if provided
-      if (conversationId) {
-        // Verify user is a participant in this conversation
-        const participation = await ConversationParticipant.findOne({
-          where: { conversationId, userId }
-        });
-        
-        if (!participation) {
-          throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
-        }
-        
-        searchConditions[Op.and].push({ conversationId });
+      const requested = await Message.findOne({ where: { id, ...notExpired } });
+      
+      if (!requested) {
+        throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
       }
       
-      // Execute search with pagination
-      const { count, rows: messages } = await Message.findAndCountAll({
-        where: searchConditions,
-        order: [['createdAt', 'DESC']],
-        limit: parsedLimit,
-        offset: parsedOffset
+      const participation = await ConversationParticipant.findOne({
+        where: { conversationId: requested.conversationId, userId }
       });
       
-      // Get sender details
-      const senderIds = [...new Set(messages.map(m => m.senderId))];
+      if (!participation) {
+        throw createOperationalError('Not authorized to view this thread', 403, 'NOT_AUTHORIZED');
+      }
+      
+      // Always resolve to the thread root
+      const parent = requested.parentMessageId
+        ? await Message.findOne({ where: { id: requested.parentMessageId, ...notExpired } })
+        : requested;
+      
+      if (!parent) {
+        throw createOperationalError('Thread not found', 404, 'THREAD_NOT_FOUND');
+      }
+      
+      const where = {
+        parentMessageId: parent.id,
+        deleted: false,
+        id: deletionService.notHiddenFor(userId),
+        ...notExpired
+      };
+      
+      if (before) {
+        where.createdAt = { ...where.createdAt, [Op.lt]: new Date(before) };
+      }
+      
+      if (after) {
+        where.createdAt = { ...where.createdAt, [Op.gt]: new Date(after) };
+      }
+      
+      const replies = await Message.findAll({
+        where,
+        order: [['createdAt', before ? 'DESC' : 'ASC']],
+        limit: parsedLimit
+      });
+      
+      // Keep replies in chronological order regardless of paging direction
+      if (before) {
+        replies.reverse();
+      }
       
+      const senderIds = [...new Set([parent.senderId, ...replies.map(r => r.senderId)])].filter(Boolean);
       const senders = await User.findAll({
         where: { id: { [Op.in]: senderIds } },
         attributes: ['id', 'name', 'avatar']
       });
-      
       const senderMap = senders.reduce((map, sender) => {
         map[sender.id] = sender;
         return map;
       }, {});
       
-      // Format messages
-      const formattedMessages = messages.map(message => {
-        const sender = senderMap[message.senderId] || { id: message.senderId };
-        
-        return {
-          id: message.id,
-          conversationId: message.conversationId,
-          senderId: message.senderId,
-          sender,
-          receiverId: message.receiverId,
-          type: message.type,
-          content: message.content,
-          status: message.status,
-          createdAt: message.createdAt,
-          updatedAt: message.updatedAt
-        };
+      const reactionMap = await messageService.getReactionSummaries(
+        [parent.id, ...replies.map(r => r.id)],
+        userId
+      );
+      
+      const formatMessage = (message) => ({
+        id: message.id,
+        conversationId: message.conversationId,
+        senderId: message.senderId,
+        sender: senderMap[message.senderId] || null,
+        type: message.type,
+        content: message.deleted ? {} : message.content,
+        status: message.status,
+        deleted: message.deleted,
+        parentMessageId: message.parentMessageId || null,
+        isEdited: message.isEdited,
+        editCount: message.editCount || 0,
+        editedAt: message.editedAt || null,
+        isForwarded: message.isForwarded,
+        originalSenderId: message.originalSenderId || null,
+        reactions: reactionMap[message.id] || [],
+        createdAt: message.createdAt,
+        updatedAt: message.updatedAt
       });
       
       res.json({
         success: true,
-        messages: formattedMessages,
-        total: count,
+        parent: {
+          ...formatMessage(parent),
+          threadReplyCount: parent.threadReplyCount || 0,
+          threadLastReplyAt: parent.threadLastReplyAt || null
+        },
+        replies: replies.map(formatMessage),
         limit: parsedLimit,
-        offset: parsedOffset,
-        query,
-        hasMore: (parsedOffset + formattedMessages.length) < count
+        hasMore: replies.length === parsedLimit
       });
     } catch (error) {
       if (error.isOperational) {
         throw error;
       }
-      throw createSystemError('Failed to search messages', error);
+      throw createSystemError('Failed to retrieve thread', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/:id/receipts
+ * @desc Get per-recipient delivery and read receipts (seen by / delivered to)
+ * @access Private
+ */
+router.get('/:id/receipts', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
+    
+    try {
+      const receipts = await receiptService.getMessageReceipts(id, userId);
+      
+      res.json({
+        success: true,
+        ...receipts
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve message receipts', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/messages/:id/reactions
+ * @desc Add a reaction to a message
+ * @access Private
+ */
+router.post('/:id/reactions', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { emoji } = req.body;
+    const userId = req.user.id;
+    
+    if (!emoji) {
+      throw createOperationalError('Emoji is required', 400, 'MISSING_EMOJI');
+    }
+    
+    try {
+      const result = await messageService.handleReactMessage(req.app.get('io'), {
+        messageId: id,
+        userId,
+        emoji,
+        action: 'add'
+      });
+      
+      res.status(201).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to add reaction', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/messages/:id/reactions
+ * @desc Remove a reaction from a message (emoji in body or query string)
+ * @access Private
+ */
+router.delete('/:id/reactions', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const emoji = (req.body && req.body.emoji) || req.query.emoji;
+    const userId = req.user.id;
+    
+    if (!emoji) {
+      throw createOperationalError('Emoji is required', 400, 'MISSING_EMOJI');
+    }
+    
+    try {
+      const result = await messageService.handleReactMessage(req.app.get('io'), {
+        messageId: id,
+        userId,
+        emoji,
+        action: 'remove'
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to remove reaction', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/messages/deliver
+ * @desc Mark messages as delivered
+ * @access Private
+ */
+router.post('/deliver', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { messageIds } = req.body;
+    const userId = req.user.id;
+    
+    if (!messageIds || !Array.isArray(messageIds) || messageIds.length === 0) {
+      throw createOperationalError('Message IDs array is required and cannot be empty', 400, 'INVALID_MESSAGE_IDS');
+    }
+    
+    if (messageIds.length > 100) {
+      throw createOperationalError('Cannot mark more than 100 messages as delivered at once', 400, 'TOO_MANY_MESSAGES');
+    }
+    
+    try {
+      // Queue delivery receipt for processing
+      await queueService.enqueueDeliveryReceipt(userId, messageIds);
+      
+      // Record receipts immediately for UI feedback
+      const updatedIds = await receiptService.markDelivered(userId, messageIds);
+      const updatedCount = updatedIds.length;
+      
+      res.json({ 
+        success: true,
+        message: `${updatedCount} messages marked as delivered`
+      });
+    } catch (error) {
+      throw createSystemError('Failed to mark messages as delivered', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/messages/read
+ * @desc Mark messages as read
+ * @access Private
+ */
+router.post('/read', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const { messageIds, conversationId } = req.body;
+    const userId = req.user.id;
+    
+    // More flexible validation
+    if (!messageIds && !conversationId) {
+      throw createOperationalError('Either messageIds array or conversationId is required', 400, 'MISSING_PARAMETERS');
+    }
+    
+    // If messageIds is provided, validate it's an array (can be empty if conversationId is provided)
+    if (messageIds !== undefined && !Array.isArray(messageIds)) {
+      throw createOperationalError('Message IDs must be an array', 400, 'INVALID_MESSAGE_IDS_FORMAT');
+    }
+    
+    // If only messageIds is provided, it must not be empty
+    if (messageIds && !conversationId && messageIds.length === 0) {
+      throw createOperationalError('Message IDs array cannot be empty when conversationId is not provided', 400, 'EMPTY_MESSAGE_IDS');
+    }
+    
+    if (messageIds && messageIds.length > 100) {
+      throw createOperationalError('Cannot mark more than 100 messages as read at once', 400, 'TOO_MANY_MESSAGES');
+    }
+    
+    try {
+      // Queue read receipt for processing
+      await queueService.enqueueReadReceipt(userId, messageIds || [], conversationId);
+      
+           // Lazy load models
+      const db = require('../db/models');
+      const { Conversation, ConversationParticipant, Message, User } = db;
+
+      if (conversationId) {
+        // Verify user is a participant
+        const participation = await ConversationParticipant.findOne({
+          where: { conversationId, userId }
+        });
+        
+        if (!participation) {
+          throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+        }
+      }
+      
+      // Record receipts immediately for UI feedback
+      const updatedIds = await receiptService.markRead(userId, {
+        messageIds: messageIds || [],
+        conversationId
+      });
+      const updatedCount = updatedIds.length;
+      
+      if (conversationId) {
+        // Reset unread count for this conversation
+        await ConversationParticipant.update(
+          { unreadCount: 0, unreadMentionCount: 0 },
+          { where: { conversationId, userId } }
+        );
+        
+        // Reset Redis unread count
+        await redisService.resetUnreadCount(userId, conversationId);
+      }
+      
+      res.json({ 
+        success: true,
+        message: `${updatedCount} messages marked as read`
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to mark messages as read', error);
+    }
+  })
+);
+
+/**
+ * @route GET /api/v1/messages/offline
+ * @desc Get offline messages for the authenticated user
+ * @access Private
+ */
+router.get('/offline', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    
+    try {
+      // Get offline messages
+      const messages = await queueService.getOfflineMessages(userId);
+      
+      // Get sender details for messages
+      if (messages.length > 0) {
+        const senderIds = [...new Set(messages.map(m => m.senderId))];
+        
+        const senders = await User.findAll({
+          where: { id: { [Op.in]: senderIds } },
+          attributes: ['id', 'name', 'avatar']
+        });
+        
+        const senderMap = senders.reduce((map, sender) => {
+          map[sender.id] = sender;
+          return map;
+        }, {});
+        
+        // Attach sender info to messages
+        messages.forEach(message => {
+          message.sender = senderMap[message.senderId] || { id: message.senderId };
+        });
+      }
+      
+      res.json({
+        success: true,
+        messages,
+        count: messages.length
+      });
+    } catch (error) {
+      throw createSystemError('Failed to retrieve offline messages', error);
     }
   })
 );
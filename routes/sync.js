@@ -0,0 +1,59 @@
+// routes/sync.js
+const express = require('express');
+const router = express.Router();
+const { authenticate } = require('../middleware/authentication');
+const syncService = require('../services/sync.service');
+const logger = require('../utils/logger');
+
+const { asyncHandler, createOperationalError, createSystemError } = require('../middleware/exceptionHandler');
+
+/**
+ * @route GET /api/v1/sync
+ * @desc Durable delta since a cursor: new, edited and deleted messages,
+ *       conversation metadata, participant changes and read state.
+ *       Call again with the returned cursor while hasMore is true.
+ *       Omit `since` for a full sync.
+ * @access Private
+ */
+router.get('/',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { since, limit = 200 } = req.query;
+    const userId = req.user.id;
+
+    if (since !== undefined && (typeof since !== 'string' || since.length === 0)) {
+      throw createOperationalError('since must be a cursor returned by a previous sync', 400, 'INVALID_SYNC_CURSOR');
+    }
+
+    const parsedLimit = parseInt(limit);
+
+    if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > syncService.MAX_PAGE_SIZE) {
+      throw createOperationalError(`Limit must be a number between 1 and ${syncService.MAX_PAGE_SIZE}`, 400, 'INVALID_LIMIT');
+    }
+
+    try {
+      const changes = await syncService.getChanges(userId, {
+        since: since || null,
+        limit: parsedLimit
+      });
+
+      logger.info('Sync served', {
+        userId,
+        incremental: !!since,
+        hasMore: changes.hasMore
+      });
+
+      res.json({
+        success: true,
+        ...changes
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to sync changes', error);
+    }
+  })
+);
+
+module.exports = router;
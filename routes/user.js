@@ -6,6 +6,7 @@ const { Op } = require('sequelize');
 
 const { authenticate } = require('../middleware/authentication');
 const redisService = require('../services/redis');
+const blockService = require('../services/socket/blockService');
 const logger = require('../utils/logger');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
@@ -334,6 +335,96 @@ router.get('/',
   })
 );
 
+/**
+ * @route GET /api/v1/users/blocked
+ * @desc Users the current user has blocked, most recent first
+ * @access Private
+ */
+router.get('/blocked', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    try {
+      const users = await blockService.getBlockedUsers(req.user.id);
+      
+      res.json({
+        success: true,
+        users,
+        count: users.length
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to retrieve blocked users', error);
+    }
+  })
+);
+
+/**
+ * @route POST /api/v1/users/:id/block
+ * @desc Block a user: no one-to-one messages or new conversations between
+ *       the two, and the user's presence and typing are hidden from the caller
+ * @access Private
+ */
+router.post('/:id/block', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.id)) {
+      throw createOperationalError('Invalid user ID format', 400, 'INVALID_USER_ID_FORMAT');
+    }
+    
+    try {
+      const result = await blockService.blockUser(req.app.get('io'), {
+        userId: req.user.id,
+        targetUserId: req.params.id
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to block user', error);
+    }
+  })
+);
+
+/**
+ * @route DELETE /api/v1/users/:id/block
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete('/:id/block', 
+  authenticate, 
+  asyncHandler(async (req, res) => {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    if (!uuidRegex.test(req.params.id)) {
+      throw createOperationalError('Invalid user ID format', 400, 'INVALID_USER_ID_FORMAT');
+    }
+    
+    try {
+      const result = await blockService.unblockUser(req.app.get('io'), {
+        userId: req.user.id,
+        targetUserId: req.params.id
+      });
+      
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      if (error.isOperational) {
+        throw error;
+      }
+      throw createSystemError('Failed to unblock user', error);
+    }
+  })
+);
+
 // Get user by ID
 // Get user by ID - Updated to handle user existence checks better
 router.get('/:id', 
@@ -947,8 +1038,11 @@ router.post('/bulk-status',
            // Lazy load models
       const db = require('../db/models');
       const { Conversation, ConversationParticipant, Message, User } = db;
-      // Get presence info from Redis
-      const presenceMap = await redisService.getUsersPresence(userIds);
+      // Get presence info from Redis; users the caller blocked show as offline
+      const presenceMap = await blockService.hidePresence(
+        req.user.id,
+        await redisService.getUsersPresence(userIds)
+      );
 
       let userDetails = {};
       if (includeDetails) {
@@ -4,6 +4,9 @@ const fileHelpers = require('../utils/fileHelpers');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const db = require('../db/models');
+const { Op } = require('sequelize');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 class MediaUploadService {
   /**
@@ -80,7 +83,7 @@ class MediaUploadService {
       });
 
       // Build public URL
-      const publicUrl = `https://${media.s3Bucket}.s3.${media.s3Region}.amazonaws.com/${media.s3Key}`;
+      const publicUrl = this.buildPublicUrl(media);
 
       return {
         success: true,
@@ -280,6 +283,253 @@ class MediaUploadService {
       throw error;
     }
   }
+
+  /**
+   * Collect Media ids and S3 keys referenced from a message's content
+   * @param {Object} content - Message content (attachments, images, audio)
+   * @returns {{mediaIds: string[], s3Keys: string[]}}
+   */
+  extractMediaReferences(content = {}) {
+    const mediaIds = [];
+    const s3Keys = [];
+    const items = [
+      ...(Array.isArray(content.attachments) ? content.attachments : []),
+      ...(Array.isArray(content.images) ? content.images : []),
+      ...(content.audio ? [content.audio] : [])
+    ];
+
+    for (const item of items) {
+      const ref = typeof item === 'string' ? { url: item } : (item || {});
+      const id = ref.mediaId || ref.id;
+
+      if (id && UUID_PATTERN.test(id)) {
+        mediaIds.push(id);
+      }
+
+      const key = this.s3KeyFromUrl(ref.url);
+      if (key) s3Keys.push(key);
+    }
+
+    return { mediaIds, s3Keys };
+  }
+
+  /**
+   * S3 key from an object URL, or null when it can't be parsed
+   * @param {string} url - Public object URL
+   * @returns {string|null}
+   */
+  s3KeyFromUrl(url) {
+    if (!url) {
+      return null;
+    }
+
+    try {
+      return decodeURIComponent(new URL(url).pathname.replace(/^\//, '')) || null;
+    } catch (error) {
+      // Not an absolute URL, nothing to match on
+      return null;
+    }
+  }
+
+  /**
+   * Public URL of a media object
+   * @param {Object} media - Media record
+   * @returns {string}
+   */
+  buildPublicUrl(media) {
+    return `https://${media.s3Bucket}.s3.${media.s3Region}.amazonaws.com/${media.s3Key}`;
+  }
+
+  /**
+   * Copy the media referenced from message content for use in another
+   * conversation. Each file gets its own S3 object and Media row, so the
+   * copy keeps working when the original message's media is purged.
+   * References without a Media row (external URLs) are kept as they are.
+   * @param {Object} content - Message content (attachments, images, audio)
+   * @param {Object} context - userId and target conversationId
+   * @returns {Promise<{content: Object, mediaIds: string[]}>} Content pointing at the copies, and their Media ids
+   */
+  async copyMessageMedia(content = {}, context = {}) {
+    const { mediaIds, s3Keys } = this.extractMediaReferences(content);
+
+    if (mediaIds.length === 0 && s3Keys.length === 0) {
+      return { content, mediaIds: [] };
+    }
+
+    const Media = db.Media;
+    const conditions = [];
+    if (mediaIds.length) conditions.push({ id: { [Op.in]: mediaIds } });
+    if (s3Keys.length) conditions.push({ s3Key: { [Op.in]: s3Keys } });
+
+    const sources = await Media.findAll({
+      where: { [Op.or]: conditions, deletedAt: null }
+    });
+
+    const copies = new Map();
+    const copiedObjects = [];
+
+    try {
+      for (const source of sources) {
+        const s3Key = fileHelpers.generateS3Key({
+          userId: context.userId,
+          conversationId: context.conversationId,
+          fileCategory: source.fileCategory,
+          originalName: source.originalName
+        });
+        const s3Bucket = config.fileUpload.s3.bucket;
+
+        await s3Service.copyFile(source.s3Key, s3Key, {
+          sourceBucket: source.s3Bucket,
+          bucket: s3Bucket
+        });
+        copiedObjects.push({ s3Key, s3Bucket });
+
+        const copy = await Media.create({
+          id: uuidv4(),
+          userId: context.userId,
+          conversationId: context.conversationId || null,
+          messageId: null,
+          fileName: fileHelpers.extractFileName(s3Key),
+          originalName: source.originalName,
+          mimeType: source.mimeType,
+          fileSize: source.fileSize,
+          fileCategory: source.fileCategory,
+          s3Key,
+          s3Bucket,
+          s3Region: config.fileUpload.s3.region,
+          uploadStatus: 'completed',
+          uploadedBy: context.userId
+        });
+
+        copies.set(source.id, copy);
+      }
+    } catch (error) {
+      // Leave nothing behind for a copy that won't be sent
+      for (const object of copiedObjects) {
+        await s3Service.deleteFile(object.s3Key, object.s3Bucket).catch(() => {});
+      }
+      if (copies.size > 0) {
+        await Media.destroy({ where: { id: { [Op.in]: [...copies.values()].map(m => m.id) } } });
+      }
+
+      logger.error('[COPY_MEDIA] Failed to copy message media', {
+        conversationId: context.conversationId,
+        error: error.message
+      });
+      throw error;
+    }
+
+    const findCopy = (ref) => {
+      const source = sources.find(m =>
+        (ref.mediaId || ref.id) === m.id || this.s3KeyFromUrl(ref.url) === m.s3Key
+      );
+      return source ? copies.get(source.id) : null;
+    };
+
+    const rewrite = (item) => {
+      const ref = typeof item === 'string' ? { url: item } : (item || {});
+      const copy = findCopy(ref);
+
+      if (!copy) {
+        return item;
+      }
+
+      const url = this.buildPublicUrl(copy);
+
+      if (typeof item === 'string') {
+        return url;
+      }
+
+      return {
+        ...item,
+        ...(item.mediaId && { mediaId: copy.id }),
+        ...(!item.mediaId && item.id && { id: copy.id }),
+        ...(item.url && { url })
+      };
+    };
+
+    logger.info('[COPY_MEDIA] Message media copied', {
+      conversationId: context.conversationId,
+      copied: copies.size
+    });
+
+    return {
+      content: {
+        ...content,
+        ...(Array.isArray(content.images) && { images: content.images.map(rewrite) }),
+        ...(Array.isArray(content.attachments) && { attachments: content.attachments.map(rewrite) }),
+        ...(content.audio && { audio: rewrite(content.audio) })
+      },
+      mediaIds: [...copies.values()].map(m => m.id)
+    };
+  }
+
+  /**
+   * Hard delete the media of messages: S3 objects first, then Media rows.
+   * Matches rows linked by messageId or referenced from message content.
+   * @param {Array} messages - Messages with id and content
+   * @returns {Promise<Object>} Purged count and ids of messages whose media could not be removed
+   */
+  async purgeMessageMedia(messages) {
+    if (!messages || messages.length === 0) {
+      return { purged: 0, failedMessageIds: [] };
+    }
+
+    const Media = db.Media;
+    const messageIds = messages.map(m => m.id);
+    const refsByMessage = new Map();
+    const mediaIds = [];
+    const s3Keys = [];
+
+    for (const message of messages) {
+      const refs = this.extractMediaReferences(message.content || {});
+      refsByMessage.set(message.id, refs);
+      mediaIds.push(...refs.mediaIds);
+      s3Keys.push(...refs.s3Keys);
+    }
+
+    const conditions = [{ messageId: { [Op.in]: messageIds } }];
+    if (mediaIds.length) conditions.push({ id: { [Op.in]: mediaIds } });
+    if (s3Keys.length) conditions.push({ s3Key: { [Op.in]: s3Keys } });
+
+    const mediaRows = await Media.findAll({ where: { [Op.or]: conditions } });
+
+    const purgedIds = [];
+    const failedMessageIds = new Set();
+
+    for (const media of mediaRows) {
+      try {
+        await s3Service.deleteFile(media.s3Key, media.s3Bucket);
+        purgedIds.push(media.id);
+      } catch (error) {
+        logger.error('[PURGE_MEDIA] Failed to delete S3 object', {
+          mediaId: media.id,
+          s3Key: media.s3Key,
+          error: error.message
+        });
+
+        for (const [messageId, refs] of refsByMessage) {
+          if (media.messageId === messageId ||
+              refs.mediaIds.includes(media.id) ||
+              refs.s3Keys.includes(media.s3Key)) {
+            failedMessageIds.add(messageId);
+          }
+        }
+      }
+    }
+
+    if (purgedIds.length > 0) {
+      await Media.destroy({ where: { id: { [Op.in]: purgedIds } } });
+    }
+
+    logger.info('[PURGE_MEDIA] Message media purged', {
+      messages: messageIds.length,
+      purged: purgedIds.length,
+      failed: failedMessageIds.size
+    });
+
+    return { purged: purgedIds.length, failedMessageIds: [...failedMessageIds] };
+  }
 }
 
 const mediaUploadServiceInstance = new MediaUploadService();
@@ -1,9 +1,11 @@
 // services/notifications/notificationService.js - FIXED VERSION
 const handlebars = require('handlebars');
 const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
 const db = require('../../db');
 const logger = require('../../utils/logger');
 const fcmService = require('./fcm');
+const muteService = require('../socket/muteService');
 const { BUSINESS_ENTITY_TYPES, NOTIFICATION_EVENTS, APP_IDS } = require('../../config/notifiction-constants');
 
 class NotificationService {
@@ -992,7 +994,12 @@ class NotificationService {
         throw new Error('Sender not found');
       }
       
-      const eventKey = 'chat.new_message';
+      // Mentions get through a mute but not a 'none' notification level
+      const mentionedIds = new Set(
+        (Array.isArray(message.content?.mentions) ? message.content.mentions : []).map(m => m.userId)
+      );
+      const settingsByUser = await this.getRecipientSettings(message.conversationId, recipients);
+
       const data = {
         messageId: message.id,
         conversationId: message.conversationId,
@@ -1013,6 +1020,21 @@ class NotificationService {
       };
 
       for (const recipientId of recipients) {
+        const isMentioned = mentionedIds.has(recipientId);
+        const eventKey = isMentioned ? NOTIFICATION_EVENTS.CHAT_MENTION : NOTIFICATION_EVENTS.CHAT_NEW_MESSAGE;
+
+        const settings = settingsByUser.get(recipientId);
+
+        if (!muteService.shouldNotify(settings, isMentioned)) {
+          results.push({
+            recipientId,
+            success: false,
+            skipped: true,
+            reason: this.getSkipReason(settings)
+          });
+          continue;
+        }
+
         try {
           const recipient = await models.User.findByPk(recipientId);
           if (!recipient) {
@@ -1030,12 +1052,13 @@ class NotificationService {
             appId,
             eventKey,
             recipientId,
-            data,
+            isMentioned ? { ...data, type: 'chat_mention' } : data,
             businessContext
           );
           
           results.push({
             recipientId,
+            eventKey,
             success: result.success,
             operationId: result.operationId
           });
@@ -1063,6 +1086,86 @@ class NotificationService {
     }
   }
 
+  /**
+   * Tell the author of a quote or appointment card that it was answered
+   * @param {string} eventKey - e.g. contract.accepted, appointment.declined
+   * @param {Object} message - Card message
+   * @param {Object} card - Card after the action
+   * @param {string} actorId - User who answered
+   */
+  async sendCardActionNotification(eventKey, message, card, actorId) {
+    await this.ensureInitialized();
+
+    const models = db.getModels();
+    const [actor, recipient] = await Promise.all([
+      models.User.findByPk(actorId),
+      models.User.findByPk(message.senderId)
+    ]);
+
+    if (!recipient) {
+      throw new Error('Card sender not found');
+    }
+
+    const appId = recipient.role === 'customer' ? APP_IDS.CUSTOMER_APP : APP_IDS.USTA_APP;
+
+    const data = {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      actorId,
+      actorName: actor ? (actor.name || actor.fullName) : 'Someone',
+      cardType: message.type,
+      cardStatus: card.status,
+      amount: card.amount,
+      currency: card.currency,
+      selectedSlot: card.selectedSlot ? card.selectedSlot.start : null,
+      type: 'chat_card_action'
+    };
+
+    const businessContext = {
+      triggeredBy: actorId,
+      businessEntityType: BUSINESS_ENTITY_TYPES.CHAT,
+      businessEntityId: message.conversationId,
+      metadata: {
+        source: 'chat_service',
+        messageType: `${message.type}_card`
+      }
+    };
+
+    return this.processNotification(appId, eventKey, message.senderId, data, businessContext);
+  }
+
+  /**
+   * Mute state and notification level of each recipient in the conversation
+   * @returns {Promise<Map<string, Object>>} userId -> participant settings
+   */
+  async getRecipientSettings(conversationId, recipientIds) {
+    if (!conversationId || !recipientIds.length) {
+      return new Map();
+    }
+
+    const models = db.getModels();
+    const participants = await models.ConversationParticipant.findAll({
+      where: {
+        conversationId,
+        userId: { [Op.in]: recipientIds }
+      },
+      attributes: ['userId', 'isMuted', 'mutedUntil', 'notificationLevel']
+    });
+
+    return new Map(participants.map(p => [p.userId, p]));
+  }
+
+  getSkipReason(settings) {
+    switch (settings?.notificationLevel) {
+      case 'none':
+        return 'Notifications off';
+      case 'mentions':
+        return 'Mentions only';
+      default:
+        return 'Conversation muted';
+    }
+  }
+
   async sendNotification(recipientId, notification) {
     try {
       await this.ensureInitialized();
@@ -5,6 +5,7 @@ const logger = require('../../utils/logger');
 const redisService = require('../redis');
 const queueService = require('./queueService');
 const notificationService = require('../notifications/notificationService');
+const receiptService = require('../socket/receiptService');
 
 class MessageQueueService {
   constructor() {
@@ -12,6 +13,14 @@ class MessageQueueService {
     this.processingInterval = null;
     this.initialized = false;
     this.messagesBatchSize = 10; // Process 10 messages at a time
+    this.io = null;
+  }
+
+  /**
+   * Socket.IO instance used to emit receipt events (the worker's Redis emitter)
+   */
+  setIO(io) {
+    this.io = io;
   }
 
   async ensureDbInitialized() {
@@ -244,39 +253,39 @@ class MessageQueueService {
             continue;
           }
           
-          // Update message status to delivered
-          const result = await Message.update(
-            { status: 'delivered' },
-            { 
-              where: { 
-                id: messageIds,
-                receiverId: userId,
-                status: 'sent'
-              } 
-            }
-          );
+          // Record per-recipient delivery; Message.status is derived from receipts
+          const updatedIds = await receiptService.markDelivered(userId, messageIds);
           
           // Get updated messages to emit socket events
           const updatedMessages = await Message.findAll({
-            where: { id: messageIds }
+            where: { id: updatedIds },
+            attributes: ['id', 'conversationId', 'senderId', 'status']
           });
           
-          // Group by sender for notifications
-          const messagesBySender = {};
+          // Group by conversation so senders see the receipt
+          const messagesByConversation = {};
           updatedMessages.forEach(msg => {
-            if (!messagesBySender[msg.senderId]) {
-              messagesBySender[msg.senderId] = [];
+            if (!messagesByConversation[msg.conversationId]) {
+              messagesByConversation[msg.conversationId] = [];
             }
-            messagesBySender[msg.senderId].push(msg.id);
+            messagesByConversation[msg.conversationId].push({ messageId: msg.id, status: msg.status });
           });
           
-          // This would be handled through socket notifications
-          // We'd need access to the socket.io instance to emit events
+          if (this.io) {
+            for (const [conversationId, messages] of Object.entries(messagesByConversation)) {
+              this.io.to(`conversation:${conversationId}`).emit('messages_delivered', {
+                conversationId,
+                deliveredTo: userId,
+                messages,
+                timestamp: Date.now()
+              });
+            }
+          }
           
           processedCount += messageIds.length;
           logger.info(`Delivery receipts for ${messageIds.length} messages processed`, {
             userId,
-            updatedCount: result[0]
+            updatedCount: updatedIds.length
           });
         } catch (error) {
           logger.error(`Error processing delivery receipt: ${error.message}`, {
@@ -336,40 +345,18 @@ class MessageQueueService {
             continue;
           }
           
-          let updatedCount = 0;
-          
-          // For specific messages
-          if (messageIds && messageIds.length > 0) {
-            const result = await Message.update(
-              { status: 'read' },
-              { 
-                where: { 
-                  id: messageIds,
-                  receiverId: userId,
-                  status: { [Op.ne]: 'read' }
-                } 
-              }
-            );
-            updatedCount += result[0];
-          }
+          // Record per-recipient reads; Message.status is derived from receipts
+          const updatedIds = await receiptService.markRead(userId, {
+            messageIds: messageIds || [],
+            conversationId
+          });
+          const updatedCount = updatedIds.length;
           
           // For entire conversation
           if (conversationId) {
-            const result = await Message.update(
-              { status: 'read' },
-              {
-                where: {
-                  conversationId,
-                  receiverId: userId,
-                  status: { [Op.ne]: 'read' }
-                }
-              }
-            );
-            updatedCount += result[0];
-            
             // Reset unread count in participant record
             await ConversationParticipant.update(
-              { unreadCount: 0 },
+              { unreadCount: 0, unreadMentionCount: 0 },
               { where: { conversationId, userId } }
             );
             
@@ -1,9 +1,9 @@
 // services/queue.js
 const { v4: uuidv4 } = require('uuid');
-const { Op } = require('sequelize');
 const Redis = require('ioredis');
 const logger = require('../../utils/logger');
 const { User, Message, Conversation, ConversationParticipant } = require('../../db/models');
+const editService = require('../socket/editService');
 
 // Create Redis client for queue operations
 const redisClient = new Redis({
@@ -292,95 +292,6 @@ const processPresenceQueue = async () => {
   }
 };
 
-// Process delivery receipts
-const processDeliveryReceiptsQueue = async () => {
-  const receipt = await redisClient.lpop(QUEUES.DELIVERY_RECEIPTS);
-  
-  if (!receipt) return null;
-  
-  try {
-    const data = JSON.parse(receipt);
-    const { userId, messageIds } = data;
-    
-    if (!userId || !messageIds || !Array.isArray(messageIds) || messageIds.length === 0) {
-      return null;
-    }
-    
-    // Update message status to delivered
-    await Message.update(
-      { status: 'delivered' },
-      { 
-        where: { 
-          id: messageIds,
-          receiverId: userId,
-          status: 'sent'
-        } 
-      }
-    );
-    
-    logger.info(`Delivery receipts for ${messageIds.length} messages processed`);
-    return { userId, count: messageIds.length };
-  } catch (error) {
-    logger.error(`Error processing delivery receipts: ${error}`);
-    return null;
-  }
-};
-
-// Process read receipts
-const processReadReceiptsQueue = async () => {
-  const receipt = await redisClient.lpop(QUEUES.READ_RECEIPTS);
-  
-  if (!receipt) return null;
-  
-  try {
-    const data = JSON.parse(receipt);
-    const { userId, messageIds, conversationId } = data;
-    
-    if (!userId || (!messageIds && !conversationId)) {
-      return null;
-    }
-    
-    // For specific messages
-    if (messageIds && messageIds.length > 0) {
-      await Message.update(
-        { status: 'read' },
-        { 
-          where: { 
-            id: messageIds,
-            receiverId: userId
-          } 
-        }
-      );
-    }
-    
-    // For entire conversation
-    if (conversationId) {
-      await Message.update(
-        { status: 'read' },
-        {
-          where: {
-            conversationId,
-            receiverId: userId,
-            status: { [Op.ne]: 'read' }
-          }
-        }
-      );
-      
-      // Reset unread count in participant record
-      await ConversationParticipant.update(
-        { unreadCount: 0 },
-        { where: { conversationId, userId } }
-      );
-    }
-    
-    logger.info(`Read receipts processed for user ${userId}`);
-    return { userId, conversationId, messageCount: messageIds ? messageIds.length : 'all' };
-  } catch (error) {
-    logger.error(`Error processing read receipts: ${error}`);
-    return null;
-  }
-};
-
 // Process conversation operations
 const processConversationQueue = async () => {
   const operation = await redisClient.lpop(QUEUES.CONVERSATIONS);
@@ -504,21 +415,18 @@ const processBatchMessageUpdates = async (updates, userId) => {
   
   for (const update of updates) {
     try {
-      const { messageId, content } = update;
+      const { messageId, content = {} } = update;
       
-      // Verify ownership
-      const message = await Message.findOne({
-        where: { id: messageId, senderId: userId }
+      // Same edit policy as live edits (window, text only, version history)
+      await editService.editMessage(null, {
+        messageId,
+        userId,
+        text: content.text,
+        images: content.images,
+        attachments: content.attachments,
+        card: content.card
       });
       
-      if (!message) {
-        throw new Error('Message not found or not authorized to edit');
-      }
-      
-      // Update message
-      message.content = { ...message.content, ...content, edited: true, editedAt: new Date() };
-      await message.save();
-      
       results.push({
         success: true,
         messageId,
@@ -625,8 +533,6 @@ module.exports = {
   getOfflineNotifications,
   processMessageQueue,
   processPresenceQueue,
-  processDeliveryReceiptsQueue,
-  processReadReceiptsQueue,
   processConversationQueue,
   processBatchQueue,
   ping,
@@ -584,6 +584,35 @@ const getConversationMessages = async (conversationId, limit = 50, offset = 0) =
   return messages;
 };
 
+/**
+ * Remove specific messages from the cache and from their conversation list
+ */
+const deleteMessages = async (conversationId, messageIds) => {
+  if (!messageIds || messageIds.length === 0) return 0;
+  
+  try {
+    const pipeline = redisClient.pipeline();
+    
+    messageIds.forEach(messageId => {
+      pipeline.del(KEY_PREFIXES.MESSAGE + messageId);
+    });
+    
+    if (conversationId) {
+      pipeline.zrem(KEY_PREFIXES.CONVERSATION_MESSAGES + conversationId, ...messageIds);
+    }
+    
+    await pipeline.exec();
+    return messageIds.length;
+  } catch (error) {
+    logger.error('Error deleting messages from Redis', {
+      conversationId,
+      count: messageIds.length,
+      error: error.message
+    });
+    return 0;
+  }
+};
+
 // ============================================================================
 // TYPING INDICATOR FUNCTIONS
 // ============================================================================
@@ -727,6 +756,7 @@ module.exports = {
   cacheMessage,
   getMessage,
   getConversationMessages,
+  deleteMessages,
   
   // Typing functions
   setUserTyping,
@@ -187,6 +187,45 @@ class S3Service {
     }
   }
 
+  /**
+   * Copy an object within S3 (server-side, no download)
+   * @param {string} sourceKey - Source object key
+   * @param {string} destinationKey - Destination object key
+   * @param {Object} options - sourceBucket, bucket (destination)
+   * @returns {Promise<Object>}
+   */
+  async copyFile(sourceKey, destinationKey, options = {}) {
+    const {
+      sourceBucket = this.defaultBucket,
+      bucket = this.defaultBucket
+    } = options;
+
+    try {
+      await this.s3.copyObject({
+        Bucket: bucket,
+        Key: destinationKey,
+        CopySource: encodeURI(`${sourceBucket}/${sourceKey}`),
+        MetadataDirective: 'COPY'
+      }).promise();
+
+      logger.info('File copied in S3', {
+        sourceBucket,
+        sourceKey,
+        bucket,
+        key: destinationKey
+      });
+
+      return { success: true, key: destinationKey, bucket };
+    } catch (error) {
+      logger.error('Error copying file in S3', {
+        error: error.message,
+        sourceKey,
+        key: destinationKey
+      });
+      throw error;
+    }
+  }
+
   /**
    * Check if file exists in S3
    * @param {string} s3Key - S3 object key
@@ -0,0 +1,247 @@
+const { QueryTypes } = require('sequelize');
+const logger = require('../utils/logger');
+const db = require('../db/models');
+
+// Text search configurations per supported language. Only these fixed
+// names are ever placed into SQL; user input is always bound.
+const SEARCH_LANGUAGES = {
+  en: ['english'],
+  sq: ['albanian'],
+  auto: ['english', 'albanian']
+};
+
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "';
+
+class SearchService {
+  /**
+   * Build the tsquery expression for the requested language. Attachment
+   * names are indexed with the simple configuration, so it is always included.
+   * @param {string} lang - en, sq or auto
+   * @returns {string} SQL expression using the :query replacement
+   */
+  buildTsQuery(lang = 'auto') {
+    const configs = [...(SEARCH_LANGUAGES[lang] || SEARCH_LANGUAGES.auto), 'simple'];
+    return configs
+      .map(config => `websearch_to_tsquery('${config}', :query)`)
+      .join(' || ');
+  }
+
+  /**
+   * SQL conditions for the structured filters shared by message search
+   * @param {Object} filters - Output of utils/searchFilters validateFilters
+   * @param {Object} replacements - Bound values, extended in place
+   * @returns {string[]} Conditions on alias m (messages)
+   */
+  buildMessageFilterConditions(filters = {}, replacements) {
+    const conditions = [];
+
+    if (filters.senderId) {
+      conditions.push('m."senderId" = :senderId');
+      replacements.senderId = filters.senderId;
+    }
+
+    if (filters.types) {
+      conditions.push('m.type::text IN (:types)');
+      replacements.types = filters.types;
+    }
+
+    if (filters.before) {
+      conditions.push('m."createdAt" < :before');
+      replacements.before = filters.before;
+    }
+
+    if (filters.after) {
+      conditions.push('m."createdAt" > :after');
+      replacements.after = filters.after;
+    }
+
+    if (filters.hasAttachment) {
+      conditions.push(`(
+        CASE WHEN json_typeof(m.content->'attachments') = 'array' THEN json_array_length(m.content->'attachments') > 0 ELSE false END
+        OR CASE WHEN json_typeof(m.content->'images') = 'array' THEN json_array_length(m.content->'images') > 0 ELSE false END
+        OR coalesce(m.content->>'audio', '') <> ''
+      )`);
+    }
+
+    if (filters.conversationId) {
+      conditions.push('m."conversationId" = :conversationId');
+      replacements.conversationId = filters.conversationId;
+    }
+
+    if (filters.jobId) {
+      conditions.push(`(m."jobId" = :jobId OR EXISTS (
+        SELECT 1 FROM conversations c WHERE c.id = m."conversationId" AND c."jobId" = :jobId
+      ))`);
+      replacements.jobId = filters.jobId;
+    }
+
+    return conditions;
+  }
+
+  /**
+   * Relevance-ranked full-text search over messages the user can access.
+   * Without text, filters alone select messages, newest first.
+   * @param {string} userId - Searching user
+   * @param {Object} options - query, lang, filters, limit, offset
+   * @returns {Promise<Object>} { messages, total }
+   */
+  async searchMessages(userId, options = {}) {
+    const {
+      query = '',
+      lang = 'auto',
+      filters = {},
+      limit = 20,
+      offset = 0
+    } = options;
+
+    const hasText = query.trim().length > 0;
+    const headlineConfig = (SEARCH_LANGUAGES[lang] || SEARCH_LANGUAGES.auto)[0];
+    const replacements = { userId, query, limit, offset };
+    const conditions = [
+      'm.deleted = false',
+      '(m."expiresAt" IS NULL OR m."expiresAt" > NOW())',
+      'NOT EXISTS (SELECT 1 FROM hidden_messages h WHERE h."messageId" = m.id AND h."userId" = :userId)',
+      ...this.buildMessageFilterConditions(filters, replacements)
+    ];
+
+    if (hasText) {
+      conditions.unshift('m."searchVector" @@ q.tsquery');
+    }
+
+    const sql = `
+      WITH q AS (SELECT (${hasText ? this.buildTsQuery(lang) : 'NULL::tsquery'}) AS tsquery)
+      SELECT
+        m.id,
+        m."conversationId",
+        m."senderId",
+        m."receiverId",
+        m.type,
+        m.content,
+        m.status,
+        m."createdAt",
+        m."updatedAt",
+        ${hasText ? 'ts_rank_cd(m."searchVector", q.tsquery)' : '0'} AS rank,
+        ${hasText ? `ts_headline('${headlineConfig}', coalesce(m.content->>'text', ''), q.tsquery, '${HEADLINE_OPTIONS}')` : 'NULL'} AS highlight,
+        COUNT(*) OVER() AS total
+      FROM messages m
+      CROSS JOIN q
+      WHERE ${conditions.join('\n        AND ')}
+        AND EXISTS (
+          SELECT 1 FROM conversation_participants cp
+          WHERE cp."conversationId" = m."conversationId"
+            AND cp."userId" = :userId
+            AND cp."leftAt" IS NULL
+        )
+      ORDER BY rank DESC, m."createdAt" DESC
+      LIMIT :limit OFFSET :offset
+    `;
+
+    const rows = await db.sequelize.query(sql, {
+      replacements,
+      type: QueryTypes.SELECT
+    });
+
+    logger.debug('Message search executed', {
+      userId,
+      lang,
+      filters: Object.keys(filters),
+      results: rows.length
+    });
+
+    return {
+      messages: rows.map(({ total, rank, ...row }) => ({
+        ...row,
+        rank: parseFloat(rank)
+      })),
+      total: rows.length > 0 ? parseInt(rows[0].total, 10) : 0
+    };
+  }
+
+  /**
+   * Search the user's conversations by job title or participant name,
+   * narrowed by the structured filters
+   * @param {string} userId - Searching user
+   * @param {Object} options - query, filters, limit, offset
+   * @returns {Promise<Object>} { conversationIds, total }
+   */
+  async searchConversations(userId, options = {}) {
+    const { query = '', filters = {}, limit = 20, offset = 0 } = options;
+
+    const replacements = { userId, limit, offset };
+    const conditions = ['c.deleted = false'];
+
+    if (query.trim()) {
+      replacements.pattern = `%${query.trim().replace(/[\\%_]/g, '\\$&')}%`;
+      conditions.push(`(
+        c."jobTitle" ILIKE :pattern
+        OR EXISTS (
+          SELECT 1 FROM conversation_participants op
+          JOIN users u ON u.id = op."userId"
+          WHERE op."conversationId" = c.id AND op."userId" <> :userId AND u.name ILIKE :pattern
+        )
+      )`);
+    }
+
+    if (filters.senderId) {
+      conditions.push(`EXISTS (
+        SELECT 1 FROM conversation_participants fp
+        WHERE fp."conversationId" = c.id AND fp."userId" = :senderId
+      )`);
+      replacements.senderId = filters.senderId;
+    }
+
+    if (filters.conversationId) {
+      conditions.push('c.id = :conversationId');
+      replacements.conversationId = filters.conversationId;
+    }
+
+    if (filters.jobId) {
+      conditions.push('c."jobId" = :jobId');
+      replacements.jobId = filters.jobId;
+    }
+
+    if (filters.before) {
+      conditions.push('c."lastMessageAt" < :before');
+      replacements.before = filters.before;
+    }
+
+    if (filters.after) {
+      conditions.push('c."lastMessageAt" > :after');
+      replacements.after = filters.after;
+    }
+
+    // Message-level filters match conversations containing such a message
+    if (filters.types || filters.hasAttachment) {
+      const messageConditions = this.buildMessageFilterConditions(
+        { types: filters.types, hasAttachment: filters.hasAttachment },
+        replacements
+      );
+      conditions.push(`EXISTS (
+        SELECT 1 FROM messages m
+        WHERE m."conversationId" = c.id AND m.deleted = false
+          AND ${messageConditions.join(' AND ')}
+      )`);
+    }
+
+    const rows = await db.sequelize.query(`
+      SELECT c.id, COUNT(*) OVER() AS total
+      FROM conversations c
+      JOIN conversation_participants cp ON cp."conversationId" = c.id AND cp."userId" = :userId
+      WHERE ${conditions.join('\n        AND ')}
+      ORDER BY cp."isPinned" DESC, c."lastMessageAt" DESC NULLS LAST
+      LIMIT :limit OFFSET :offset
+    `, {
+      replacements,
+      type: QueryTypes.SELECT
+    });
+
+    return {
+      conversationIds: rows.map(row => row.id),
+      total: rows.length > 0 ? parseInt(rows[0].total, 10) : 0
+    };
+  }
+}
+
+const searchServiceInstance = new SearchService();
+module.exports = searchServiceInstance;
+module.exports.SEARCH_LANGUAGES = SEARCH_LANGUAGES;
@@ -0,0 +1,312 @@
+// services/socket/blockService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const { redisClient } = require('../redis');
+const deliveryService = require('./deliveryService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const KEY_PREFIXES = {
+  BLOCKED_BY: 'blocks:blocked-by:'
+};
+
+// Who-blocked-whom is read on every typing and presence event
+const BLOCKED_BY_TTL = 60 * 60; // 1 hour
+
+/**
+ * User-level blocking. A block stops one-to-one messaging in both
+ * directions and hides the blocked user's presence and typing from the
+ * blocker. Group conversations stay usable for both.
+ */
+class BlockService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  async blockUser(io, { userId, targetUserId }) {
+    if (!targetUserId) {
+      throw createOperationalError('User ID is required', 400, 'MISSING_USER_ID');
+    }
+
+    if (targetUserId === userId) {
+      throw createOperationalError('You cannot block yourself', 400, 'INVALID_BLOCK_TARGET');
+    }
+
+    await this.ensureDbInitialized();
+    const { User, UserBlock } = db.getModels();
+
+    const target = await User.findByPk(targetUserId, { attributes: ['id'] });
+
+    if (!target) {
+      throw createOperationalError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    const [block, created] = await UserBlock.findOrCreate({
+      where: { blockerId: userId, blockedId: targetUserId },
+      defaults: { id: uuidv4() }
+    });
+
+    if (created) {
+      await this.invalidate(targetUserId);
+
+      // The blocker's devices stop showing the user as online or typing
+      if (io) {
+        io.to(deliveryService.userRoom(userId)).emit('user_blocked', {
+          userId: targetUserId,
+          blockedAt: block.createdAt,
+          timestamp: Date.now()
+        });
+      }
+
+      logger.info('User blocked', { userId, targetUserId });
+    }
+
+    return { userId: targetUserId, blockedAt: block.createdAt };
+  }
+
+  async unblockUser(io, { userId, targetUserId }) {
+    await this.ensureDbInitialized();
+    const { UserBlock } = db.getModels();
+
+    const removed = await UserBlock.destroy({
+      where: { blockerId: userId, blockedId: targetUserId }
+    });
+
+    if (removed === 0) {
+      throw createOperationalError('User is not blocked', 404, 'BLOCK_NOT_FOUND');
+    }
+
+    await this.invalidate(targetUserId);
+
+    if (io) {
+      io.to(deliveryService.userRoom(userId)).emit('user_unblocked', {
+        userId: targetUserId,
+        timestamp: Date.now()
+      });
+    }
+
+    logger.info('User unblocked', { userId, targetUserId });
+
+    return { userId: targetUserId };
+  }
+
+  /**
+   * Users the caller has blocked, most recent first
+   */
+  async getBlockedUsers(userId) {
+    await this.ensureDbInitialized();
+    const { User, UserBlock } = db.getModels();
+
+    const blocks = await UserBlock.findAll({
+      where: { blockerId: userId },
+      include: [{
+        model: User,
+        as: 'blocked',
+        attributes: ['id', 'name', 'avatar', 'role']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return blocks.map(block => ({
+      userId: block.blockedId,
+      name: block.blocked?.name || null,
+      avatar: block.blocked?.avatar || null,
+      role: block.blocked?.role || null,
+      blockedAt: block.createdAt
+    }));
+  }
+
+  /**
+   * Users who blocked the given user, cached in Redis
+   * @returns {Promise<string[]>}
+   */
+  async getBlockerIds(userId) {
+    const key = KEY_PREFIXES.BLOCKED_BY + userId;
+
+    try {
+      const cached = await redisClient.get(key);
+      if (cached) {
+        return JSON.parse(cached);
+      }
+    } catch (error) {
+      logger.warn('Block cache read failed, using database', { userId, error: error.message });
+    }
+
+    await this.ensureDbInitialized();
+    const { UserBlock } = db.getModels();
+
+    const blocks = await UserBlock.findAll({
+      where: { blockedId: userId },
+      attributes: ['blockerId']
+    });
+    const blockerIds = blocks.map(block => block.blockerId);
+
+    try {
+      await redisClient.set(key, JSON.stringify(blockerIds), 'EX', BLOCKED_BY_TTL);
+    } catch (error) {
+      logger.warn('Block cache write failed', { userId, error: error.message });
+    }
+
+    return blockerIds;
+  }
+
+  async invalidate(blockedUserId) {
+    try {
+      await redisClient.del(KEY_PREFIXES.BLOCKED_BY + blockedUserId);
+    } catch (error) {
+      logger.error('Failed to invalidate block cache', { blockedUserId, error: error.message });
+    }
+  }
+
+  /**
+   * User rooms of everyone who blocked the user, for io.except() on
+   * presence and typing broadcasts about that user
+   */
+  async getHiddenFromRooms(userId) {
+    try {
+      const blockerIds = await this.getBlockerIds(userId);
+      return blockerIds.map(id => deliveryService.userRoom(id));
+    } catch (error) {
+      // Presence must keep flowing even if the lookup fails
+      logger.error('Failed to resolve blockers', { userId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Ids among userIds that the viewer has blocked
+   * @returns {Promise<Set<string>>}
+   */
+  async getBlockedAmong(viewerId, userIds) {
+    if (!userIds || userIds.length === 0) {
+      return new Set();
+    }
+
+    await this.ensureDbInitialized();
+    const { UserBlock } = db.getModels();
+
+    const blocks = await UserBlock.findAll({
+      where: { blockerId: viewerId, blockedId: { [Op.in]: userIds } },
+      attributes: ['blockedId']
+    });
+
+    return new Set(blocks.map(block => block.blockedId));
+  }
+
+  /**
+   * Presence map (userId -> presence) with users the viewer blocked shown as offline
+   */
+  async hidePresence(viewerId, presenceMap) {
+    const blocked = await this.getBlockedAmong(viewerId, Object.keys(presenceMap));
+
+    if (blocked.size === 0) {
+      return presenceMap;
+    }
+
+    const visible = { ...presenceMap };
+    for (const blockedId of blocked) {
+      visible[blockedId] = { isOnline: false, lastSeen: null };
+    }
+    return visible;
+  }
+
+  /**
+   * Online user list without the users the viewer blocked
+   */
+  async filterOnlineUsers(viewerId, onlineUsers) {
+    const blocked = await this.getBlockedAmong(viewerId, onlineUsers.map(u => u.id));
+    return blocked.size === 0 ? onlineUsers : onlineUsers.filter(u => !blocked.has(u.id));
+  }
+
+  /**
+   * Broadcast all_online_users; users who blocked someone on the list get
+   * their own copy without them
+   */
+  async emitOnlineUsers(io, onlineUsers) {
+    await this.ensureDbInitialized();
+    const { UserBlock } = db.getModels();
+
+    const blocks = onlineUsers.length === 0 ? [] : await UserBlock.findAll({
+      where: { blockedId: { [Op.in]: onlineUsers.map(u => u.id) } },
+      attributes: ['blockerId', 'blockedId']
+    });
+
+    const hiddenByViewer = new Map();
+    for (const block of blocks) {
+      if (!hiddenByViewer.has(block.blockerId)) {
+        hiddenByViewer.set(block.blockerId, new Set());
+      }
+      hiddenByViewer.get(block.blockerId).add(block.blockedId);
+    }
+
+    const timestamp = Date.now();
+    const viewerRooms = [...hiddenByViewer.keys()].map(id => deliveryService.userRoom(id));
+
+    io.except(viewerRooms).emit('all_online_users', {
+      users: onlineUsers,
+      count: onlineUsers.length,
+      timestamp
+    });
+
+    for (const [viewerId, hidden] of hiddenByViewer) {
+      const users = onlineUsers.filter(u => !hidden.has(u.id));
+      io.to(deliveryService.userRoom(viewerId)).emit('all_online_users', {
+        users,
+        count: users.length,
+        timestamp
+      });
+    }
+  }
+
+  /**
+   * Whether either user blocked any of the others
+   */
+  async isBlockedBetween(userId, otherUserIds) {
+    if (!otherUserIds || otherUserIds.length === 0) {
+      return false;
+    }
+
+    await this.ensureDbInitialized();
+    const { UserBlock } = db.getModels();
+
+    const block = await UserBlock.findOne({
+      where: {
+        [Op.or]: [
+          { blockerId: userId, blockedId: { [Op.in]: otherUserIds } },
+          { blockerId: { [Op.in]: otherUserIds }, blockedId: userId }
+        ]
+      },
+      attributes: ['id']
+    });
+
+    return !!block;
+  }
+
+  /**
+   * Refuse one-to-one messages between users where either blocked the other.
+   * Conversations with more than two participants are left alone, so one
+   * blocked pair in a job chat doesn't silence the sender for everyone else.
+   * @param {Object} conversation - Needs type and participantIds
+   */
+  async assertCanMessage(conversation, userId) {
+    if (!conversation || conversation.type === 'group') {
+      return;
+    }
+
+    const others = (conversation.participantIds || []).filter(id => id !== userId);
+
+    if (others.length !== 1) {
+      return;
+    }
+
+    if (await this.isBlockedBetween(userId, others)) {
+      throw createOperationalError('You cannot message this user', 403, 'USER_BLOCKED');
+    }
+  }
+}
+
+module.exports = new BlockService();
@@ -0,0 +1,373 @@
+// services/socket/cardService.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../db');
+const queueService = require('../queue/queueService');
+const redisService = require('../redis');
+const logger = require('../../utils/logger');
+const { NOTIFICATION_EVENTS } = require('../../config/notifiction-constants');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const CARD_TYPES = ['quote', 'appointment', 'location', 'contact'];
+
+// Card types that carry a pending/accepted/declined state
+const CARD_ACTIONS = {
+  quote: ['accept', 'decline', 'withdraw'],
+  appointment: ['accept', 'decline', 'withdraw']
+};
+
+const ACTION_STATUS = {
+  accept: 'accepted',
+  decline: 'declined',
+  withdraw: 'withdrawn'
+};
+
+const ACTION_EVENTS = {
+  quote: {
+    accept: NOTIFICATION_EVENTS.CONTRACT_ACCEPTED,
+    decline: NOTIFICATION_EVENTS.CONTRACT_REJECTED
+  },
+  appointment: {
+    accept: NOTIFICATION_EVENTS.APPOINTMENT_ACCEPTED,
+    decline: NOTIFICATION_EVENTS.APPOINTMENT_DECLINED
+  }
+};
+
+const MAX_AMOUNT = 1000000000;
+const MAX_SLOTS = 10;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ()-]{5,20}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const invalid = (message) => createOperationalError(message, 400, 'INVALID_CARD');
+
+const optionalString = (value, field, maxLength) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw invalid(`${field} must be a string of at most ${maxLength} characters`);
+  }
+  return value.trim();
+};
+
+const futureDate = (value, field) => {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) {
+    throw invalid(`${field} must be a valid date`);
+  }
+  if (date <= new Date()) {
+    throw invalid(`${field} must be in the future`);
+  }
+  return date;
+};
+
+const coordinate = (value, field, limit) => {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || Math.abs(number) > limit) {
+    throw invalid(`${field} must be a number between -${limit} and ${limit}`);
+  }
+  return number;
+};
+
+// Schema per card type: validate the client payload, return what is stored
+const CARD_SCHEMAS = {
+  quote(card) {
+    const amount = Number(card.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_AMOUNT) {
+      throw invalid('Quote amount must be a positive number');
+    }
+
+    const currency = typeof card.currency === 'string' ? card.currency.trim().toUpperCase() : '';
+    if (!CURRENCY_PATTERN.test(currency)) {
+      throw invalid('Quote currency must be a 3-letter ISO 4217 code');
+    }
+
+    return {
+      amount: Math.round(amount * 100) / 100,
+      currency,
+      validUntil: futureDate(card.validUntil, 'Quote validUntil').toISOString(),
+      description: optionalString(card.description, 'Quote description', 1000),
+      status: 'pending'
+    };
+  },
+
+  appointment(card) {
+    if (!Array.isArray(card.slots) || card.slots.length === 0 || card.slots.length > MAX_SLOTS) {
+      throw invalid(`Appointment must propose between 1 and ${MAX_SLOTS} time slots`);
+    }
+
+    const slots = card.slots.map((slot, index) => {
+      const start = futureDate(slot?.start, `Slot ${index + 1} start`);
+      const end = new Date(slot?.end);
+      if (isNaN(end.getTime()) || end <= start) {
+        throw invalid(`Slot ${index + 1} end must be after its start`);
+      }
+      return { start: start.toISOString(), end: end.toISOString() };
+    }).sort((a, b) => a.start.localeCompare(b.start));
+
+    return {
+      slots,
+      title: optionalString(card.title, 'Appointment title', 200),
+      address: optionalString(card.address, 'Appointment address', 500),
+      note: optionalString(card.note, 'Appointment note', 1000),
+      status: 'pending',
+      selectedSlot: null
+    };
+  },
+
+  location(card) {
+    return {
+      latitude: coordinate(card.latitude, 'Latitude', 90),
+      longitude: coordinate(card.longitude, 'Longitude', 180),
+      label: optionalString(card.label, 'Location label', 200),
+      address: optionalString(card.address, 'Location address', 500)
+    };
+  },
+
+  contact(card) {
+    const name = optionalString(card.name, 'Contact name', 200);
+    if (!name) {
+      throw invalid('Contact name is required');
+    }
+
+    const phone = optionalString(card.phone, 'Contact phone', 20);
+    if (phone && !PHONE_PATTERN.test(phone)) {
+      throw invalid('Contact phone is not a valid phone number');
+    }
+
+    const email = optionalString(card.email, 'Contact email', 254);
+    if (email && !EMAIL_PATTERN.test(email)) {
+      throw invalid('Contact email is not a valid e-mail address');
+    }
+
+    const userId = optionalString(card.userId, 'Contact userId', 36);
+    if (userId && !UUID_PATTERN.test(userId)) {
+      throw invalid('Contact userId must be a UUID');
+    }
+
+    if (!phone && !email && !userId) {
+      throw invalid('Contact card needs a phone, email or userId');
+    }
+
+    return { name, phone, email, userId };
+  }
+};
+
+class CardService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  isCardType(type) {
+    return CARD_TYPES.includes(type);
+  }
+
+  /**
+   * Validate a card payload against the schema for its message type
+   * @param {string} type - Card message type
+   * @param {Object} card - Client payload
+   * @returns {Object} Normalized card to store in Message.content.card
+   */
+  validateCard(type, card) {
+    if (!this.isCardType(type)) {
+      throw createOperationalError(`Invalid card type. Must be one of: ${CARD_TYPES.join(', ')}`, 400, 'INVALID_CARD_TYPE');
+    }
+
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+      throw invalid(`A ${type} message requires a card object`);
+    }
+
+    return CARD_SCHEMAS[type](card);
+  }
+
+  /**
+   * Plain-text fallback used as message text for notifications, search and
+   * clients that don't render cards
+   */
+  summarize(type, card) {
+    switch (type) {
+      case 'quote':
+        return `Quote: ${card.amount.toFixed(2)} ${card.currency}`;
+      case 'appointment':
+        return `Appointment proposal: ${card.slots.length} time slot${card.slots.length === 1 ? '' : 's'}`;
+      case 'location':
+        return `Location: ${card.label || card.address || `${card.latitude}, ${card.longitude}`}`;
+      case 'contact':
+        return `Contact: ${card.name}`;
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Accept, decline or withdraw a quote or appointment card. Recipients
+   * accept or decline; the sender can withdraw while it is pending.
+   */
+  async performAction(io, { messageId, userId, action, slotIndex }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, ConversationParticipant } = db.getModels();
+
+    let message;
+    let card;
+
+    await Message.sequelize.transaction(async (transaction) => {
+      // Row lock so two participants can't both answer the same card
+      message = await Message.findByPk(messageId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!message || message.deleted) {
+        throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+      }
+
+      const allowed = CARD_ACTIONS[message.type];
+      if (!allowed) {
+        throw createOperationalError(`Messages of type '${message.type}' have no actions`, 400, 'INVALID_MESSAGE_TYPE');
+      }
+
+      if (!allowed.includes(action)) {
+        throw createOperationalError(`Invalid action. Must be one of: ${allowed.join(', ')}`, 400, 'INVALID_CARD_ACTION');
+      }
+
+      const participation = await ConversationParticipant.findOne({
+        where: { conversationId: message.conversationId, userId, leftAt: null },
+        transaction
+      });
+
+      if (!participation) {
+        throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+      }
+
+      const isSender = message.senderId === userId;
+      if (action === 'withdraw' ? !isSender : isSender) {
+        throw createOperationalError(
+          action === 'withdraw' ? 'Only the sender can withdraw this card' : 'You cannot respond to your own card',
+          403,
+          'NOT_AUTHORIZED'
+        );
+      }
+
+      const current = message.content?.card || {};
+
+      if (current.status !== 'pending') {
+        throw createOperationalError(`This ${message.type} has already been ${current.status}`, 409, 'CARD_ALREADY_RESOLVED');
+      }
+
+      card = {
+        ...current,
+        status: ACTION_STATUS[action],
+        respondedBy: userId,
+        respondedAt: new Date().toISOString()
+      };
+
+      if (message.type === 'quote' && action === 'accept' && new Date(current.validUntil) <= new Date()) {
+        throw createOperationalError('This quote has expired', 400, 'CARD_EXPIRED');
+      }
+
+      if (message.type === 'appointment' && action === 'accept') {
+        const slot = current.slots?.[parseInt(slotIndex, 10)];
+
+        if (!slot) {
+          throw createOperationalError('A valid slotIndex is required to accept an appointment', 400, 'INVALID_SLOT');
+        }
+
+        if (new Date(slot.start) <= new Date()) {
+          throw createOperationalError('This time slot has already passed', 400, 'SLOT_EXPIRED');
+        }
+
+        card.selectedSlot = slot;
+      }
+
+      await message.update({
+        content: { ...message.content, card }
+      }, { transaction });
+    });
+
+    await redisService.cacheMessage(message);
+
+    const result = {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      type: message.type,
+      action,
+      card,
+      content: message.content
+    };
+
+    if (io && message.conversationId) {
+      io.to(`conversation:${message.conversationId}`).emit('message_updated', result);
+    }
+
+    await this.recordAction(message, card, action, userId);
+
+    logger.info('Card action performed', {
+      messageId: message.id,
+      type: message.type,
+      action,
+      userId
+    });
+
+    return result;
+  }
+
+  /**
+   * System message in the conversation plus a push to the card's sender
+   */
+  async recordAction(message, card, action, userId) {
+    await queueService.enqueueMessage({
+      id: uuidv4(),
+      conversationId: message.conversationId,
+      senderId: userId,
+      receiverId: null,
+      type: 'system',
+      content: {
+        text: this.describeAction(message.type, card, action),
+        systemAction: `${message.type}_${card.status}`,
+        cardMessageId: message.id,
+        cardType: message.type
+      },
+      status: 'sent',
+      isSystemMessage: true
+    });
+
+    const eventKey = ACTION_EVENTS[message.type]?.[action];
+
+    if (eventKey) {
+      const notificationService = require('../notifications/notificationService');
+
+      notificationService.sendCardActionNotification(eventKey, message, card, userId).catch(error => {
+        logger.error('Failed to send card action notification', {
+          messageId: message.id,
+          eventKey,
+          error: error.message
+        });
+      });
+    }
+  }
+
+  describeAction(type, card, action) {
+    if (type === 'quote') {
+      return `Quote of ${card.amount.toFixed(2)} ${card.currency} ${card.status}`;
+    }
+
+    if (action === 'accept' && card.selectedSlot) {
+      return `Appointment accepted for ${card.selectedSlot.start}`;
+    }
+
+    return `Appointment ${card.status}`;
+  }
+}
+
+const cardServiceInstance = new CardService();
+module.exports = cardServiceInstance;
+module.exports.CARD_TYPES = CARD_TYPES;
+module.exports.CARD_ACTIONS = CARD_ACTIONS;
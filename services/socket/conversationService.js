@@ -3,6 +3,10 @@ const { Op } = require('sequelize');
 const db = require('../../db');
 const logger = require('../../utils/logger');
 const redisService = require('../redis');
+const groupService = require('./groupService');
+const blockService = require('./blockService');
+const receiptService = require('./receiptService');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
 const { v4: uuidv4 } = require('uuid');
 
 class ConversationService {
@@ -98,11 +102,18 @@ class ConversationService {
             // Get presence info from Redis
             const presenceMap = await redisService.getUsersPresence(participantIds);
             
+            const participantRoles = await ConversationParticipant.findAll({
+              where: { conversationId: conversation.id, leftAt: null },
+              attributes: ['userId', 'role']
+            });
+            const roleMap = Object.fromEntries(participantRoles.map(p => [p.userId, p.role]));
+            
             // Enrich participant data
             const participants = participantUsers.map(user => {
               const presence = presenceMap[user.id];
               return {
                 ...user.toJSON(),
+                participantRole: roleMap[user.id] || null,
                 isOnline: presence ? presence.isOnline : false,
                 lastSeen: presence && presence.lastSeen ? presence.lastSeen : null
               };
@@ -110,13 +121,20 @@ class ConversationService {
             
             return {
               id: conversation.id,
+              type: conversation.type,
+              name: conversation.name,
+              avatar: conversation.avatar,
+              description: conversation.description,
               jobId: conversation.jobId,
               jobTitle: conversation.jobTitle,
               lastMessageAt: conversation.lastMessageAt,
               participantIds: conversation.participantIds,
               participants,
               unreadCount: unreadCounts[conversation.id] || participation.unreadCount || 0,
+              unreadMentionCount: participation.unreadMentionCount || 0,
               lastMessage: conversation.messages?.[0] || null,
+              archivedAt: participation.archivedAt || null,
+              labelIds: participation.labelIds || [],
               joinedAt: participation.joinedAt,
               leftAt: participation.leftAt
             };
@@ -203,11 +221,18 @@ class ConversationService {
       // Get presence info from Redis
       const presenceMap = await redisService.getUsersPresence(conversation.participantIds);
       
+      const participantRoles = await ConversationParticipant.findAll({
+        where: { conversationId, leftAt: null },
+        attributes: ['userId', 'role']
+      });
+      const roleMap = Object.fromEntries(participantRoles.map(p => [p.userId, p.role]));
+      
       // Enrich participant data
       const participants = participantUsers.map(user => {
         const presence = presenceMap[user.id];
         return {
           ...user.toJSON(),
+          participantRole: roleMap[user.id] || null,
           isOnline: presence ? presence.isOnline : user.isOnline,
           lastSeen: presence && presence.lastSeen ? presence.lastSeen : user.lastSeen
         };
@@ -216,7 +241,8 @@ class ConversationService {
       return {
         ...conversation,
         participants,
-        unreadCount: participation.unreadCount || 0
+        unreadCount: participation.unreadCount || 0,
+        unreadMentionCount: participation.unreadMentionCount || 0
       };
     } catch (error) {
       logger.error('Error getting conversation by ID', {
@@ -267,14 +293,16 @@ class ConversationService {
         jobId,
         jobTitle,
         participantIds: allParticipantIds,
+        createdBy: creatorId,
         lastMessageAt: new Date()
       });
       
-      // Create participant records
+      // Create participant records; the creator owns the conversation
       const participantRecords = allParticipantIds.map(pId => ({
         id: uuidv4(),
         conversationId,
         userId: pId,
+        role: pId === creatorId ? 'owner' : 'member',
         unreadCount: pId === creatorId ? 0 : 0, // Start with 0 unread for all
         joinedAt: new Date()
       }));
@@ -320,14 +348,9 @@ class ConversationService {
         throw new Error('Required models not available');
       }
       
-      // Verify user is a participant
-      const participation = await ConversationParticipant.findOne({
-        where: { conversationId, userId }
-      });
-      
-      if (!participation) {
-        throw new Error('Not authorized to add participants');
-      }
+      // Verify user is a participant allowed to add others
+      const participation = await groupService.getParticipation(conversationId, userId);
+      groupService.requireRole(participation, 'admin', 'add participants');
       
       // Get conversation
       const conversation = await Conversation.findByPk(conversationId);
@@ -361,16 +384,8 @@ class ConversationService {
       const updatedParticipantIds = [...conversation.participantIds, ...actualNewParticipantIds];
       await conversation.update({ participantIds: updatedParticipantIds });
       
-      // Create participant records
-      const participantRecords = actualNewParticipantIds.map(pId => ({
-        id: uuidv4(),
-        conversationId,
-        userId: pId,
-        unreadCount: 0,
-        joinedAt: new Date()
-      }));
-      
-      await ConversationParticipant.bulkCreate(participantRecords);
+      // Create participant records (or reactivate those of former participants)
+      await groupService.addMembers(conversationId, actualNewParticipantIds);
       
       // Update cache
       await redisService.cacheConversation(conversation.toJSON());
@@ -408,13 +423,7 @@ class ConversationService {
       }
       
       // Verify user is a participant
-      const participation = await ConversationParticipant.findOne({
-        where: { conversationId, userId }
-      });
-      
-      if (!participation) {
-        throw new Error('Not authorized to remove participants');
-      }
+      const participation = await groupService.getParticipation(conversationId, userId);
       
       // Get conversation
       const conversation = await Conversation.findByPk(conversationId);
@@ -423,10 +432,16 @@ class ConversationService {
       }
       
       // Check if participant exists
-      if (!conversation.participantIds.includes(participantIdToRemove)) {
+      const targetParticipation = await ConversationParticipant.findOne({
+        where: { conversationId, userId: participantIdToRemove, leftAt: null }
+      });
+      
+      if (!conversation.participantIds.includes(participantIdToRemove) || !targetParticipation) {
         throw new Error('User is not a participant');
       }
       
+      groupService.assertCanRemove(participation, targetParticipation);
+      
       // Prevent removing last participant
       if (conversation.participantIds.length <= 1) {
         throw new Error('Cannot remove the last participant');
@@ -444,6 +459,7 @@ class ConversationService {
         { leftAt: new Date() },
         { where: { conversationId, userId: participantIdToRemove } }
       );
+      await groupService.handleParticipantLeft(null, conversationId, participantIdToRemove);
       
       // Update cache
       await redisService.cacheConversation(conversation.toJSON());
@@ -466,16 +482,17 @@ class ConversationService {
   }
 
   /**
-   * Mark conversation as read for a user
+   * Mark conversation as read for a user, recording per-recipient receipts
+   * @param {Object} io - Socket.IO server for messages_read_by (optional)
    */
-  async markConversationAsRead(conversationId, userId) {
+  async markConversationAsRead(conversationId, userId, io = null) {
     try {
       await this.ensureDbInitialized();
       
       const models = db.getModels();
-      const { ConversationParticipant, Message } = models;
+      const { ConversationParticipant } = models;
       
-      if (!ConversationParticipant || !Message) {
+      if (!ConversationParticipant) {
         logger.error('Required models not found');
         throw new Error('Required models not available');
       }
@@ -489,30 +506,31 @@ class ConversationService {
         throw new Error('Not a participant in this conversation');
       }
       
+      // Receipts for everything since the last read; Message.status is derived from them
+      const readIds = await receiptService.markRead(userId, { conversationId });
+      
       // Reset unread count
       await ConversationParticipant.update(
-        { unreadCount: 0 },
+        { unreadCount: 0, unreadMentionCount: 0 },
         { where: { conversationId, userId } }
       );
       
       // Reset Redis unread count
       await redisService.resetUnreadCount(userId, conversationId);
       
-      // Mark all unread messages as read
-      const updatedCount = await Message.update(
-        { status: 'read' },
-        { 
-          where: { 
-            conversationId, 
-            receiverId: userId,
-            status: { [Op.ne]: 'read' }
-          } 
-        }
-      );
+      // Let senders update their per-recipient ticks
+      if (io && readIds.length > 0) {
+        io.to(`conversation:${conversationId}`).emit('messages_read_by', {
+          conversationId,
+          userId,
+          messageIds: readIds,
+          readAt: new Date().toISOString()
+        });
+      }
       
       return {
         success: true,
-        messagesMarkedRead: updatedCount[0] || 0
+        messagesMarkedRead: readIds.length
       };
     } catch (error) {
       logger.error('Error marking conversation as read', {
@@ -901,6 +919,11 @@ async findOrCreateConversation(userId1, userId2, jobId = null, jobTitle = null)
       throw new Error('Required models not available');
     }
     
+    // Blocked users can't start a conversation with each other
+    if (await blockService.isBlockedBetween(userId1, [userId2])) {
+      throw createOperationalError('You cannot message this user', 403, 'USER_BLOCKED');
+    }
+    
     // Use transaction with serializable isolation
     const transaction = await Conversation.sequelize.transaction({
       isolationLevel: Conversation.sequelize.Transaction.ISOLATION_LEVELS.SERIALIZABLE
@@ -944,6 +967,7 @@ async findOrCreateConversation(userId1, userId2, jobId = null, jobTitle = null)
           id: uuidv4(), 
           conversationId, 
           userId: userId1, 
+          role: 'owner',
           unreadCount: 0, 
           joinedAt: new Date() 
         },
@@ -1032,7 +1056,11 @@ async findOrCreateConversation(userId1, userId2, jobId = null, jobTitle = null)
       // Build query
       const where = { 
         conversationId,
-        deleted: false
+        deleted: false,
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
       };
       
       if (before) {
@@ -1043,8 +1071,10 @@ async findOrCreateConversation(userId1, userId2, jobId = null, jobTitle = null)
         where.createdAt = { ...where.createdAt, [Op.gt]: new Date(after) };
       }
       
-      // Get messages from cache or database
-      let messages = await redisService.getConversationMessages(conversationId, limit, offset);
+      // Get messages from cache or database; cached copies outlive expiry until the purge runs
+      const now = new Date();
+      let messages = (await redisService.getConversationMessages(conversationId, limit, offset))
+        .filter(message => !message.expiresAt || new Date(message.expiresAt) > now);
       
       if (!messages || messages.length === 0) {
         // Fetch from database
@@ -0,0 +1,181 @@
+// services/socket/deletionService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op, Sequelize } = require('sequelize');
+const db = require('../../db');
+const config = require('../../config/config');
+const redisService = require('../redis');
+const deliveryService = require('./deliveryService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const DELETE_MODES = ['me', 'everyone'];
+
+class DeletionService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  /**
+   * Seconds after sending during which the sender may delete for everyone
+   * (0 = no limit)
+   */
+  getDeleteForEveryoneWindow() {
+    return config.messaging?.deleteForEveryoneWindow ?? 172800;
+  }
+
+  /**
+   * Where-clause fragment on Message.id that excludes messages the user
+   * deleted for themselves
+   */
+  notHiddenFor(userId) {
+    const { Message } = db.getModels();
+    return {
+      [Op.notIn]: Sequelize.literal(
+        `(SELECT "messageId" FROM hidden_messages WHERE "userId" = ${Message.sequelize.escape(userId)})`
+      )
+    };
+  }
+
+  /**
+   * Delete a message for the requesting user only ('me') or replace it
+   * with a tombstone for all participants ('everyone')
+   */
+  async deleteMessage(io, { messageId, userId, mode = 'everyone' }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    if (!DELETE_MODES.includes(mode)) {
+      throw createOperationalError(`Invalid delete mode. Must be one of: ${DELETE_MODES.join(', ')}`, 400, 'INVALID_DELETE_MODE');
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, ConversationParticipant } = db.getModels();
+
+    const message = await Message.findByPk(messageId);
+
+    if (!message) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId: message.conversationId, userId }
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    return mode === 'me'
+      ? this.deleteForMe(io, message, userId)
+      : this.deleteForEveryone(io, message, userId);
+  }
+
+  async deleteForMe(io, message, userId) {
+    const { HiddenMessage, StarredMessage } = db.getModels();
+
+    await HiddenMessage.findOrCreate({
+      where: { messageId: message.id, userId },
+      defaults: {
+        id: uuidv4(),
+        messageId: message.id,
+        userId,
+        conversationId: message.conversationId
+      }
+    });
+
+    await StarredMessage.destroy({ where: { messageId: message.id, userId } });
+
+    const result = {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      mode: 'me',
+      deletedAt: new Date().toISOString()
+    };
+
+    // Only the user's own devices drop it
+    if (io) {
+      io.to(deliveryService.userRoom(userId)).emit('message_deleted', result);
+    }
+
+    return result;
+  }
+
+  async deleteForEveryone(io, message, userId) {
+    const { Message, MessageVersion, MessageReaction, PollVote, StarredMessage, PinnedMessage } = db.getModels();
+    const mediaUploadService = require('../mediaUpload.service');
+
+    if (message.senderId !== userId) {
+      throw createOperationalError('Only the sender can delete a message for everyone', 403, 'NOT_AUTHORIZED');
+    }
+
+    if (message.deleted) {
+      throw createOperationalError('Message is already deleted', 400, 'ALREADY_DELETED');
+    }
+
+    if (message.type === 'system') {
+      throw createOperationalError('System messages cannot be deleted', 400, 'INVALID_MESSAGE_TYPE');
+    }
+
+    const window = this.getDeleteForEveryoneWindow();
+    if (window > 0 && Date.now() - new Date(message.createdAt).getTime() > window * 1000) {
+      throw createOperationalError('This message can no longer be deleted for everyone', 403, 'DELETE_WINDOW_EXPIRED');
+    }
+
+    // Media first: if S3 fails the message is left intact so the user can retry
+    const { failedMessageIds } = await mediaUploadService.purgeMessageMedia([message]);
+    if (failedMessageIds.length > 0) {
+      throw createOperationalError('Could not remove message attachments, please try again', 503, 'MEDIA_PURGE_FAILED');
+    }
+
+    const deletedAt = new Date();
+
+    await Message.sequelize.transaction(async (transaction) => {
+      // Edit history, reactions and votes would leak the original content
+      await MessageVersion.destroy({ where: { messageId: message.id }, transaction });
+      await MessageReaction.destroy({ where: { messageId: message.id }, transaction });
+      await PollVote.destroy({ where: { messageId: message.id }, transaction });
+      await StarredMessage.destroy({ where: { messageId: message.id }, transaction });
+      await PinnedMessage.destroy({ where: { messageId: message.id }, transaction });
+
+      await message.update({
+        deleted: true,
+        content: {
+          text: '',
+          tombstone: true,
+          deletedBy: userId,
+          deletedAt: deletedAt.toISOString()
+        }
+      }, { transaction });
+    });
+
+    await redisService.cacheMessage(message);
+
+    const result = {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      mode: 'everyone',
+      deletedBy: userId,
+      deletedAt: deletedAt.toISOString()
+    };
+
+    if (io && message.conversationId) {
+      io.to(`conversation:${message.conversationId}`).emit('message_deleted', result);
+    }
+
+    logger.info('Message deleted for everyone', {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      userId
+    });
+
+    return result;
+  }
+}
+
+const deletionServiceInstance = new DeletionService();
+module.exports = deletionServiceInstance;
+module.exports.DELETE_MODES = DELETE_MODES;
@@ -0,0 +1,215 @@
+// services/socket/deliveryService.js
+const { Op } = require('sequelize');
+const db = require('../../db');
+const { redisClient } = require('../redis');
+const queueService = require('../queue/queueService');
+const logger = require('../../utils/logger');
+
+const KEY_PREFIXES = {
+  USER_DEVICES: 'devices:user:',
+  PENDING_DELIVERY: 'delivery:pending:'
+};
+
+// Devices that stay away longer than this catch up through GET /api/v1/sync
+const PENDING_TTL = 30 * 24 * 60 * 60; // 30 days
+const ACK_TIMEOUT_MS = 10000;
+const REDELIVERY_BATCH_SIZE = 200;
+const DEFAULT_DEVICE_ID = 'default';
+
+/**
+ * At-least-once delivery of new messages. Every message is recorded as
+ * pending for each known device of each recipient and only cleared when
+ * that device acks the `new_message` emit. Acks feed delivery receipts, so
+ * "delivered" means a device actually received the message.
+ */
+class DeliveryService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  userRoom(userId) {
+    return `user:${userId}`;
+  }
+
+  deviceRoom(userId, deviceId) {
+    return `device:${userId}:${deviceId}`;
+  }
+
+  pendingKey(userId, deviceId) {
+    return `${KEY_PREFIXES.PENDING_DELIVERY}${userId}:${deviceId}`;
+  }
+
+  /**
+   * Clients identify a device with handshake.auth.deviceId. Without one all
+   * of a user's connections share a single pending queue.
+   */
+  getDeviceId(socket) {
+    const deviceId = socket.handshake?.auth?.deviceId;
+    return typeof deviceId === 'string' && deviceId.trim()
+      ? deviceId.trim().substring(0, 128)
+      : DEFAULT_DEVICE_ID;
+  }
+
+  async registerDevice(socket) {
+    const userId = socket.user.id;
+    const deviceId = this.getDeviceId(socket);
+
+    socket.deviceId = deviceId;
+    socket.join(this.userRoom(userId));
+    socket.join(this.deviceRoom(userId, deviceId));
+
+    const key = KEY_PREFIXES.USER_DEVICES + userId;
+    await redisClient.pipeline()
+      .sadd(key, deviceId)
+      .expire(key, PENDING_TTL)
+      .exec();
+
+    return deviceId;
+  }
+
+  async getUserDevices(userId) {
+    return redisClient.smembers(KEY_PREFIXES.USER_DEVICES + userId);
+  }
+
+  async trackPending(userId, deviceIds, messageId) {
+    const pipeline = redisClient.pipeline();
+    const now = Date.now();
+
+    for (const deviceId of deviceIds) {
+      const key = this.pendingKey(userId, deviceId);
+      pipeline.zadd(key, now, messageId);
+      pipeline.expire(key, PENDING_TTL);
+    }
+
+    await pipeline.exec();
+  }
+
+  /**
+   * Clear acked messages for a device and record delivery receipts
+   */
+  async acknowledge(userId, deviceId, messageIds) {
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+      return;
+    }
+
+    await redisClient.zrem(this.pendingKey(userId, deviceId), ...messageIds);
+    await queueService.enqueueDeliveryReceipt(userId, messageIds);
+  }
+
+  /**
+   * Emit to one device and resolve with whether any of its sockets acked
+   */
+  emitWithAck(target, event, payload) {
+    return new Promise(resolve => {
+      target.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, responses) => {
+        // Broadcast acks resolve with an array, direct socket acks with the value
+        const acked = Array.isArray(responses) ? responses.length > 0 : !err;
+        resolve(acked);
+      });
+    });
+  }
+
+  /**
+   * Deliver a new message to every device of every recipient. Devices that
+   * don't ack keep the message pending until they reconnect.
+   */
+  async deliverMessage(io, message, recipientIds) {
+    await Promise.all(recipientIds.map(async (userId) => {
+      try {
+        const deviceIds = await this.getUserDevices(userId);
+
+        if (deviceIds.length === 0) {
+          return;
+        }
+
+        await this.trackPending(userId, deviceIds, message.id);
+
+        await Promise.all(deviceIds.map(async (deviceId) => {
+          const acked = await this.emitWithAck(
+            io.to(this.deviceRoom(userId, deviceId)),
+            'new_message',
+            message
+          );
+
+          if (acked) {
+            await this.acknowledge(userId, deviceId, [message.id]);
+          }
+        }));
+      } catch (error) {
+        logger.error('Error delivering message to recipient', {
+          messageId: message.id,
+          userId,
+          error: error.message
+        });
+      }
+    }));
+  }
+
+  /**
+   * Re-send everything still pending for the socket's device, oldest first
+   */
+  async redeliverPending(socket) {
+    const userId = socket.user.id;
+    const deviceId = socket.deviceId || this.getDeviceId(socket);
+    const key = this.pendingKey(userId, deviceId);
+
+    const messageIds = await redisClient.zrange(key, 0, REDELIVERY_BATCH_SIZE - 1);
+
+    if (messageIds.length === 0) {
+      return 0;
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, User } = db.getModels();
+
+    const messages = await Message.findAll({
+      where: {
+        id: { [Op.in]: messageIds },
+        deleted: false,
+        [Op.or]: [
+          { expiresAt: null },
+          { expiresAt: { [Op.gt]: new Date() } }
+        ]
+      },
+      include: [{
+        model: User,
+        as: 'sender',
+        attributes: ['id', 'name', 'avatar', 'role']
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    // Deleted or expired since they were sent: nothing left to deliver
+    const found = new Set(messages.map(m => m.id));
+    const gone = messageIds.filter(id => !found.has(id));
+    if (gone.length > 0) {
+      await redisClient.zrem(key, ...gone);
+    }
+
+    const results = await Promise.all(messages.map(message =>
+      this.emitWithAck(socket, 'new_message', {
+        ...message.toJSON(),
+        timestamp: message.createdAt.toISOString(),
+        redelivered: true
+      })
+    ));
+    const acked = messages.filter((message, index) => results[index]).map(m => m.id);
+
+    await this.acknowledge(userId, deviceId, acked);
+
+    logger.info('Redelivered pending messages', {
+      userId,
+      deviceId,
+      pending: messageIds.length,
+      delivered: acked.length,
+      dropped: gone.length
+    });
+
+    return acked.length;
+  }
+}
+
+module.exports = new DeliveryService();
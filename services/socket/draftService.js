@@ -0,0 +1,165 @@
+// services/socket/draftService.js
+const { Op } = require('sequelize');
+const db = require('../../db');
+const redisService = require('../redis');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MAX_DRAFT_LENGTH = 10000;
+
+/**
+ * Unsent message text per user and conversation, kept on the participant
+ * row so a user can start typing on one device and finish on another.
+ */
+class DraftService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  async getParticipation(conversationId, userId) {
+    const { ConversationParticipant } = db.getModels();
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId, userId, leftAt: null }
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    return participation;
+  }
+
+  formatDraft(conversationId, participation) {
+    return {
+      conversationId,
+      draft: participation.draft || null,
+      updatedAt: participation.draftUpdatedAt || null
+    };
+  }
+
+  async getDraft(conversationId, userId) {
+    await this.ensureDbInitialized();
+    const participation = await this.getParticipation(conversationId, userId);
+    return this.formatDraft(conversationId, participation);
+  }
+
+  /**
+   * Store the user's draft; an empty draft clears it
+   * @param {Object} io - Socket.IO server for draft_updated
+   * @param {Object} params - conversationId, userId, text, replyToMessageId,
+   *   originSocketId (the socket that made the change, which isn't echoed)
+   */
+  async saveDraft(io, { conversationId, userId, text, replyToMessageId = null, originSocketId = null }) {
+    if (text !== undefined && text !== null && typeof text !== 'string') {
+      throw createOperationalError('Draft text must be a string', 400, 'INVALID_DRAFT');
+    }
+
+    if (text && text.length > MAX_DRAFT_LENGTH) {
+      throw createOperationalError('Draft text cannot exceed 10,000 characters', 400, 'TEXT_TOO_LONG');
+    }
+
+    if (!text && !replyToMessageId) {
+      return this.deleteDraft(io, { conversationId, userId, originSocketId });
+    }
+
+    await this.ensureDbInitialized();
+    const { Message } = db.getModels();
+
+    const participation = await this.getParticipation(conversationId, userId);
+
+    if (replyToMessageId) {
+      const replyTarget = await Message.findByPk(replyToMessageId, {
+        attributes: ['id', 'conversationId', 'deleted']
+      });
+
+      if (!replyTarget || replyTarget.deleted || replyTarget.conversationId !== conversationId) {
+        throw createOperationalError('Reply target must be a message in the same conversation', 400, 'INVALID_REPLY_TARGET');
+      }
+    }
+
+    await participation.update({
+      draft: { text: text || '', replyToMessageId: replyToMessageId || null },
+      draftUpdatedAt: new Date()
+    });
+
+    const result = this.formatDraft(conversationId, participation);
+    await this.emitToOtherSockets(io, userId, originSocketId, result);
+
+    return result;
+  }
+
+  async deleteDraft(io, { conversationId, userId, originSocketId = null }) {
+    await this.ensureDbInitialized();
+
+    const participation = await this.getParticipation(conversationId, userId);
+
+    if (participation.draft) {
+      await participation.update({ draft: null, draftUpdatedAt: new Date() });
+      await this.emitToOtherSockets(io, userId, originSocketId, this.formatDraft(conversationId, participation));
+    }
+
+    return this.formatDraft(conversationId, participation);
+  }
+
+  /**
+   * Drop the sender's draft once a message goes out in the conversation
+   */
+  async clearOnSend(io, conversationId, userId, originSocketId = null) {
+    await this.ensureDbInitialized();
+    const { ConversationParticipant } = db.getModels();
+
+    try {
+      const draftUpdatedAt = new Date();
+      const [cleared] = await ConversationParticipant.update(
+        { draft: null, draftUpdatedAt },
+        { where: { conversationId, userId, draft: { [Op.ne]: null } } }
+      );
+
+      if (cleared > 0) {
+        await this.emitToOtherSockets(io, userId, originSocketId, {
+          conversationId,
+          draft: null,
+          updatedAt: draftUpdatedAt
+        });
+      }
+    } catch (error) {
+      // A stale draft is harmless; the send itself already succeeded
+      logger.error('Failed to clear draft after send', {
+        conversationId,
+        userId,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * draft_updated to the user's sockets (tracked in presence), except the
+   * one the change came from
+   */
+  async emitToOtherSockets(io, userId, originSocketId, payload) {
+    if (!io) {
+      return;
+    }
+
+    try {
+      const presence = await redisService.getUserPresence(userId);
+      const socketIds = (presence?.socketIds || []).filter(id => id !== originSocketId);
+
+      if (socketIds.length > 0) {
+        io.to(socketIds).emit('draft_updated', payload);
+      }
+    } catch (error) {
+      logger.error('Failed to emit draft update', {
+        userId,
+        conversationId: payload.conversationId,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new DraftService();
@@ -0,0 +1,367 @@
+// services/socket/editService.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../db');
+const config = require('../../config/config');
+const redisService = require('../redis');
+const mentionService = require('./mentionService');
+const logger = require('../../utils/logger');
+const { diffText } = require('../../utils/textDiff');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MAX_TEXT_LENGTH = 10000;
+const CURRENT_VERSION = 'current';
+
+// Roles that may read any message's edit history (dispute review)
+const HISTORY_REVIEWER_ROLES = ['administrator'];
+
+// Quote fields the sender may change while the quote is pending
+const QUOTE_FIELDS = ['amount', 'currency', 'validUntil', 'description'];
+
+class EditService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  /**
+   * Seconds after sending during which a message of this type may be
+   * edited. null means the type is not editable; 0 means no limit.
+   */
+  getEditWindow(type) {
+    const windows = config.messaging?.editWindows || {};
+    return Object.prototype.hasOwnProperty.call(windows, type) ? windows[type] : null;
+  }
+
+  /**
+   * Only the text of a message can change; media stays as it was sent
+   */
+  sameMedia(current, proposed) {
+    if (proposed === undefined) {
+      return true;
+    }
+    return JSON.stringify(current || []) === JSON.stringify(proposed || []);
+  }
+
+  /**
+   * New quote card from the pending one and the changed fields. The text
+   * follows the card when it was the generated summary.
+   */
+  editQuote(content, card, text) {
+    // Lazy: cardService -> queueService -> editService would be circular
+    const cardService = require('./cardService');
+    const current = content.card || {};
+
+    if (current.status !== 'pending') {
+      throw createOperationalError(`This quote has already been ${current.status}`, 409, 'CARD_ALREADY_RESOLVED');
+    }
+
+    if (card === undefined) {
+      return { card: current, text: text ?? content.text ?? '' };
+    }
+
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+      throw createOperationalError('A quote edit requires a card object', 400, 'INVALID_CARD');
+    }
+
+    const changed = QUOTE_FIELDS.reduce((fields, field) => {
+      if (card[field] !== undefined) {
+        fields[field] = card[field];
+      }
+      return fields;
+    }, {});
+
+    const edited = cardService.validateCard('quote', { ...current, ...changed });
+    const summaryText = (content.text || '') === cardService.summarize('quote', current);
+
+    return {
+      card: edited,
+      text: text ?? (summaryText ? cardService.summarize('quote', edited) : content.text || '')
+    };
+  }
+
+  /**
+   * Edit the text of a message, or the fields of a pending quote, keeping
+   * the previous content as a MessageVersion snapshot
+   */
+  async editMessage(io, { messageId, userId, text, images, attachments, card }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    if (text !== undefined && typeof text !== 'string') {
+      throw createOperationalError('Message text must be a string', 400, 'MISSING_TEXT');
+    }
+
+    if (text !== undefined && text.length > MAX_TEXT_LENGTH) {
+      throw createOperationalError('Message text cannot exceed 10,000 characters', 400, 'TEXT_TOO_LONG');
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, MessageVersion } = db.getModels();
+
+    const message = await Message.findByPk(messageId);
+
+    if (!message) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    if (message.senderId !== userId) {
+      throw createOperationalError('Not authorized to update this message', 403, 'NOT_AUTHORIZED');
+    }
+
+    if (message.deleted) {
+      throw createOperationalError('Deleted messages cannot be edited', 400, 'MESSAGE_DELETED');
+    }
+
+    if (message.isSystemMessage || message.type === 'system') {
+      throw createOperationalError('System messages cannot be edited', 400, 'INVALID_MESSAGE_TYPE');
+    }
+
+    const window = this.getEditWindow(message.type);
+    if (window === null) {
+      throw createOperationalError(`Messages of type '${message.type}' cannot be edited`, 400, 'INVALID_MESSAGE_TYPE');
+    }
+
+    if (window > 0 && Date.now() - new Date(message.createdAt).getTime() > window * 1000) {
+      throw createOperationalError('This message can no longer be edited', 403, 'EDIT_WINDOW_EXPIRED');
+    }
+
+    const content = message.content || {};
+
+    if (!this.sameMedia(content.images, images) || !this.sameMedia(content.attachments, attachments)) {
+      throw createOperationalError('Images and attachments cannot be edited', 400, 'ATTACHMENTS_NOT_EDITABLE');
+    }
+
+    if (message.type !== 'quote' && card !== undefined) {
+      throw createOperationalError(`Messages of type '${message.type}' have no editable card`, 400, 'INVALID_MESSAGE_TYPE');
+    }
+
+    const quote = message.type === 'quote' ? this.editQuote(content, card, text) : null;
+    const newText = quote ? quote.text : text;
+
+    if (typeof newText !== 'string') {
+      throw createOperationalError('Message text is required', 400, 'MISSING_TEXT');
+    }
+
+    // Offsets of existing mentions move with the text; edits don't notify
+    const { text: editedText, mentions } = await mentionService.resolveMentions(
+      message.conversationId,
+      newText,
+      userId
+    );
+
+    const cardChanged = quote && JSON.stringify(quote.card) !== JSON.stringify(content.card);
+
+    if ((content.text || '') === editedText && !cardChanged) {
+      throw createOperationalError(quote ? 'Quote is unchanged' : 'Message text is unchanged', 400, 'NO_CHANGES');
+    }
+
+    const editedAt = new Date();
+
+    await Message.sequelize.transaction(async (transaction) => {
+      if (quote) {
+        // Same row lock as card actions, so a quote can't change as it is accepted
+        const locked = await Message.findByPk(message.id, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (locked.content?.card?.status !== 'pending') {
+          throw createOperationalError(`This quote has already been ${locked.content?.card?.status}`, 409, 'CARD_ALREADY_RESOLVED');
+        }
+      }
+
+      await MessageVersion.create({
+        id: uuidv4(),
+        messageId: message.id,
+        versionContent: content,
+        editedAt
+      }, { transaction });
+
+      await message.update({
+        content: {
+          ...content,
+          text: editedText,
+          mentions,
+          ...(quote && { card: quote.card }),
+          edited: true,
+          editedAt: editedAt.toISOString()
+        },
+        editCount: (message.editCount || 0) + 1,
+        editedAt
+      }, { transaction });
+    });
+
+    await redisService.cacheMessage(message);
+
+    const result = {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      content: message.content,
+      isEdited: true,
+      editCount: message.editCount,
+      editedAt: editedAt.toISOString()
+    };
+
+    if (io && message.conversationId) {
+      io.to(`conversation:${message.conversationId}`).emit('message_updated', result);
+    }
+
+    logger.info('Message edited', {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      userId,
+      editCount: message.editCount
+    });
+
+    return result;
+  }
+
+  /**
+   * Load a message whose history the viewer may read: sender, recipient,
+   * conversation participant, or a reviewer role
+   */
+  async getMessageForHistory(messageId, viewer) {
+    await this.ensureDbInitialized();
+    const { Message, ConversationParticipant } = db.getModels();
+
+    const message = await Message.findByPk(messageId);
+
+    if (!message) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    if (HISTORY_REVIEWER_ROLES.includes(viewer.role)) {
+      return message;
+    }
+
+    if (message.senderId === viewer.id || message.receiverId === viewer.id) {
+      return message;
+    }
+
+    if (message.conversationId) {
+      const participation = await ConversationParticipant.findOne({
+        where: { conversationId: message.conversationId, userId: viewer.id }
+      });
+
+      if (participation) {
+        return message;
+      }
+    }
+
+    throw createOperationalError('Not authorized to view this message history', 403, 'NOT_AUTHORIZED');
+  }
+
+  /**
+   * Full edit history, oldest first. Version 1 is the content as sent,
+   * the last entry is the current content.
+   */
+  async getVersions(messageId, viewer) {
+    const message = await this.getMessageForHistory(messageId, viewer);
+    const { MessageVersion } = db.getModels();
+
+    const snapshots = await MessageVersion.findAll({
+      where: { messageId },
+      order: [['editedAt', 'ASC']]
+    });
+
+    // Each snapshot holds the content as it was until the edit at editedAt
+    const versions = snapshots.map((snapshot, index) => ({
+      version: index + 1,
+      id: snapshot.id,
+      content: snapshot.versionContent,
+      validFrom: index === 0 ? message.createdAt : snapshots[index - 1].editedAt,
+      replacedAt: snapshot.editedAt,
+      isCurrent: false
+    }));
+
+    versions.push({
+      version: snapshots.length + 1,
+      id: null,
+      content: message.content,
+      validFrom: snapshots.length > 0 ? snapshots[snapshots.length - 1].editedAt : message.createdAt,
+      replacedAt: null,
+      isCurrent: true
+    });
+
+    return { message, versions };
+  }
+
+  parseVersion(value, versions, fallback) {
+    if (value === undefined || value === null || value === '') {
+      return fallback;
+    }
+
+    if (value === CURRENT_VERSION) {
+      return versions[versions.length - 1];
+    }
+
+    const number = parseInt(value, 10);
+    const version = versions.find(v => v.version === number);
+
+    if (!version) {
+      throw createOperationalError(
+        `Version must be between 1 and ${versions.length} or '${CURRENT_VERSION}'`,
+        400,
+        'INVALID_VERSION'
+      );
+    }
+
+    return version;
+  }
+
+  /**
+   * Quote fields that differ between two versions, for dispute review
+   */
+  diffCard(fromCard, toCard) {
+    return QUOTE_FIELDS
+      .filter(field => (fromCard?.[field] ?? null) !== (toCard?.[field] ?? null))
+      .map(field => ({
+        field,
+        from: fromCard?.[field] ?? null,
+        to: toCard?.[field] ?? null
+      }));
+  }
+
+  /**
+   * Word-level diff of the text between two versions, plus changed quote
+   * fields for quotes. Defaults to the most recent edit (previous version
+   * against current).
+   */
+  async diffVersions(messageId, viewer, { from, to } = {}) {
+    const { message, versions } = await this.getVersions(messageId, viewer);
+
+    if (versions.length < 2) {
+      throw createOperationalError('Message has not been edited', 400, 'NO_EDIT_HISTORY');
+    }
+
+    const current = versions[versions.length - 1];
+    const fromVersion = this.parseVersion(from, versions, versions[versions.length - 2]);
+    const toVersion = this.parseVersion(to, versions, current);
+
+    const { changes, stats } = diffText(
+      fromVersion.content?.text || '',
+      toVersion.content?.text || ''
+    );
+
+    return {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      senderId: message.senderId,
+      editCount: message.editCount || 0,
+      from: { version: fromVersion.version, isCurrent: fromVersion.isCurrent, validFrom: fromVersion.validFrom },
+      to: { version: toVersion.version, isCurrent: toVersion.isCurrent, validFrom: toVersion.validFrom },
+      changes,
+      stats,
+      ...(message.type === 'quote' && {
+        cardChanges: this.diffCard(fromVersion.content?.card, toVersion.content?.card)
+      })
+    };
+  }
+}
+
+const editServiceInstance = new EditService();
+module.exports = editServiceInstance;
+module.exports.CURRENT_VERSION = CURRENT_VERSION;
@@ -0,0 +1,171 @@
+// services/socket/forwardService.js
+const { Op } = require('sequelize');
+const db = require('../../db');
+const messageService = require('./messageService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MAX_FORWARD_TARGETS = 5;
+
+// Polls and quote/appointment cards carry per-conversation state and
+// can't be copied meaningfully
+const FORWARDABLE_TYPES = ['text', 'image', 'file', 'emoji', 'audio', 'location', 'contact'];
+
+class ForwardService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  /**
+   * Source message the user can see and forward
+   */
+  async getForwardableMessage(messageId, userId) {
+    const { Message, ConversationParticipant, HiddenMessage } = db.getModels();
+
+    const message = await Message.findByPk(messageId);
+
+    if (!message || message.deleted || (message.expiresAt && new Date(message.expiresAt) <= new Date())) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    const [participation, hidden] = await Promise.all([
+      ConversationParticipant.findOne({
+        where: { conversationId: message.conversationId, userId, leftAt: null }
+      }),
+      HiddenMessage.findOne({ where: { messageId, userId } })
+    ]);
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    if (hidden) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    if (message.isSystemMessage || !FORWARDABLE_TYPES.includes(message.type)) {
+      throw createOperationalError(`Messages of type '${message.type}' cannot be forwarded`, 400, 'INVALID_MESSAGE_TYPE');
+    }
+
+    return message;
+  }
+
+  /**
+   * Check every target is an active conversation the user takes part in
+   */
+  async resolveTargets(conversationIds, userId) {
+    if (!Array.isArray(conversationIds) || conversationIds.length === 0) {
+      throw createOperationalError('At least one target conversation is required', 400, 'MISSING_TARGETS');
+    }
+
+    const targetIds = [...new Set(conversationIds)];
+
+    if (targetIds.length > MAX_FORWARD_TARGETS) {
+      throw createOperationalError(
+        `A message can be forwarded to at most ${MAX_FORWARD_TARGETS} conversations at once`,
+        400,
+        'TOO_MANY_TARGETS'
+      );
+    }
+
+    const { Conversation, ConversationParticipant } = db.getModels();
+
+    const participations = await ConversationParticipant.findAll({
+      where: { conversationId: { [Op.in]: targetIds }, userId, leftAt: null },
+      include: [{
+        model: Conversation,
+        as: 'conversation',
+        attributes: ['id', 'status', 'deleted']
+      }]
+    });
+
+    const allowed = new Set(
+      participations
+        .filter(p => p.conversation && !p.conversation.deleted && p.conversation.status === 'active')
+        .map(p => p.conversationId)
+    );
+
+    const denied = targetIds.filter(id => !allowed.has(id));
+
+    if (denied.length > 0) {
+      throw createOperationalError(
+        'You can only forward to active conversations you participate in',
+        403,
+        'INVALID_FORWARD_TARGET'
+      );
+    }
+
+    return targetIds;
+  }
+
+  /**
+   * Copy a message, media included, into one or more conversations
+   * @param {Object} io - Socket.IO server
+   * @param {Object} socket - Sender's socket (or createUserSocket for REST)
+   * @param {Object} params - messageId, conversationIds
+   * @returns {Promise<Array>} handleSendMessage results, one per target
+   */
+  async forwardMessage(io, socket, { messageId, conversationIds }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    await this.ensureDbInitialized();
+    const { Media } = db.getModels();
+    const mediaUploadService = require('../mediaUpload.service');
+
+    const userId = socket.user.id;
+    const source = await this.getForwardableMessage(messageId, userId);
+    const targetIds = await this.resolveTargets(conversationIds, userId);
+    const sourceContent = source.content || {};
+
+    const forward = {
+      forwardedFromId: source.id,
+      // Forwarding a forward keeps pointing at the first author
+      originalSenderId: source.originalSenderId || source.senderId
+    };
+
+    const results = [];
+
+    for (const conversationId of targetIds) {
+      const { content, mediaIds } = await mediaUploadService.copyMessageMedia(sourceContent, {
+        userId,
+        conversationId
+      });
+
+      const result = await messageService.handleSendMessage(io, socket, {
+        conversationId,
+        messageType: source.type,
+        text: content.text || '',
+        images: content.images || [],
+        audio: content.audio || '',
+        attachments: content.attachments || [],
+        card: content.card || null
+      }, { forward });
+
+      if (mediaIds.length > 0) {
+        await Media.update(
+          { messageId: result.message.id },
+          { where: { id: { [Op.in]: mediaIds } } }
+        );
+      }
+
+      results.push(result);
+    }
+
+    logger.info('Message forwarded', {
+      messageId,
+      userId,
+      targets: targetIds.length
+    });
+
+    return results;
+  }
+}
+
+const forwardServiceInstance = new ForwardService();
+module.exports = forwardServiceInstance;
+module.exports.MAX_FORWARD_TARGETS = MAX_FORWARD_TARGETS;
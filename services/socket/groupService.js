@@ -0,0 +1,448 @@
+// services/socket/groupService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const redisService = require('../redis');
+const queueService = require('../queue/queueService');
+const starService = require('./starService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const CONVERSATION_TYPES = ['job_chat', 'direct_message', 'group'];
+const PARTICIPANT_ROLES = ['owner', 'admin', 'member'];
+const ROLE_RANK = { member: 0, admin: 1, owner: 2 };
+
+const MAX_NAME_LENGTH = 100;
+const MAX_AVATAR_LENGTH = 1000;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const invalid = (message) => createOperationalError(message, 400, 'INVALID_GROUP_DETAILS');
+
+/**
+ * Participant roles and group details. Every conversation has exactly one
+ * owner; admins manage participants and settings; members can only leave.
+ */
+class GroupService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  hasRole(participation, minimumRole) {
+    const rank = ROLE_RANK[participation?.role];
+    return rank !== undefined && rank >= ROLE_RANK[minimumRole];
+  }
+
+  /**
+   * Active participation of a user, or NOT_PARTICIPANT
+   */
+  async getParticipation(conversationId, userId, transaction = null) {
+    await this.ensureDbInitialized();
+    const { ConversationParticipant } = db.getModels();
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId, userId, leftAt: null },
+      ...(transaction && { transaction })
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    return participation;
+  }
+
+  /**
+   * @param {Object} participation - Caller's participant row
+   * @param {string} minimumRole - 'admin' or 'owner'
+   * @param {string} action - What the caller tried, for the error message
+   */
+  requireRole(participation, minimumRole, action) {
+    if (!this.hasRole(participation, minimumRole)) {
+      throw createOperationalError(
+        `Only the conversation ${minimumRole === 'owner' ? 'owner' : 'owner and admins'} can ${action}`,
+        403,
+        'INSUFFICIENT_ROLE'
+      );
+    }
+  }
+
+  /**
+   * Anyone may leave; removing someone else takes a higher role than theirs
+   */
+  assertCanRemove(actor, target) {
+    if (actor.userId === target.userId) {
+      return;
+    }
+
+    this.requireRole(actor, 'admin', 'remove participants');
+
+    if (ROLE_RANK[target.role] >= ROLE_RANK[actor.role]) {
+      throw createOperationalError('You cannot remove a participant with the same or a higher role', 403, 'INSUFFICIENT_ROLE');
+    }
+  }
+
+  /**
+   * Validate name, avatar and description of a group
+   * @param {Object} details - Client payload; undefined fields are left out
+   * @param {Object} options - requireName when creating a group
+   * @returns {Object} Normalized fields to store on the conversation
+   */
+  validateGroupDetails(details = {}, { requireName = false } = {}) {
+    const result = {};
+
+    if (details.name !== undefined || requireName) {
+      const name = typeof details.name === 'string' ? details.name.trim() : '';
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        throw invalid(`Group name is required and cannot exceed ${MAX_NAME_LENGTH} characters`);
+      }
+      result.name = name;
+    }
+
+    for (const [field, maxLength] of [['avatar', MAX_AVATAR_LENGTH], ['description', MAX_DESCRIPTION_LENGTH]]) {
+      const value = details[field];
+
+      if (value === undefined) {
+        continue;
+      }
+
+      if (value !== null && (typeof value !== 'string' || value.length > maxLength)) {
+        throw invalid(`Group ${field} must be a string of at most ${maxLength} characters`);
+      }
+
+      result[field] = value ? value.trim() : null;
+    }
+
+    return result;
+  }
+
+  /**
+   * Add users to a conversation as members. Users who left earlier get
+   * their participant row back instead of a duplicate.
+   */
+  async addMembers(conversationId, userIds, transaction = null) {
+    const { ConversationParticipant } = db.getModels();
+    const options = transaction ? { transaction } : {};
+    const joinedAt = new Date();
+
+    const previous = await ConversationParticipant.findAll({
+      where: { conversationId, userId: { [Op.in]: userIds } },
+      ...options
+    });
+
+    for (const participation of previous) {
+      if (participation.leftAt) {
+        await participation.update({
+          leftAt: null,
+          role: 'member',
+          joinedAt,
+          unreadCount: 0,
+          unreadMentionCount: 0
+        }, options);
+      }
+    }
+
+    const previousIds = new Set(previous.map(p => p.userId));
+    const newIds = userIds.filter(id => !previousIds.has(id));
+
+    if (newIds.length > 0) {
+      await ConversationParticipant.bulkCreate(newIds.map(userId => ({
+        id: uuidv4(),
+        conversationId,
+        userId,
+        role: 'member',
+        unreadCount: 0,
+        joinedAt,
+        isMuted: false,
+        isPinned: false,
+        notificationEnabled: true
+      })), options);
+    }
+  }
+
+  /**
+   * Cleanup once a participant's leftAt is set: drop their stars and their
+   * role, and hand the conversation to someone else if they owned it
+   * @returns {Promise<string|null>} New owner's id when ownership moved
+   */
+  async handleParticipantLeft(io, conversationId, userId) {
+    await this.ensureDbInitialized();
+    const { ConversationParticipant } = db.getModels();
+
+    await starService.removeForParticipant(conversationId, userId);
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId, userId }
+    });
+
+    if (!participation || participation.role === 'member') {
+      return null;
+    }
+
+    const wasOwner = participation.role === 'owner';
+    await participation.update({ role: 'member' });
+
+    return wasOwner ? this.handOverOwnership(io, conversationId, userId) : null;
+  }
+
+  /**
+   * Give ownership to the longest-standing admin, or failing that the
+   * longest-standing member
+   * @returns {Promise<string|null>} New owner's id, null if nobody is left
+   */
+  async handOverOwnership(io, conversationId, previousOwnerId) {
+    const { ConversationParticipant } = db.getModels();
+
+    const candidates = await ConversationParticipant.findAll({
+      where: { conversationId, leftAt: null, userId: { [Op.ne]: previousOwnerId } },
+      order: [['joinedAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    const successor = candidates.find(p => p.role === 'admin') || candidates[0];
+
+    if (!successor) {
+      return null;
+    }
+
+    await successor.update({ role: 'owner' });
+
+    await this.announceOwnerChange(io, conversationId, previousOwnerId, successor.userId, true);
+
+    logger.info('Conversation ownership handed over', {
+      conversationId,
+      previousOwnerId,
+      newOwnerId: successor.userId
+    });
+
+    return successor.userId;
+  }
+
+  /**
+   * Explicit handover by the current owner, who stays on as an admin
+   */
+  async transferOwnership(io, { conversationId, userId, newOwnerId }) {
+    if (!newOwnerId) {
+      throw createOperationalError('New owner is required', 400, 'MISSING_NEW_OWNER');
+    }
+
+    if (newOwnerId === userId) {
+      throw createOperationalError('You already own this conversation', 400, 'INVALID_NEW_OWNER');
+    }
+
+    await this.ensureDbInitialized();
+    const { ConversationParticipant } = db.getModels();
+
+    await ConversationParticipant.sequelize.transaction(async (transaction) => {
+      const owner = await this.getParticipation(conversationId, userId, transaction);
+      this.requireRole(owner, 'owner', 'transfer ownership');
+
+      const target = await ConversationParticipant.findOne({
+        where: { conversationId, userId: newOwnerId, leftAt: null },
+        transaction
+      });
+
+      if (!target) {
+        throw createOperationalError('New owner must be a participant in this conversation', 400, 'INVALID_NEW_OWNER');
+      }
+
+      await target.update({ role: 'owner' }, { transaction });
+      await owner.update({ role: 'admin' }, { transaction });
+    });
+
+    await this.announceOwnerChange(io, conversationId, userId, newOwnerId, false);
+
+    logger.info('Conversation ownership transferred', {
+      conversationId,
+      previousOwnerId: userId,
+      newOwnerId
+    });
+
+    return { conversationId, previousOwnerId: userId, ownerId: newOwnerId };
+  }
+
+  /**
+   * Promote a member to admin or demote an admin. Owner only; the owner's
+   * own role changes through transferOwnership.
+   */
+  async setParticipantRole(io, { conversationId, userId, participantId, role }) {
+    if (!['admin', 'member'].includes(role)) {
+      throw createOperationalError('Role must be admin or member', 400, 'INVALID_ROLE');
+    }
+
+    await this.ensureDbInitialized();
+
+    const owner = await this.getParticipation(conversationId, userId);
+    this.requireRole(owner, 'owner', 'change participant roles');
+
+    if (participantId === userId) {
+      throw createOperationalError('Use ownership transfer to change your own role', 400, 'INVALID_ROLE');
+    }
+
+    const { ConversationParticipant } = db.getModels();
+    const target = await ConversationParticipant.findOne({
+      where: { conversationId, userId: participantId, leftAt: null }
+    });
+
+    if (!target) {
+      throw createOperationalError('User is not a participant in this conversation', 404, 'PARTICIPANT_NOT_FOUND');
+    }
+
+    const previousRole = target.role;
+
+    if (previousRole !== role) {
+      await target.update({ role });
+
+      const names = await this.getNames([userId, participantId]);
+      await this.recordSystemMessage(conversationId, userId, {
+        text: role === 'admin'
+          ? `${names[userId]} made ${names[participantId]} an admin`
+          : `${names[userId]} removed ${names[participantId]} as admin`,
+        systemAction: 'participant_role_change',
+        participantId,
+        previousRole,
+        newRole: role
+      });
+
+      if (io) {
+        io.to(`conversation:${conversationId}`).emit('participant_role_updated', {
+          conversationId,
+          participantId,
+          role,
+          previousRole,
+          updatedBy: userId,
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    return { conversationId, participantId, role, previousRole };
+  }
+
+  /**
+   * Change the name, avatar or description of a group (admins)
+   */
+  async updateGroupDetails(io, { conversationId, userId, details }) {
+    await this.ensureDbInitialized();
+    const { Conversation } = db.getModels();
+
+    const participation = await this.getParticipation(conversationId, userId);
+    const conversation = await Conversation.findByPk(conversationId);
+
+    if (!conversation || conversation.deleted) {
+      throw createOperationalError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+    }
+
+    if (conversation.type !== 'group') {
+      throw createOperationalError('Only group conversations have a name, avatar and description', 400, 'NOT_A_GROUP');
+    }
+
+    this.requireRole(participation, 'admin', 'edit group details');
+
+    const updates = this.validateGroupDetails(details);
+
+    if (Object.keys(updates).length === 0) {
+      throw createOperationalError('Provide a name, avatar or description to update', 400, 'NO_CHANGES');
+    }
+
+    await conversation.update(updates);
+    await redisService.cacheConversation(conversation.toJSON());
+
+    const names = await this.getNames([userId]);
+    await this.recordSystemMessage(conversationId, userId, {
+      text: updates.name
+        ? `${names[userId]} renamed the group to "${updates.name}"`
+        : `${names[userId]} updated the group details`,
+      systemAction: 'group_details_change',
+      updatedFields: Object.keys(updates)
+    });
+
+    if (io) {
+      io.to(`conversation:${conversationId}`).emit('conversation_updated', {
+        conversationId,
+        updates,
+        updatedBy: userId,
+        timestamp: Date.now()
+      });
+    }
+
+    return {
+      conversationId,
+      name: conversation.name,
+      avatar: conversation.avatar,
+      description: conversation.description
+    };
+  }
+
+  async announceOwnerChange(io, conversationId, previousOwnerId, newOwnerId, automatic) {
+    const names = await this.getNames([previousOwnerId, newOwnerId]);
+
+    await this.recordSystemMessage(conversationId, automatic ? newOwnerId : previousOwnerId, {
+      text: automatic
+        ? `${names[newOwnerId]} is now the owner`
+        : `${names[previousOwnerId]} made ${names[newOwnerId]} the owner`,
+      systemAction: 'ownership_transfer',
+      previousOwnerId,
+      newOwnerId
+    });
+
+    if (io) {
+      io.to(`conversation:${conversationId}`).emit('conversation_owner_changed', {
+        conversationId,
+        previousOwnerId,
+        ownerId: newOwnerId,
+        automatic,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Active owner and admins of the conversation
+   * @returns {Promise<string[]>} User ids
+   */
+  async getManagerIds(conversationId) {
+    const { ConversationParticipant } = db.getModels();
+
+    const managers = await ConversationParticipant.findAll({
+      where: { conversationId, leftAt: null, role: { [Op.in]: ['owner', 'admin'] } },
+      attributes: ['userId']
+    });
+
+    return managers.map(p => p.userId);
+  }
+
+  async getNames(userIds) {
+    const { User } = db.getModels();
+
+    const users = await User.findAll({
+      where: { id: { [Op.in]: userIds } },
+      attributes: ['id', 'name']
+    });
+
+    const names = Object.fromEntries(userIds.map(id => [id, 'Unknown user']));
+    for (const user of users) {
+      names[user.id] = user.name || names[user.id];
+    }
+    return names;
+  }
+
+  async recordSystemMessage(conversationId, senderId, content) {
+    await queueService.enqueueMessage({
+      id: uuidv4(),
+      conversationId,
+      senderId,
+      receiverId: null,
+      type: 'system',
+      content,
+      status: 'sent',
+      isSystemMessage: true
+    });
+  }
+}
+
+const groupServiceInstance = new GroupService();
+module.exports = groupServiceInstance;
+module.exports.CONVERSATION_TYPES = CONVERSATION_TYPES;
+module.exports.PARTICIPANT_ROLES = PARTICIPANT_ROLES;
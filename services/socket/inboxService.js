@@ -0,0 +1,377 @@
+// services/socket/inboxService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const config = require('../../config/config');
+const deliveryService = require('./deliveryService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MAX_LABEL_NAME_LENGTH = 50;
+const LABEL_COLOR_REGEX = /^#[0-9a-f]{6}$/i;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// archived filter: hide archived (default), only archived, or everything
+const ARCHIVED_FILTERS = ['false', 'true', 'all'];
+
+/**
+ * Per-user inbox organisation: archiving and labels live on the user's own
+ * participant row, unlike Conversation.status which applies to everyone.
+ * An archived conversation comes back to the inbox when a new message arrives.
+ */
+class InboxService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  getMaxLabels() {
+    return config.messaging?.maxConversationLabels || 50;
+  }
+
+  async getParticipation(conversationId, userId) {
+    const { ConversationParticipant } = db.getModels();
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId, userId, leftAt: null }
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    return participation;
+  }
+
+  formatLabel(label) {
+    return {
+      id: label.id,
+      name: label.name,
+      color: label.color || null,
+      position: label.position,
+      createdAt: label.createdAt,
+      updatedAt: label.updatedAt
+    };
+  }
+
+  emitToUser(io, userId, event, payload) {
+    if (io) {
+      io.to(deliveryService.userRoom(userId)).emit(event, {
+        ...payload,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Turn query-string or socket filters into participant and conversation
+   * conditions plus ordering for the inbox list
+   * @param {Object} filters - archived ('false' | 'true' | 'all'), labelId,
+   *   unreadOnly, pinnedFirst (default true), jobId
+   */
+  buildListQuery(userId, filters = {}) {
+    const { Conversation } = db.getModels();
+    const archived = String(filters.archived ?? 'false');
+    const unreadOnly = this.parseFlag(filters.unreadOnly, 'unreadOnly', false);
+    const pinnedFirst = this.parseFlag(filters.pinnedFirst, 'pinnedFirst', true);
+    const { labelId, jobId } = filters;
+
+    if (!ARCHIVED_FILTERS.includes(archived)) {
+      throw createOperationalError('archived must be true, false or all', 400, 'INVALID_FILTER');
+    }
+
+    const participantWhere = { userId };
+    const conversationWhere = {};
+
+    if (archived !== 'all') {
+      participantWhere.archivedAt = archived === 'true' ? { [Op.ne]: null } : null;
+    }
+
+    if (labelId) {
+      if (!UUID_REGEX.test(labelId)) {
+        throw createOperationalError('Invalid label ID format', 400, 'INVALID_FILTER');
+      }
+      participantWhere.labelIds = { [Op.contains]: [labelId] };
+    }
+
+    if (unreadOnly) {
+      participantWhere.unreadCount = { [Op.gt]: 0 };
+    }
+
+    if (jobId) {
+      conversationWhere.jobId = jobId;
+    }
+
+    const order = [
+      ...(pinnedFirst ? [['isPinned', 'DESC']] : []),
+      [{ model: Conversation, as: 'conversation' }, 'lastMessageAt', 'DESC']
+    ];
+
+    return { participantWhere, conversationWhere, order };
+  }
+
+  parseFlag(value, name, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+      return defaultValue;
+    }
+
+    if (value === true || value === 'true') {
+      return true;
+    }
+
+    if (value === false || value === 'false') {
+      return false;
+    }
+
+    throw createOperationalError(`${name} must be true or false`, 400, 'INVALID_FILTER');
+  }
+
+  async archiveConversation(io, { conversationId, userId }) {
+    await this.ensureDbInitialized();
+
+    const participation = await this.getParticipation(conversationId, userId);
+
+    if (!participation.archivedAt) {
+      await participation.update({ archivedAt: new Date() });
+      this.emitToUser(io, userId, 'conversation_archived', {
+        conversationId,
+        archivedAt: participation.archivedAt
+      });
+    }
+
+    return { conversationId, archivedAt: participation.archivedAt };
+  }
+
+  async unarchiveConversation(io, { conversationId, userId }) {
+    await this.ensureDbInitialized();
+
+    const participation = await this.getParticipation(conversationId, userId);
+
+    if (participation.archivedAt) {
+      await participation.update({ archivedAt: null });
+      this.emitToUser(io, userId, 'conversation_unarchived', { conversationId });
+    }
+
+    return { conversationId, archivedAt: null };
+  }
+
+  /**
+   * Bring the conversation back into the inbox of everyone who archived it
+   */
+  async unarchiveOnNewMessage(io, conversationId) {
+    await this.ensureDbInitialized();
+    const { ConversationParticipant } = db.getModels();
+
+    try {
+      const [, restored] = await ConversationParticipant.update(
+        { archivedAt: null },
+        {
+          where: { conversationId, archivedAt: { [Op.ne]: null }, leftAt: null },
+          returning: true
+        }
+      );
+
+      for (const participation of restored) {
+        this.emitToUser(io, participation.userId, 'conversation_unarchived', { conversationId });
+      }
+    } catch (error) {
+      // The message itself already went out
+      logger.error('Failed to unarchive conversation after new message', {
+        conversationId,
+        error: error.message
+      });
+    }
+  }
+
+  async getLabels(userId) {
+    await this.ensureDbInitialized();
+    const { ConversationLabel } = db.getModels();
+
+    const labels = await ConversationLabel.findAll({
+      where: { userId },
+      order: [['position', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    return labels.map(label => this.formatLabel(label));
+  }
+
+  validateLabelDetails({ name, color }, { requireName = false } = {}) {
+    const details = {};
+
+    if (name !== undefined || requireName) {
+      if (typeof name !== 'string' || !name.trim()) {
+        throw createOperationalError('Label name is required', 400, 'INVALID_LABEL');
+      }
+      if (name.trim().length > MAX_LABEL_NAME_LENGTH) {
+        throw createOperationalError(
+          `Label name cannot be longer than ${MAX_LABEL_NAME_LENGTH} characters`,
+          400,
+          'INVALID_LABEL'
+        );
+      }
+      details.name = name.trim();
+    }
+
+    if (color !== undefined) {
+      if (color !== null && (typeof color !== 'string' || !LABEL_COLOR_REGEX.test(color))) {
+        throw createOperationalError('Label color must be a hex color like #1E88E5', 400, 'INVALID_LABEL');
+      }
+      details.color = color;
+    }
+
+    return details;
+  }
+
+  async assertNameAvailable(userId, name, exceptLabelId = null) {
+    const { ConversationLabel } = db.getModels();
+    const { sequelize } = ConversationLabel;
+
+    const existing = await ConversationLabel.findOne({
+      where: {
+        userId,
+        [Op.and]: sequelize.where(sequelize.fn('LOWER', sequelize.col('name')), name.toLowerCase()),
+        ...(exceptLabelId && { id: { [Op.ne]: exceptLabelId } })
+      },
+      attributes: ['id']
+    });
+
+    if (existing) {
+      throw createOperationalError('You already have a label with this name', 409, 'LABEL_EXISTS');
+    }
+  }
+
+  async createLabel(io, { userId, name, color }) {
+    const details = this.validateLabelDetails({ name, color }, { requireName: true });
+
+    await this.ensureDbInitialized();
+    const { ConversationLabel } = db.getModels();
+
+    const count = await ConversationLabel.count({ where: { userId } });
+
+    if (count >= this.getMaxLabels()) {
+      throw createOperationalError(
+        `You can have at most ${this.getMaxLabels()} labels`,
+        400,
+        'LABEL_LIMIT_REACHED'
+      );
+    }
+
+    await this.assertNameAvailable(userId, details.name);
+
+    const label = await ConversationLabel.create({
+      id: uuidv4(),
+      userId,
+      name: details.name,
+      color: details.color || null,
+      position: count
+    });
+
+    const formatted = this.formatLabel(label);
+    this.emitToUser(io, userId, 'label_created', { label: formatted });
+
+    return formatted;
+  }
+
+  async getOwnLabel(userId, labelId) {
+    const { ConversationLabel } = db.getModels();
+
+    const label = UUID_REGEX.test(labelId || '')
+      ? await ConversationLabel.findOne({ where: { id: labelId, userId } })
+      : null;
+
+    if (!label) {
+      throw createOperationalError('Label not found', 404, 'LABEL_NOT_FOUND');
+    }
+
+    return label;
+  }
+
+  async updateLabel(io, { userId, labelId, name, color, position }) {
+    const details = this.validateLabelDetails({ name, color });
+
+    if (position !== undefined) {
+      if (!Number.isInteger(position) || position < 0) {
+        throw createOperationalError('position must be a non-negative integer', 400, 'INVALID_LABEL');
+      }
+      details.position = position;
+    }
+
+    if (Object.keys(details).length === 0) {
+      throw createOperationalError('Nothing to update', 400, 'NO_LABEL_CHANGES');
+    }
+
+    await this.ensureDbInitialized();
+
+    const label = await this.getOwnLabel(userId, labelId);
+
+    if (details.name) {
+      await this.assertNameAvailable(userId, details.name, label.id);
+    }
+
+    await label.update(details);
+
+    const formatted = this.formatLabel(label);
+    this.emitToUser(io, userId, 'label_updated', { label: formatted });
+
+    return formatted;
+  }
+
+  /**
+   * Delete a label and take it off every conversation it was applied to
+   */
+  async deleteLabel(io, { userId, labelId }) {
+    await this.ensureDbInitialized();
+    const { ConversationLabel, ConversationParticipant } = db.getModels();
+
+    const { sequelize } = ConversationLabel;
+
+    const label = await this.getOwnLabel(userId, labelId);
+
+    await sequelize.transaction(async (transaction) => {
+      await ConversationParticipant.update(
+        { labelIds: sequelize.fn('array_remove', sequelize.col('labelIds'), label.id) },
+        {
+          where: { userId, labelIds: { [Op.contains]: [label.id] } },
+          transaction
+        }
+      );
+
+      await label.destroy({ transaction });
+    });
+
+    this.emitToUser(io, userId, 'label_deleted', { labelId: label.id });
+
+    return { labelId: label.id };
+  }
+
+  async setConversationLabel(io, { conversationId, userId, labelId, applied }) {
+    await this.ensureDbInitialized();
+
+    const label = await this.getOwnLabel(userId, labelId);
+    const participation = await this.getParticipation(conversationId, userId);
+    const current = participation.labelIds || [];
+
+    const labelIds = applied
+      ? [...new Set([...current, label.id])]
+      : current.filter(id => id !== label.id);
+
+    if (labelIds.length !== current.length) {
+      await participation.update({ labelIds });
+      this.emitToUser(io, userId, 'conversation_labels_updated', { conversationId, labelIds });
+    }
+
+    return { conversationId, labelIds };
+  }
+
+  addConversationLabel(io, params) {
+    return this.setConversationLabel(io, { ...params, applied: true });
+  }
+
+  removeConversationLabel(io, params) {
+    return this.setConversationLabel(io, { ...params, applied: false });
+  }
+}
+
+module.exports = new InboxService();
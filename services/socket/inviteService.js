@@ -0,0 +1,551 @@
+// services/socket/inviteService.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const config = require('../../config/config');
+const redisService = require('../redis');
+const queueService = require('../queue/queueService');
+const deliveryService = require('./deliveryService');
+const groupService = require('./groupService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MAX_PARTICIPANTS = 50;
+const MAX_INVITE_USES = 1000;
+
+/**
+ * Shareable invite links. Admins create tokens with an expiry, an optional
+ * use limit and an optional approval step; anyone with the token can join
+ * (or ask to join) until it expires, runs out or is revoked.
+ */
+class InviteService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  getDefaultTtlHours() {
+    return config.messaging?.inviteDefaultTtlHours || 168;
+  }
+
+  getMaxTtlHours() {
+    return config.messaging?.inviteMaxTtlHours || 720;
+  }
+
+  generateToken() {
+    return crypto.randomBytes(24).toString('base64url');
+  }
+
+  /**
+   * Why an invite can't be used right now, or null if it can
+   */
+  getInactiveReason(invite, now = new Date()) {
+    if (invite.revokedAt) return 'revoked';
+    if (new Date(invite.expiresAt) <= now) return 'expired';
+    if (invite.maxUses !== null && invite.useCount >= invite.maxUses) return 'exhausted';
+    return null;
+  }
+
+  formatInvite(invite) {
+    const baseUrl = config.messaging?.inviteLinkBaseUrl;
+
+    return {
+      id: invite.id,
+      conversationId: invite.conversationId,
+      token: invite.token,
+      url: baseUrl ? `${baseUrl.replace(/\/$/, '')}/${invite.token}` : null,
+      createdBy: invite.createdBy,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      useCount: invite.useCount,
+      requiresApproval: invite.requiresApproval,
+      revokedAt: invite.revokedAt,
+      isActive: this.getInactiveReason(invite) === null,
+      createdAt: invite.createdAt
+    };
+  }
+
+  formatJoinRequest(request) {
+    return {
+      id: request.id,
+      conversationId: request.conversationId,
+      inviteId: request.inviteId,
+      userId: request.userId,
+      user: request.user ? {
+        id: request.user.id,
+        name: request.user.name,
+        avatar: request.user.avatar
+      } : undefined,
+      status: request.status,
+      decidedBy: request.decidedBy,
+      decidedAt: request.decidedAt,
+      createdAt: request.createdAt
+    };
+  }
+
+  /**
+   * Conversation the caller administers and that can take invites
+   */
+  async getManagedConversation(conversationId, userId, action) {
+    const { Conversation } = db.getModels();
+
+    const participation = await groupService.getParticipation(conversationId, userId);
+
+    const conversation = await Conversation.findByPk(conversationId);
+
+    if (!conversation || conversation.deleted) {
+      throw createOperationalError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+    }
+
+    groupService.requireRole(participation, 'admin', action);
+
+    return conversation;
+  }
+
+  /**
+   * @param {Object} params - conversationId, userId, expiresInHours,
+   *   maxUses (null = unlimited), requiresApproval
+   */
+  async createInvite({ conversationId, userId, expiresInHours, maxUses = null, requiresApproval = false }) {
+    await this.ensureDbInitialized();
+    const { ConversationInvite } = db.getModels();
+
+    const ttlHours = expiresInHours === undefined || expiresInHours === null
+      ? this.getDefaultTtlHours()
+      : Number(expiresInHours);
+
+    if (!Number.isFinite(ttlHours) || ttlHours <= 0 || ttlHours > this.getMaxTtlHours()) {
+      throw createOperationalError(
+        `expiresInHours must be between 0 and ${this.getMaxTtlHours()}`,
+        400,
+        'INVALID_EXPIRY'
+      );
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > MAX_INVITE_USES)) {
+      throw createOperationalError(`maxUses must be an integer between 1 and ${MAX_INVITE_USES}`, 400, 'INVALID_MAX_USES');
+    }
+
+    if (typeof requiresApproval !== 'boolean') {
+      throw createOperationalError('requiresApproval must be a boolean', 400, 'INVALID_REQUIRES_APPROVAL');
+    }
+
+    const conversation = await this.getManagedConversation(conversationId, userId, 'create invite links');
+
+    if (conversation.type === 'direct_message') {
+      throw createOperationalError('Direct conversations cannot have invite links', 400, 'INVALID_CONVERSATION_TYPE');
+    }
+
+    if (conversation.status !== 'active') {
+      throw createOperationalError(`Cannot invite to a ${conversation.status} conversation`, 400, 'CONVERSATION_NOT_ACTIVE');
+    }
+
+    const invite = await ConversationInvite.create({
+      id: uuidv4(),
+      conversationId,
+      token: this.generateToken(),
+      createdBy: userId,
+      expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000),
+      maxUses,
+      requiresApproval
+    });
+
+    logger.info('Conversation invite created', {
+      conversationId,
+      inviteId: invite.id,
+      userId,
+      maxUses,
+      requiresApproval
+    });
+
+    return this.formatInvite(invite);
+  }
+
+  async listInvites(conversationId, userId) {
+    await this.ensureDbInitialized();
+    const { ConversationInvite } = db.getModels();
+
+    await this.getManagedConversation(conversationId, userId, 'view invite links');
+
+    const invites = await ConversationInvite.findAll({
+      where: { conversationId },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return invites.map(invite => this.formatInvite(invite));
+  }
+
+  /**
+   * Revoke an invite; requests still waiting on it are rejected
+   */
+  async revokeInvite(io, { conversationId, inviteId, userId }) {
+    await this.ensureDbInitialized();
+    const { ConversationInvite, ConversationJoinRequest } = db.getModels();
+
+    await this.getManagedConversation(conversationId, userId, 'revoke invite links');
+
+    const invite = await ConversationInvite.findOne({
+      where: { id: inviteId, conversationId }
+    });
+
+    if (!invite) {
+      throw createOperationalError('Invite not found', 404, 'INVITE_NOT_FOUND');
+    }
+
+    if (invite.revokedAt) {
+      return this.formatInvite(invite);
+    }
+
+    const decidedAt = new Date();
+    let rejected = [];
+
+    await ConversationInvite.sequelize.transaction(async (transaction) => {
+      await invite.update({ revokedAt: decidedAt, revokedBy: userId }, { transaction });
+
+      rejected = await ConversationJoinRequest.findAll({
+        where: { inviteId, status: 'pending' },
+        transaction
+      });
+
+      if (rejected.length > 0) {
+        await ConversationJoinRequest.update(
+          { status: 'rejected', decidedBy: userId, decidedAt },
+          { where: { id: { [Op.in]: rejected.map(r => r.id) } }, transaction }
+        );
+      }
+    });
+
+    if (io) {
+      for (const request of rejected) {
+        io.to(deliveryService.userRoom(request.userId)).emit('join_request_rejected', {
+          conversationId,
+          requestId: request.id,
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    logger.info('Conversation invite revoked', {
+      conversationId,
+      inviteId,
+      userId,
+      rejectedRequests: rejected.length
+    });
+
+    return this.formatInvite(invite);
+  }
+
+  /**
+   * What the invite leads to, so a client can show it before joining
+   */
+  async previewInvite(token) {
+    await this.ensureDbInitialized();
+    const { ConversationInvite, Conversation } = db.getModels();
+
+    const invite = await ConversationInvite.findOne({
+      where: { token },
+      include: [{
+        model: Conversation,
+        as: 'conversation',
+        attributes: ['id', 'type', 'name', 'avatar', 'description', 'jobTitle', 'participantIds', 'status', 'deleted']
+      }]
+    });
+
+    const conversation = invite?.conversation;
+
+    if (!invite || !conversation || conversation.deleted) {
+      throw createOperationalError('Invite not found', 404, 'INVITE_NOT_FOUND');
+    }
+
+    this.assertUsable(invite);
+
+    return {
+      conversationId: conversation.id,
+      type: conversation.type,
+      name: conversation.name,
+      avatar: conversation.avatar,
+      description: conversation.description,
+      jobTitle: conversation.jobTitle,
+      participantCount: (conversation.participantIds || []).length,
+      requiresApproval: invite.requiresApproval,
+      expiresAt: invite.expiresAt
+    };
+  }
+
+  assertUsable(invite) {
+    const reason = this.getInactiveReason(invite);
+
+    if (reason === 'revoked') {
+      throw createOperationalError('This invite link has been revoked', 410, 'INVITE_REVOKED');
+    }
+
+    if (reason === 'expired') {
+      throw createOperationalError('This invite link has expired', 410, 'INVITE_EXPIRED');
+    }
+
+    if (reason === 'exhausted') {
+      throw createOperationalError('This invite link has reached its usage limit', 410, 'INVITE_EXHAUSTED');
+    }
+  }
+
+  /**
+   * Join through an invite token. Returns status 'joined', or 'pending'
+   * when the invite needs an admin to approve the request first.
+   */
+  async joinWithToken(io, { token, user }) {
+    if (!token || typeof token !== 'string') {
+      throw createOperationalError('Invite token is required', 400, 'MISSING_INVITE_TOKEN');
+    }
+
+    await this.ensureDbInitialized();
+    const { ConversationInvite, ConversationJoinRequest, ConversationParticipant } = db.getModels();
+
+    const result = await ConversationInvite.sequelize.transaction(async (transaction) => {
+      const invite = await ConversationInvite.findOne({
+        where: { token },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!invite) {
+        throw createOperationalError('Invite not found', 404, 'INVITE_NOT_FOUND');
+      }
+
+      this.assertUsable(invite);
+
+      const conversation = await this.getJoinableConversation(invite.conversationId, transaction);
+
+      const existing = await ConversationParticipant.findOne({
+        where: { conversationId: conversation.id, userId: user.id, leftAt: null },
+        transaction
+      });
+
+      if (existing) {
+        throw createOperationalError('You are already a participant in this conversation', 409, 'ALREADY_PARTICIPANT');
+      }
+
+      if (invite.requiresApproval) {
+        const [request, created] = await ConversationJoinRequest.findOrCreate({
+          where: { conversationId: conversation.id, userId: user.id, status: 'pending' },
+          defaults: { id: uuidv4(), inviteId: invite.id },
+          transaction
+        });
+
+        return { status: 'pending', conversationId: conversation.id, request, created };
+      }
+
+      await this.addToConversation(conversation, invite, user.id, transaction);
+
+      return { status: 'joined', conversationId: conversation.id, inviteId: invite.id };
+    });
+
+    if (result.status === 'pending') {
+      // Only the owner and admins can act on requests
+      const managerIds = result.created && io
+        ? await groupService.getManagerIds(result.conversationId)
+        : [];
+
+      if (managerIds.length > 0) {
+        io.to(managerIds.map(id => deliveryService.userRoom(id))).emit('join_request_created', {
+          conversationId: result.conversationId,
+          request: this.formatJoinRequest(result.request),
+          user: { id: user.id, name: user.name, avatar: user.avatar },
+          timestamp: Date.now()
+        });
+      }
+
+      return {
+        status: 'pending',
+        conversationId: result.conversationId,
+        request: this.formatJoinRequest(result.request)
+      };
+    }
+
+    await this.announceJoin(io, result.conversationId, user.id, null, result.inviteId);
+
+    logger.info('User joined conversation via invite', {
+      conversationId: result.conversationId,
+      inviteId: result.inviteId,
+      userId: user.id
+    });
+
+    return { status: 'joined', conversationId: result.conversationId };
+  }
+
+  async listJoinRequests(conversationId, userId) {
+    await this.ensureDbInitialized();
+    const { ConversationJoinRequest, User } = db.getModels();
+
+    await this.getManagedConversation(conversationId, userId, 'view join requests');
+
+    const requests = await ConversationJoinRequest.findAll({
+      where: { conversationId, status: 'pending' },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'avatar']
+      }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    return requests.map(request => this.formatJoinRequest(request));
+  }
+
+  /**
+   * Approve or reject a pending join request (admins)
+   * @param {boolean} approve - false rejects the request
+   */
+  async decideJoinRequest(io, { conversationId, requestId, userId, approve }) {
+    await this.ensureDbInitialized();
+    const { ConversationInvite, ConversationJoinRequest } = db.getModels();
+
+    await this.getManagedConversation(conversationId, userId, 'decide on join requests');
+
+    const request = await ConversationInvite.sequelize.transaction(async (transaction) => {
+      const pending = await ConversationJoinRequest.findOne({
+        where: { id: requestId, conversationId, status: 'pending' },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!pending) {
+        throw createOperationalError('Join request not found', 404, 'JOIN_REQUEST_NOT_FOUND');
+      }
+
+      if (approve) {
+        // Requests keep their place once made; only the use limit still applies
+        const invite = await ConversationInvite.findByPk(pending.inviteId, {
+          transaction,
+          lock: transaction.LOCK.UPDATE
+        });
+
+        if (invite.maxUses !== null && invite.useCount >= invite.maxUses) {
+          throw createOperationalError('This invite link has reached its usage limit', 410, 'INVITE_EXHAUSTED');
+        }
+
+        const conversation = await this.getJoinableConversation(conversationId, transaction);
+        await this.addToConversation(conversation, invite, pending.userId, transaction);
+      }
+
+      await pending.update({
+        status: approve ? 'approved' : 'rejected',
+        decidedBy: userId,
+        decidedAt: new Date()
+      }, { transaction });
+
+      return pending;
+    });
+
+    if (approve) {
+      await this.announceJoin(io, conversationId, request.userId, userId, request.inviteId);
+    } else if (io) {
+      io.to(deliveryService.userRoom(request.userId)).emit('join_request_rejected', {
+        conversationId,
+        requestId,
+        timestamp: Date.now()
+      });
+    }
+
+    logger.info('Join request decided', {
+      conversationId,
+      requestId,
+      userId,
+      approved: approve
+    });
+
+    return this.formatJoinRequest(request);
+  }
+
+  async getJoinableConversation(conversationId, transaction) {
+    const { Conversation } = db.getModels();
+
+    const conversation = await Conversation.findByPk(conversationId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!conversation || conversation.deleted) {
+      throw createOperationalError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+    }
+
+    if (conversation.status !== 'active') {
+      throw createOperationalError(`Cannot join a ${conversation.status} conversation`, 400, 'CONVERSATION_NOT_ACTIVE');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Participant row, Conversation.participantIds and the invite's use count
+   */
+  async addToConversation(conversation, invite, userId, transaction) {
+    const participantIds = conversation.participantIds || [];
+
+    if (!participantIds.includes(userId) && participantIds.length >= MAX_PARTICIPANTS) {
+      throw createOperationalError(`Conversation cannot have more than ${MAX_PARTICIPANTS} participants`, 400, 'PARTICIPANT_LIMIT_EXCEEDED');
+    }
+
+    await groupService.addMembers(conversation.id, [userId], transaction);
+
+    if (!participantIds.includes(userId)) {
+      await conversation.update({ participantIds: [...participantIds, userId] }, { transaction });
+    }
+
+    await invite.increment('useCount', { transaction });
+  }
+
+  /**
+   * System message plus users_added_to_conversation for the room and
+   * added_to_conversation for the new participant's own sockets
+   * @param {string|null} approvedBy - Admin who approved, null for direct joins
+   */
+  async announceJoin(io, conversationId, userId, approvedBy, inviteId) {
+    const { Conversation } = db.getModels();
+
+    const conversation = await Conversation.findByPk(conversationId);
+    await redisService.cacheConversation(conversation.toJSON());
+
+    const names = await groupService.getNames([userId]);
+    await queueService.enqueueMessage({
+      id: uuidv4(),
+      conversationId,
+      senderId: userId,
+      receiverId: null,
+      type: 'system',
+      content: {
+        text: `${names[userId]} joined via invite link`,
+        systemAction: 'join_via_invite',
+        joinedUserId: userId,
+        inviteId,
+        approvedBy
+      },
+      status: 'sent',
+      isSystemMessage: true
+    });
+
+    if (!io) {
+      return;
+    }
+
+    io.to(`conversation:${conversationId}`).emit('users_added_to_conversation', {
+      conversationId,
+      userIds: [userId],
+      addedBy: approvedBy || userId,
+      inviteId,
+      timestamp: Date.now()
+    });
+
+    io.to(deliveryService.userRoom(userId)).emit('added_to_conversation', {
+      conversationId,
+      conversation: conversation.toJSON(),
+      timestamp: Date.now()
+    });
+  }
+}
+
+const inviteServiceInstance = new InviteService();
+module.exports = inviteServiceInstance;
+module.exports.MAX_INVITE_USES = MAX_INVITE_USES;
@@ -0,0 +1,110 @@
+// services/socket/mentionService.js
+const db = require('../../db');
+const logger = require('../../utils/logger');
+const { parseMentions, handlesForUser } = require('../../utils/mentions');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+class MentionService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  /**
+   * Parse mentions in message text and resolve them to active participants
+   * of the conversation. Markup naming a non-participant is rejected; a
+   * free-typed handle that matches no participant (or several) stays plain
+   * text.
+   * @param {string} conversationId - Conversation the message is sent to
+   * @param {string} text - Raw message text
+   * @param {string} senderId - Author; self-mentions are kept but not counted
+   * @returns {Promise<{text: string, mentions: Array, mentionedUserIds: string[]}>}
+   */
+  async resolveMentions(conversationId, text, senderId) {
+    const { text: parsedText, candidates } = parseMentions(text);
+
+    if (candidates.length === 0) {
+      return { text: parsedText, mentions: [], mentionedUserIds: [] };
+    }
+
+    await this.ensureDbInitialized();
+    const { ConversationParticipant, User } = db.getModels();
+
+    const participants = await ConversationParticipant.findAll({
+      where: { conversationId, leftAt: null },
+      attributes: ['userId'],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'firstName', 'lastName']
+      }]
+    });
+
+    const byId = new Map();
+    const byHandle = new Map();
+
+    for (const participant of participants) {
+      const user = participant.user || { id: participant.userId };
+      byId.set(participant.userId.toLowerCase(), user);
+
+      for (const handle of handlesForUser(user)) {
+        const matches = byHandle.get(handle) || [];
+        matches.push(user);
+        byHandle.set(handle, matches);
+      }
+    }
+
+    const mentions = [];
+
+    for (const candidate of candidates) {
+      if (candidate.userId) {
+        const user = byId.get(candidate.userId);
+
+        if (!user) {
+          throw createOperationalError('Mentioned user is not a participant in this conversation', 400, 'INVALID_MENTION');
+        }
+
+        mentions.push({
+          userId: user.id,
+          name: candidate.name,
+          offset: candidate.offset,
+          length: candidate.length
+        });
+        continue;
+      }
+
+      const matches = byHandle.get(candidate.handle.toLowerCase()) || [];
+      if (matches.length === 1) {
+        mentions.push({
+          userId: matches[0].id,
+          name: matches[0].name || candidate.handle,
+          offset: candidate.offset,
+          length: candidate.length
+        });
+      }
+    }
+
+    const mentionedUserIds = [...new Set(mentions.map(m => m.userId))]
+      .filter(id => id !== senderId);
+
+    logger.debug('Mentions resolved', {
+      conversationId,
+      candidates: candidates.length,
+      mentions: mentions.length
+    });
+
+    return { text: parsedText, mentions, mentionedUserIds };
+  }
+
+  /**
+   * User ids mentioned in stored message content
+   */
+  getMentionedUserIds(content) {
+    const mentions = Array.isArray(content?.mentions) ? content.mentions : [];
+    return [...new Set(mentions.map(m => m.userId).filter(Boolean))];
+  }
+}
+
+module.exports = new MentionService();
@@ -4,11 +4,25 @@ const { Op } = require('sequelize');
 const db = require('../../db');
 const queueService = require('../queue/queueService');
 const redisService = require('../redis');
+const receiptService = require('./receiptService');
+const retentionService = require('./retentionService');
+const deliveryService = require('./deliveryService');
+const deletionService = require('./deletionService');
+const editService = require('./editService');
+const mentionService = require('./mentionService');
+const cardService = require('./cardService');
+const pollService = require('./pollService');
+const draftService = require('./draftService');
+const blockService = require('./blockService');
+const inboxService = require('./inboxService');
 const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MAX_EMOJI_LENGTH = 64;
 
 class MessageService {
 
-  async handleSendMessage(io, socket, payload) {
+  async handleSendMessage(io, socket, payload, options = {}) {
     console.log('🔥 Incoming payload:', JSON.stringify(payload, null, 2));
     
     const {
@@ -29,9 +43,14 @@ class MessageService {
       fileSize = 0, // NEW: File size
       fileType = '', // NEW: File MIME type
       replyToMessageId = null,
-      attachments = []
+      attachments = [],
+      card: cardPayload = null,
+      poll: pollPayload = null
     } = payload;
 
+    // FORWARDING: provenance is passed by forwardService, never taken from the client payload
+    const { forward = null } = options;
+
     const userId = socket.user.id;
     let targetConversationId = conversationId;
 
@@ -47,6 +66,22 @@ class MessageService {
         throw new Error('Required models not initialized');
       }
 
+      // MEMBERSHIP: only active participants may post, whichever path the send came from
+      if (targetConversationId) {
+        await this.assertActiveParticipant(targetConversationId, userId);
+      }
+
+      // IDEMPOTENCY: a retried send returns the original message
+      if (clientTempId) {
+        const existing = await Message.findOne({
+          where: { senderId: userId, clientTempId }
+        });
+
+        if (existing) {
+          return this.replayDuplicateSend(socket, existing);
+        }
+      }
+
       // CONVERSATION RESOLUTION
       if (!targetConversationId && receiverId) {
         const conversationService = require('./conversationService');
@@ -56,6 +91,8 @@ class MessageService {
           jobId,
           payload.jobTitle
         );
+        // An existing conversation the sender has left is not reopened
+        await this.assertActiveParticipant(targetConversationId, userId);
         socket.join(`conversation:${targetConversationId}`);
       }
 
@@ -63,12 +100,50 @@ class MessageService {
         throw new Error('Could not determine target conversation ID');
       }
 
+      // THREAD RESOLUTION: replies attach to the root of the thread
+      let parentMessageId = null;
+      if (replyToMessageId) {
+        const replyTarget = await Message.findByPk(replyToMessageId, {
+          attributes: ['id', 'conversationId', 'parentMessageId', 'deleted']
+        });
+
+        if (!replyTarget || replyTarget.deleted || replyTarget.conversationId !== targetConversationId) {
+          throw createOperationalError('Reply target must be a message in the same conversation', 400, 'INVALID_REPLY_TARGET');
+        }
+
+        parentMessageId = replyTarget.parentMessageId || replyTarget.id;
+      }
+
+      // DISAPPEARING MESSAGES: expiry comes from the conversation's retention
+      const targetConversation = await Conversation.findByPk(targetConversationId, {
+        attributes: ['id', 'type', 'participantIds', 'messageTtlSeconds']
+      });
+
+      // BLOCKING: no one-to-one messages between users where either blocked the other
+      await blockService.assertCanMessage(targetConversation, userId);
+      const expiresAt = retentionService.computeExpiresAt(targetConversation?.messageTtlSeconds);
+
+      // CARD MESSAGES: quote, appointment, location and contact payloads
+      // are validated against their schema before anything is written
+      const card = cardService.isCardType(messageType)
+        ? cardService.validateCard(messageType, cardPayload)
+        : null;
+      const poll = messageType === 'poll' ? pollService.validatePoll(pollPayload) : null;
+
       // ENHANCED CONTENT PROCESSING WITH FILE SUPPORT
-      const finalTextContent = textMsg || text || '';
+      const finalTextContent = textMsg || text ||
+        (card ? cardService.summarize(messageType, card) : '') ||
+        (poll ? pollService.summarize(poll) : '');
       const finalImages = messageImages.length ? messageImages : images;
       const finalAudio = audioFile || audio;
       const finalFileUrl = fileUrl || '';
       
+      // MENTIONS: markup becomes plain @names with offsets into the text.
+      // Forwarded text is copied verbatim and mentions nobody here.
+      const { text: mentionedText, mentions, mentionedUserIds } = forward
+        ? { text: finalTextContent, mentions: [], mentionedUserIds: [] }
+        : await mentionService.resolveMentions(targetConversationId, finalTextContent, userId);
+      
       // Handle attachments array (can include multiple files)
       const finalAttachments = attachments.length ? attachments : [];
       
@@ -115,15 +190,24 @@ class MessageService {
         receiverId: receiverId || null,
         type: determinedMessageType,
         content: {
-          text: finalTextContent,
+          text: mentionedText,
+          mentions,
           images: finalImages,
           audio: finalAudio,
           attachments: finalAttachments, // File attachments
           replyTo: replyToMessageId,
           // Additional file metadata for easy access
           hasFiles: finalAttachments.length > 0,
-          fileCount: finalAttachments.length
+          fileCount: finalAttachments.length,
+          ...(card && { card }),
+          ...(poll && { poll })
         },
+        parentMessageId,
+        expiresAt,
+        ...(forward && {
+          forwardedFromId: forward.forwardedFromId,
+          originalSenderId: forward.originalSenderId
+        }),
         status: 'sent',
         clientTempId,
         deleted: false,
@@ -152,6 +236,17 @@ class MessageService {
       }
       
       try {
+        // ASSIGN SEQUENCE NUMBER: the conversation row stays locked until
+        // commit, so sequence order matches commit order
+        const [seqRows] = await Conversation.sequelize.query(
+          'UPDATE conversations SET "lastMessageSeq" = "lastMessageSeq" + 1 WHERE id = :conversationId RETURNING "lastMessageSeq"',
+          {
+            replacements: { conversationId: targetConversationId },
+            ...(transaction ? { transaction } : {})
+          }
+        );
+        messageData.seq = seqRows[0].lastMessageSeq;
+
         // CREATE MESSAGE
         const createOptions = transaction ? { transaction } : {};
         const message = await Message.create(messageData, createOptions);
@@ -184,6 +279,34 @@ class MessageService {
           }
         );
 
+        if (mentionedUserIds.length > 0) {
+          await ConversationParticipant.increment(
+            'unreadMentionCount',
+            {
+              where: {
+                conversationId: targetConversationId,
+                userId: { [Op.in]: mentionedUserIds },
+                leftAt: null
+              },
+              ...incrementOptions
+            }
+          );
+        }
+
+        // UPDATE THREAD PARENT
+        if (parentMessageId) {
+          await Message.update(
+            {
+              threadReplyCount: Message.sequelize.literal('"threadReplyCount" + 1'),
+              threadLastReplyAt: message.createdAt
+            },
+            {
+              where: { id: parentMessageId },
+              ...updateOptions
+            }
+          );
+        }
+
         // COMMIT TRANSACTION
         if (transaction) {
           await transaction.commit();
@@ -208,11 +331,54 @@ class MessageService {
           ...messageData, 
           id: message.id, 
           sender,
+          isForwarded: !!forward,
           timestamp: message.createdAt.toISOString()
         };
 
-        // BROADCAST TO CONVERSATION
-        io.to(`conversation:${targetConversationId}`).emit('new_message', messageWithSender);
+        // DELIVER: recipients get an acked emit per device and keep the
+        // message pending until it is acked; everyone else in the room
+        // (the sender's other devices) gets a plain broadcast
+        const recipients = await ConversationParticipant.findAll({
+          where: {
+            conversationId: targetConversationId,
+            userId: { [Op.ne]: userId },
+            leftAt: null
+          },
+          attributes: ['userId']
+        });
+        const recipientIds = recipients.map(p => p.userId);
+
+        io.to(`conversation:${targetConversationId}`)
+          .except(recipientIds.map(id => deliveryService.userRoom(id)))
+          .emit('new_message', messageWithSender);
+
+        deliveryService.deliverMessage(io, messageWithSender, recipientIds).catch(error => {
+          logger.error('Acked delivery failed', {
+            messageId: message.id,
+            error: error.message
+          });
+        });
+
+        // DRAFTS: whatever the sender had typed here has now been sent
+        draftService.clearOnSend(io, targetConversationId, userId, socket.id);
+
+        // ARCHIVE: a new message brings the conversation back to every inbox
+        inboxService.unarchiveOnNewMessage(io, targetConversationId);
+
+        // NOTIFY THREAD FOLLOWERS
+        if (parentMessageId) {
+          const parent = await Message.findByPk(parentMessageId, {
+            attributes: ['id', 'threadReplyCount', 'threadLastReplyAt']
+          });
+
+          io.to(`conversation:${targetConversationId}`).emit('thread_reply', {
+            parentMessageId,
+            conversationId: targetConversationId,
+            message: messageWithSender,
+            threadReplyCount: parent ? parent.threadReplyCount : null,
+            threadLastReplyAt: parent ? parent.threadLastReplyAt : message.createdAt
+          });
+        }
 
         // SEND CONFIRMATION TO SENDER
         socket.emit('message_sent', {
@@ -222,6 +388,7 @@ class MessageService {
           tempId: clientTempId,
           conversationId: targetConversationId,
           jobId: jobId || null,
+          seq: messageData.seq,
           status: 'sent',
           timestamp: message.createdAt.toISOString(),
           serverTimestamp: Date.now()
@@ -240,6 +407,18 @@ class MessageService {
         if (transaction) {
           await transaction.rollback();
         }
+
+        // A concurrent retry with the same clientTempId won the race
+        if (dbError.name === 'SequelizeUniqueConstraintError' && clientTempId) {
+          const existing = await Message.findOne({
+            where: { senderId: userId, clientTempId }
+          });
+
+          if (existing) {
+            return this.replayDuplicateSend(socket, existing);
+          }
+        }
+
         throw dbError;
       }
 
@@ -261,6 +440,68 @@ class MessageService {
     }
   }
 
+  async assertActiveParticipant(conversationId, userId) {
+    const { ConversationParticipant } = db.getModels();
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId, userId, leftAt: null },
+      attributes: ['id']
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+  }
+
+  /**
+   * Confirm a retried send with the message created the first time. Nothing
+   * is written, broadcast or notified again.
+   */
+  replayDuplicateSend(socket, existing) {
+    const sender = {
+      id: socket.user.id,
+      name: socket.user.name || 'Unknown User',
+      avatar: socket.user.avatar || null,
+      role: socket.user.role || 'user'
+    };
+
+    const message = {
+      ...existing.toJSON(),
+      sender,
+      timestamp: existing.createdAt.toISOString()
+    };
+
+    logger.info('Duplicate send ignored', {
+      userId: socket.user.id,
+      clientTempId: existing.clientTempId,
+      messageId: existing.id
+    });
+
+    socket.emit('message_sent', {
+      id: existing.id,
+      messageId: existing.id,
+      clientTempId: existing.clientTempId,
+      tempId: existing.clientTempId,
+      conversationId: existing.conversationId,
+      jobId: existing.jobId || null,
+      seq: existing.seq,
+      status: existing.status,
+      duplicate: true,
+      timestamp: message.timestamp,
+      serverTimestamp: Date.now()
+    });
+
+    return {
+      success: true,
+      message,
+      conversationId: existing.conversationId,
+      participants: null,
+      notifyRecipients: false,
+      isNewConversation: false,
+      duplicate: true
+    };
+  }
+
   async getOtherParticipants(conversationId, excludeUserId) {
     try {
       const models = db.getModels();
@@ -294,25 +535,32 @@ class MessageService {
         throw new Error('Required models not initialized');
       }
 
-      if (!messageIds?.length && conversationId) {
-        const messages = await Message.findAll({ 
-          where: { conversationId, receiverId: userId, status: { [Op.ne]: 'read' } } 
-        });
-        messageIds = messages.map(m => m.id);
-      }
+      // Record per-recipient receipts; Message.status is derived from them
+      messageIds = await receiptService.markRead(userId, {
+        messageIds: messageIds || [],
+        conversationId
+      });
       
-      if (messageIds?.length) {
-        await Message.update(
-          { status: 'read' }, 
-          { where: { id: { [Op.in]: messageIds } } }
-        );
-        await ConversationParticipant.update(
-          { unreadCount: 0 }, 
-          { where: { conversationId, userId } }
-        );
-        await redisService.resetUnreadCount(userId, conversationId);
+      if (messageIds.length || conversationId) {
+        if (conversationId) {
+          await ConversationParticipant.update(
+            { unreadCount: 0, unreadMentionCount: 0 }, 
+            { where: { conversationId, userId } }
+          );
+          await redisService.resetUnreadCount(userId, conversationId);
+        }
         socket.emit('messages_marked_read', { messageIds });
         socket.emit('message_read', { messageIds });
+
+        // Let senders update their per-recipient ticks
+        if (conversationId && messageIds.length) {
+          socket.to(`conversation:${conversationId}`).emit('messages_read_by', {
+            conversationId,
+            userId,
+            messageIds,
+            readAt: new Date().toISOString()
+          });
+        }
       }
     } catch (error) {
       logger.error('Error marking messages as read', {
@@ -323,97 +571,216 @@ class MessageService {
     }
   }
 
-  async handleUpdateMessage(io, socket, { messageId, newContent }) {
+  async handleUpdateMessage(io, socket, { messageId, newContent = {} }) {
     const userId = socket.user.id;
     
     try {
-      const models = db.getModels();
-      const { Message, MessageVersion } = models;
-
-      if (!Message || !MessageVersion) {
-        throw new Error('Required models not initialized');
-      }
-
-      const message = await Message.findOne({ 
-        where: { id: messageId, senderId: userId } 
+      const result = await editService.editMessage(io, {
+        messageId,
+        userId,
+        text: newContent.text,
+        images: newContent.images,
+        attachments: newContent.attachments,
+        card: newContent.card
       });
       
-      if (!message) throw new Error('Message not found or unauthorized');
-      
-      await MessageVersion.create({ 
-        id: uuidv4(), 
-        messageId, 
-        versionContent: message.content, 
-        editedAt: new Date() 
+      return result;
+    } catch (error) {
+      logger.error('Error updating message', {
+        userId,
+        messageId,
+        error: error.message
       });
+      throw error;
+    }
+  }
+
+  async handleDeleteMessage(io, socket, { messageId, mode = 'everyone' }) {
+    const userId = socket.user.id;
+    
+    try {
+      const result = await deletionService.deleteMessage(io, { messageId, userId, mode });
       
-      message.content = { 
-        ...message.content, 
-        ...newContent, 
-        edited: true, 
-        editedAt: new Date().toISOString() 
-      };
-      
-      await message.save();
-      await redisService.cacheMessage(message);
+      socket.emit('message_deleted_confirmation', result);
+      return result;
+    } catch (error) {
+      logger.error('Error deleting message', {
+        userId,
+        messageId,
+        mode,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async handleCardAction(io, socket, { messageId, action, slotIndex }) {
+    const userId = socket.user.id;
+    
+    try {
+      const result = await cardService.performAction(io, { messageId, userId, action, slotIndex });
       
-      if (message.conversationId) {
-        io.to(`conversation:${message.conversationId}`).emit('message_updated', { 
-          messageId, 
-          content: message.content 
-        });
-      }
+      socket.emit('card_action_confirmation', result);
+      return result;
     } catch (error) {
-      logger.error('Error updating message', {
+      logger.error('Error performing card action', {
         userId,
         messageId,
+        action,
         error: error.message
       });
       throw error;
     }
   }
 
-  async handleDeleteMessage(io, socket, { messageId }) {
+  async handlePollVote(io, socket, { messageId, optionIds }) {
     const userId = socket.user.id;
     
+    try {
+      const result = Array.isArray(optionIds) && optionIds.length === 0
+        ? await pollService.retract(io, { messageId, userId })
+        : await pollService.vote(io, { messageId, userId, optionIds });
+      
+      socket.emit('poll_vote_confirmation', result);
+      return result;
+    } catch (error) {
+      logger.error('Error voting on poll', {
+        userId,
+        messageId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Add or remove a reaction on a message and broadcast the new totals.
+   * Shared by the react_message socket event and the REST reaction routes.
+   */
+  async handleReactMessage(io, { messageId, userId, emoji, action = 'add' }) {
+    const reaction = typeof emoji === 'string' ? emoji.trim() : '';
+
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    if (!reaction || reaction.length > MAX_EMOJI_LENGTH || /\s/.test(reaction)) {
+      throw createOperationalError('A valid emoji is required', 400, 'INVALID_EMOJI');
+    }
+
+    if (!['add', 'remove'].includes(action)) {
+      throw createOperationalError("Action must be 'add' or 'remove'", 400, 'INVALID_ACTION');
+    }
+
     try {
       const models = db.getModels();
-      const { Message } = models;
+      const { Message, MessageReaction, ConversationParticipant } = models;
+
+      if (!Message || !MessageReaction || !ConversationParticipant) {
+        throw new Error('Required models not initialized');
+      }
+
+      const message = await Message.findByPk(messageId);
+
+      if (!message || message.deleted) {
+        throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+      }
 
-      if (!Message) {
-        throw new Error('Message model not initialized');
+      if (message.type === 'system') {
+        throw createOperationalError('System messages cannot be reacted to', 400, 'INVALID_MESSAGE_TYPE');
       }
 
-      const message = await Message.findOne({ 
-        where: { id: messageId, senderId: userId } 
+      const participation = await ConversationParticipant.findOne({
+        where: { conversationId: message.conversationId, userId, leftAt: null }
       });
-      
-      if (!message) throw new Error('Message not found or unauthorized');
-      
-      message.deleted = true;
-      await message.save();
-      await redisService.cacheMessage(message);
-      
-      if (message.conversationId) {
-        io.to(`conversation:${message.conversationId}`).emit('message_deleted', { 
-          messageId, 
-          deletedAt: new Date().toISOString() 
+
+      if (!participation) {
+        throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+      }
+
+      if (action === 'add') {
+        await MessageReaction.findOrCreate({
+          where: { messageId, userId, emoji: reaction },
+          defaults: { id: uuidv4(), messageId, userId, emoji: reaction }
+        });
+      } else {
+        await MessageReaction.destroy({
+          where: { messageId, userId, emoji: reaction }
         });
       }
-      
-      socket.emit('message_deleted_confirmation', { 
-        messageId, 
-        deletedAt: new Date().toISOString() 
-      });
+
+      const summaries = await this.getReactionSummaries([messageId]);
+      const reactions = summaries[messageId] || [];
+
+      if (io) {
+        io.to(`conversation:${message.conversationId}`).emit('message_reaction_updated', {
+          messageId,
+          conversationId: message.conversationId,
+          userId,
+          emoji: reaction,
+          action,
+          reactions,
+          timestamp: Date.now()
+        });
+      }
+
+      return {
+        messageId,
+        conversationId: message.conversationId,
+        reactions
+      };
     } catch (error) {
-      logger.error('Error deleting message', {
+      logger.error('Error updating message reaction', {
         userId,
         messageId,
+        emoji: reaction,
+        action,
         error: error.message
       });
       throw error;
     }
   }
+
+  /**
+   * Aggregate reactions for a set of messages.
+   * Returns { [messageId]: [{ emoji, count, userIds, reactedByMe }] }
+   */
+  async getReactionSummaries(messageIds, currentUserId = null) {
+    if (!messageIds || messageIds.length === 0) {
+      return {};
+    }
+
+    const models = db.getModels();
+    const { MessageReaction } = models;
+
+    if (!MessageReaction) {
+      throw new Error('MessageReaction model not initialized');
+    }
+
+    const rows = await MessageReaction.findAll({
+      where: { messageId: { [Op.in]: messageIds } },
+      attributes: ['messageId', 'userId', 'emoji'],
+      order: [['createdAt', 'ASC']]
+    });
+
+    const summaries = {};
+
+    for (const row of rows) {
+      const byEmoji = summaries[row.messageId] || (summaries[row.messageId] = new Map());
+      const entry = byEmoji.get(row.emoji) || { emoji: row.emoji, count: 0, userIds: [] };
+      entry.count += 1;
+      entry.userIds.push(row.userId);
+      byEmoji.set(row.emoji, entry);
+    }
+
+    return Object.keys(summaries).reduce((result, messageId) => {
+      result[messageId] = Array.from(summaries[messageId].values()).map(entry => ({
+        ...entry,
+        reactedByMe: currentUserId ? entry.userIds.includes(currentUserId) : false
+      }));
+      return result;
+    }, {});
+  }
 }
 
 module.exports = new MessageService();
\ No newline at end of file
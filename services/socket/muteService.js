@@ -0,0 +1,191 @@
+// services/socket/muteService.js
+const { Op } = require('sequelize');
+const db = require('../../db');
+const deliveryService = require('./deliveryService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+// Mute lengths in seconds (null = until unmuted)
+const MUTE_DURATIONS = {
+  '1h': 60 * 60,
+  '8h': 8 * 60 * 60,
+  '1w': 7 * 24 * 60 * 60,
+  forever: null
+};
+
+// all: every message; mentions: only messages that mention the user; none: nothing
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'none'];
+
+/**
+ * Per-participant mute and notification level. A mute silences ordinary
+ * messages (mentions still come through) until it ends; the level is a
+ * standing preference that applies whether or not the conversation is muted.
+ */
+class MuteService {
+  constructor() {
+    this.batchSize = 500;
+    this.isSweeping = false;
+  }
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  isMuteActive(participation, now = new Date()) {
+    if (!participation?.isMuted) {
+      return false;
+    }
+    return !participation.mutedUntil || new Date(participation.mutedUntil) > now;
+  }
+
+  /**
+   * Whether a message should be pushed to a participant
+   * @param {Object} participation - Recipient's participant row (null = defaults)
+   * @param {boolean} isMentioned - The message mentions the recipient
+   */
+  shouldNotify(participation, isMentioned) {
+    const level = participation?.notificationLevel || 'all';
+
+    if (level === 'none') {
+      return false;
+    }
+
+    if (isMentioned) {
+      return true;
+    }
+
+    return level === 'all' && !this.isMuteActive(participation);
+  }
+
+  /**
+   * Validate and apply mute and notification changes to a participant row
+   * (not saved). muteDuration mutes for 1h, 8h, 1w or forever; isMuted
+   * true without a duration mutes forever, false unmutes.
+   * @param {Object} participation - ConversationParticipant instance
+   * @param {Object} changes - isMuted, muteDuration, notificationLevel, notificationEnabled
+   */
+  applySettings(participation, { isMuted, muteDuration, notificationLevel, notificationEnabled }) {
+    if (muteDuration !== undefined && muteDuration !== null) {
+      if (!Object.prototype.hasOwnProperty.call(MUTE_DURATIONS, muteDuration)) {
+        throw createOperationalError(
+          `muteDuration must be one of: ${Object.keys(MUTE_DURATIONS).join(', ')}`,
+          400,
+          'INVALID_MUTE_DURATION'
+        );
+      }
+
+      if (isMuted === false) {
+        throw createOperationalError('muteDuration cannot be combined with isMuted: false', 400, 'INVALID_MUTE_DURATION');
+      }
+
+      const seconds = MUTE_DURATIONS[muteDuration];
+      participation.isMuted = true;
+      participation.mutedUntil = seconds ? new Date(Date.now() + seconds * 1000) : null;
+    } else if (isMuted !== undefined) {
+      if (typeof isMuted !== 'boolean') {
+        throw createOperationalError('isMuted must be a boolean', 400, 'INVALID_SETTINGS');
+      }
+      participation.isMuted = isMuted;
+      participation.mutedUntil = null;
+    }
+
+    if (notificationLevel !== undefined) {
+      if (!NOTIFICATION_LEVELS.includes(notificationLevel)) {
+        throw createOperationalError(
+          `notificationLevel must be one of: ${NOTIFICATION_LEVELS.join(', ')}`,
+          400,
+          'INVALID_NOTIFICATION_LEVEL'
+        );
+      }
+      participation.notificationLevel = notificationLevel;
+      participation.notificationEnabled = notificationLevel !== 'none';
+    } else if (notificationEnabled !== undefined) {
+      // Older clients only know the on/off switch
+      participation.notificationEnabled = notificationEnabled;
+      participation.notificationLevel = notificationEnabled ? 'all' : 'none';
+    }
+  }
+
+  formatSettings(participation) {
+    const isMuted = this.isMuteActive(participation);
+
+    return {
+      isMuted,
+      mutedUntil: isMuted ? participation.mutedUntil || null : null,
+      isPinned: participation.isPinned || false,
+      notificationEnabled: participation.notificationEnabled !== false,
+      notificationLevel: participation.notificationLevel || 'all'
+    };
+  }
+
+  /**
+   * End timed mutes that have run out and tell the user's devices
+   * @returns {Promise<number>} Number of mutes ended
+   */
+  async releaseExpiredMutes(io) {
+    if (this.isSweeping) {
+      return 0;
+    }
+
+    this.isSweeping = true;
+
+    try {
+      await this.ensureDbInitialized();
+      const { ConversationParticipant } = db.getModels();
+
+      const expired = await ConversationParticipant.findAll({
+        where: {
+          isMuted: true,
+          mutedUntil: { [Op.lte]: new Date() }
+        },
+        attributes: ['id', 'conversationId', 'userId'],
+        order: [['mutedUntil', 'ASC']],
+        limit: this.batchSize
+      });
+
+      if (expired.length === 0) {
+        return 0;
+      }
+
+      // Guard on mutedUntil so a mute renewed meanwhile isn't ended
+      await ConversationParticipant.update(
+        { isMuted: false, mutedUntil: null },
+        {
+          where: {
+            id: { [Op.in]: expired.map(p => p.id) },
+            isMuted: true,
+            mutedUntil: { [Op.lte]: new Date() }
+          }
+        }
+      );
+
+      if (io) {
+        for (const participation of expired) {
+          io.to(deliveryService.userRoom(participation.userId)).emit('conversation_unmuted', {
+            conversationId: participation.conversationId,
+            timestamp: Date.now()
+          });
+        }
+      }
+
+      logger.info(`Ended ${expired.length} expired conversation mutes`);
+
+      return expired.length;
+    } catch (error) {
+      logger.error('Error ending expired mutes', {
+        error: error.message,
+        stack: error.stack
+      });
+      return 0;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+}
+
+const muteServiceInstance = new MuteService();
+module.exports = muteServiceInstance;
+module.exports.MUTE_DURATIONS = MUTE_DURATIONS;
+module.exports.NOTIFICATION_LEVELS = NOTIFICATION_LEVELS;
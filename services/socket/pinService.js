@@ -0,0 +1,299 @@
+// services/socket/pinService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const config = require('../../config/config');
+const queueService = require('../queue/queueService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const PIN_PERMISSIONS = ['participants', 'admins', 'creator'];
+
+// Roles that may pin and unpin in any conversation they take part in
+const PIN_MODERATOR_ROLES = ['administrator'];
+
+class PinService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  getMaxPins() {
+    return config.messaging?.maxPinnedMessages || 5;
+  }
+
+  getPinPermission() {
+    const permission = config.messaging?.pinPermission;
+    return PIN_PERMISSIONS.includes(permission) ? permission : 'participants';
+  }
+
+  /**
+   * Whether the user may pin and unpin messages in the conversation.
+   * The caller must already be an active participant.
+   */
+  canManagePins(conversation, user, participation) {
+    if (PIN_MODERATOR_ROLES.includes(user.role)) {
+      return true;
+    }
+
+    if (this.getPinPermission() === 'admins') {
+      return ['owner', 'admin'].includes(participation.role);
+    }
+
+    if (this.getPinPermission() === 'creator') {
+      return conversation.createdBy === user.id;
+    }
+
+    return true;
+  }
+
+  /**
+   * Active conversation the user can manage pins in
+   */
+  async getConversationForPinning(conversationId, user, transaction = null) {
+    const { Conversation, ConversationParticipant } = db.getModels();
+
+    const conversation = await Conversation.findByPk(conversationId, {
+      ...(transaction && { transaction, lock: transaction.LOCK.UPDATE })
+    });
+
+    if (!conversation || conversation.deleted) {
+      throw createOperationalError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+    }
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId, userId: user.id, leftAt: null },
+      ...(transaction && { transaction })
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    if (conversation.status !== 'active') {
+      throw createOperationalError(`Cannot change pins in a ${conversation.status} conversation`, 400, 'CONVERSATION_NOT_ACTIVE');
+    }
+
+    if (!this.canManagePins(conversation, user, participation)) {
+      throw createOperationalError(
+        this.getPinPermission() === 'admins'
+          ? 'Only the conversation owner and admins can pin messages'
+          : 'Only the conversation creator can pin messages',
+        403,
+        'NOT_AUTHORIZED'
+      );
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Pin a message for everyone in its conversation
+   * @param {Object} io - Socket.IO server for message_pinned
+   * @param {Object} params - conversationId, messageId, user (id, name, role)
+   */
+  async pinMessage(io, { conversationId, messageId, user }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, PinnedMessage } = db.getModels();
+
+    let pin;
+    let message;
+
+    await Message.sequelize.transaction(async (transaction) => {
+      // Conversation row lock keeps concurrent pins within the limit
+      await this.getConversationForPinning(conversationId, user, transaction);
+
+      message = await Message.findOne({
+        where: { id: messageId, conversationId },
+        transaction
+      });
+
+      if (!message || message.deleted || (message.expiresAt && new Date(message.expiresAt) <= new Date())) {
+        throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+      }
+
+      if (message.isSystemMessage || message.type === 'system') {
+        throw createOperationalError('System messages cannot be pinned', 400, 'INVALID_MESSAGE_TYPE');
+      }
+
+      const existing = await PinnedMessage.findOne({
+        where: { conversationId, messageId },
+        transaction
+      });
+
+      if (existing) {
+        throw createOperationalError('Message is already pinned', 409, 'ALREADY_PINNED');
+      }
+
+      const maxPins = this.getMaxPins();
+      const pinCount = await PinnedMessage.count({ where: { conversationId }, transaction });
+
+      if (pinCount >= maxPins) {
+        throw createOperationalError(
+          `A conversation can have at most ${maxPins} pinned messages. Unpin one first.`,
+          400,
+          'PIN_LIMIT_REACHED'
+        );
+      }
+
+      pin = await PinnedMessage.create({
+        id: uuidv4(),
+        conversationId,
+        messageId,
+        pinnedBy: user.id
+      }, { transaction });
+    });
+
+    const result = {
+      conversationId,
+      messageId,
+      pinnedBy: user.id,
+      pinnedAt: pin.createdAt
+    };
+
+    if (io) {
+      io.to(`conversation:${conversationId}`).emit('message_pinned', {
+        ...result,
+        message: this.formatMessage(message)
+      });
+    }
+
+    await this.recordPinChange(conversationId, messageId, user, 'message_pinned');
+
+    logger.info('Message pinned', { conversationId, messageId, userId: user.id });
+
+    return result;
+  }
+
+  async unpinMessage(io, { conversationId, messageId, user }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    await this.ensureDbInitialized();
+    const { PinnedMessage } = db.getModels();
+
+    await this.getConversationForPinning(conversationId, user);
+
+    const removed = await PinnedMessage.destroy({ where: { conversationId, messageId } });
+
+    if (removed === 0) {
+      throw createOperationalError('Message is not pinned', 404, 'PIN_NOT_FOUND');
+    }
+
+    const result = {
+      conversationId,
+      messageId,
+      unpinnedBy: user.id,
+      unpinnedAt: new Date().toISOString()
+    };
+
+    if (io) {
+      io.to(`conversation:${conversationId}`).emit('message_unpinned', result);
+    }
+
+    await this.recordPinChange(conversationId, messageId, user, 'message_unpinned');
+
+    logger.info('Message unpinned', { conversationId, messageId, userId: user.id });
+
+    return result;
+  }
+
+  /**
+   * Pinned messages of a conversation, most recently pinned first
+   */
+  async getPins(conversationId, userId) {
+    await this.ensureDbInitialized();
+    const { ConversationParticipant, PinnedMessage, Message, User } = db.getModels();
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId, userId, leftAt: null }
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    const pins = await PinnedMessage.findAll({
+      where: { conversationId },
+      include: [{
+        model: Message,
+        as: 'message',
+        required: true,
+        where: {
+          deleted: false,
+          [Op.or]: [
+            { expiresAt: null },
+            { expiresAt: { [Op.gt]: new Date() } }
+          ]
+        },
+        include: [{
+          model: User,
+          as: 'sender',
+          attributes: ['id', 'name', 'avatar']
+        }]
+      }, {
+        model: User,
+        as: 'pinner',
+        attributes: ['id', 'name', 'avatar']
+      }],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return {
+      conversationId,
+      maxPins: this.getMaxPins(),
+      pins: pins.map(pin => ({
+        messageId: pin.messageId,
+        pinnedBy: pin.pinner || { id: pin.pinnedBy },
+        pinnedAt: pin.createdAt,
+        message: this.formatMessage(pin.message)
+      }))
+    };
+  }
+
+  formatMessage(message) {
+    return {
+      id: message.id,
+      conversationId: message.conversationId,
+      seq: message.seq,
+      senderId: message.senderId,
+      sender: message.sender || null,
+      type: message.type,
+      content: message.content,
+      isEdited: message.isEdited,
+      createdAt: message.createdAt
+    };
+  }
+
+  async recordPinChange(conversationId, messageId, user, systemAction) {
+    const name = user.name || 'Someone';
+
+    await queueService.enqueueMessage({
+      id: uuidv4(),
+      conversationId,
+      senderId: user.id,
+      receiverId: null,
+      type: 'system',
+      content: {
+        text: systemAction === 'message_pinned'
+          ? `${name} pinned a message`
+          : `${name} unpinned a message`,
+        systemAction,
+        pinnedMessageId: messageId
+      },
+      status: 'sent',
+      isSystemMessage: true
+    });
+  }
+}
+
+const pinServiceInstance = new PinService();
+module.exports = pinServiceInstance;
+module.exports.PIN_PERMISSIONS = PIN_PERMISSIONS;
@@ -0,0 +1,286 @@
+// services/socket/pollService.js
+const { v4: uuidv4 } = require('uuid');
+const db = require('../../db');
+const redisService = require('../redis');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 12;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+const invalid = (message) => createOperationalError(message, 400, 'INVALID_POLL');
+
+class PollService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  /**
+   * Validate a poll payload and build what is stored in Message.content.poll
+   * @param {Object} poll - question, options (strings), multipleChoice, anonymous, closesAt
+   * @returns {Object} Poll with option ids and empty results
+   */
+  validatePoll(poll) {
+    if (!poll || typeof poll !== 'object' || Array.isArray(poll)) {
+      throw invalid('A poll message requires a poll object');
+    }
+
+    const question = typeof poll.question === 'string' ? poll.question.trim() : '';
+    if (!question || question.length > MAX_QUESTION_LENGTH) {
+      throw invalid(`Poll question is required and cannot exceed ${MAX_QUESTION_LENGTH} characters`);
+    }
+
+    if (!Array.isArray(poll.options) || poll.options.length < MIN_OPTIONS || poll.options.length > MAX_OPTIONS) {
+      throw invalid(`Poll must have between ${MIN_OPTIONS} and ${MAX_OPTIONS} options`);
+    }
+
+    const seen = new Set();
+    const options = poll.options.map((option, index) => {
+      const text = (typeof option === 'string' ? option : option?.text || '').trim();
+
+      if (!text || text.length > MAX_OPTION_LENGTH) {
+        throw invalid(`Option ${index + 1} is required and cannot exceed ${MAX_OPTION_LENGTH} characters`);
+      }
+
+      if (seen.has(text.toLowerCase())) {
+        throw invalid(`Option "${text}" appears more than once`);
+      }
+      seen.add(text.toLowerCase());
+
+      return { id: uuidv4(), text };
+    });
+
+    let closesAt = null;
+    if (poll.closesAt) {
+      const date = new Date(poll.closesAt);
+      if (isNaN(date.getTime()) || date <= new Date()) {
+        throw invalid('Poll closesAt must be a date in the future');
+      }
+      closesAt = date.toISOString();
+    }
+
+    return {
+      question,
+      options,
+      multipleChoice: poll.multipleChoice === true,
+      anonymous: poll.anonymous === true,
+      closesAt,
+      results: Object.fromEntries(options.map(option => [option.id, 0])),
+      totalVoters: 0
+    };
+  }
+
+  summarize(poll) {
+    return `Poll: ${poll.question}`;
+  }
+
+  isClosed(poll) {
+    return !!poll.closesAt && new Date(poll.closesAt) <= new Date();
+  }
+
+  /**
+   * Replace the user's selection on a poll
+   * @param {Object} io - Socket.IO server for poll_updated
+   * @param {Object} params - messageId, userId, optionIds
+   */
+  async vote(io, { messageId, userId, optionIds }) {
+    if (!Array.isArray(optionIds) || optionIds.length === 0) {
+      throw createOperationalError('At least one option is required', 400, 'MISSING_OPTIONS');
+    }
+
+    return this.setVotes(io, { messageId, userId, optionIds: [...new Set(optionIds)] });
+  }
+
+  /**
+   * Remove all of the user's votes on a poll
+   */
+  async retract(io, { messageId, userId }) {
+    return this.setVotes(io, { messageId, userId, optionIds: [] });
+  }
+
+  async setVotes(io, { messageId, userId, optionIds }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, PollVote } = db.getModels();
+
+    let message;
+
+    await Message.sequelize.transaction(async (transaction) => {
+      // Row lock serializes voters, so the stored totals match poll_votes
+      message = await Message.findByPk(messageId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      const poll = await this.getPollMessage(message, userId, transaction);
+
+      if (this.isClosed(poll)) {
+        throw createOperationalError('This poll is closed', 400, 'POLL_CLOSED');
+      }
+
+      if (!poll.multipleChoice && optionIds.length > 1) {
+        throw createOperationalError('This poll allows only one choice', 400, 'SINGLE_CHOICE_POLL');
+      }
+
+      const validIds = new Set(poll.options.map(option => option.id));
+      if (optionIds.some(id => !validIds.has(id))) {
+        throw createOperationalError('Unknown poll option', 400, 'INVALID_POLL_OPTION');
+      }
+
+      await PollVote.destroy({ where: { messageId, userId }, transaction });
+
+      if (optionIds.length > 0) {
+        await PollVote.bulkCreate(optionIds.map(optionId => ({
+          id: uuidv4(),
+          messageId,
+          optionId,
+          userId
+        })), { transaction });
+      }
+
+      const { results, totalVoters } = await this.countVotes(messageId, poll, transaction);
+
+      await message.update({
+        content: {
+          ...message.content,
+          poll: { ...poll, results, totalVoters }
+        }
+      }, { transaction });
+    });
+
+    await redisService.cacheMessage(message);
+
+    const update = await this.buildUpdate(message);
+
+    if (io && message.conversationId) {
+      io.to(`conversation:${message.conversationId}`).emit('poll_updated', update);
+    }
+
+    logger.info(optionIds.length > 0 ? 'Poll vote recorded' : 'Poll vote retracted', {
+      messageId,
+      userId,
+      options: optionIds.length
+    });
+
+    return { ...update, myVotes: optionIds };
+  }
+
+  /**
+   * Poll with results, voters (visible polls only) and the caller's votes
+   */
+  async getPoll(messageId, userId) {
+    await this.ensureDbInitialized();
+    const { Message, PollVote } = db.getModels();
+
+    const message = await Message.findByPk(messageId);
+    await this.getPollMessage(message, userId);
+
+    const myVotes = await PollVote.findAll({
+      where: { messageId, userId },
+      attributes: ['optionId']
+    });
+
+    return {
+      ...(await this.buildUpdate(message)),
+      question: message.content.poll.question,
+      options: message.content.poll.options,
+      multipleChoice: message.content.poll.multipleChoice,
+      anonymous: message.content.poll.anonymous,
+      myVotes: myVotes.map(vote => vote.optionId)
+    };
+  }
+
+  /**
+   * Check the message is a live poll the user can see and return its poll
+   */
+  async getPollMessage(message, userId, transaction = null) {
+    const { ConversationParticipant } = db.getModels();
+
+    if (!message || message.deleted) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    if (message.type !== 'poll' || !message.content?.poll) {
+      throw createOperationalError('Message is not a poll', 400, 'INVALID_MESSAGE_TYPE');
+    }
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId: message.conversationId, userId, leftAt: null },
+      ...(transaction && { transaction })
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    return message.content.poll;
+  }
+
+  async countVotes(messageId, poll, transaction = null) {
+    const { PollVote } = db.getModels();
+
+    return this.aggregate(poll, await PollVote.findAll({
+      where: { messageId },
+      attributes: ['optionId', 'userId'],
+      raw: true,
+      ...(transaction && { transaction })
+    }));
+  }
+
+  aggregate(poll, votes) {
+    const results = Object.fromEntries(poll.options.map(option => [option.id, 0]));
+    const voters = new Set();
+
+    for (const vote of votes) {
+      if (results[vote.optionId] !== undefined) {
+        results[vote.optionId]++;
+        voters.add(vote.userId);
+      }
+    }
+
+    return { results, totalVoters: voters.size };
+  }
+
+  /**
+   * poll_updated payload; voter ids only for polls with visible votes
+   */
+  async buildUpdate(message) {
+    const { PollVote } = db.getModels();
+    const poll = message.content.poll;
+
+    const update = {
+      messageId: message.id,
+      conversationId: message.conversationId,
+      results: poll.results,
+      totalVoters: poll.totalVoters,
+      closesAt: poll.closesAt,
+      closed: this.isClosed(poll)
+    };
+
+    if (!poll.anonymous) {
+      const votes = await PollVote.findAll({
+        where: { messageId: message.id },
+        attributes: ['optionId', 'userId'],
+        order: [['createdAt', 'ASC']],
+        raw: true
+      });
+
+      update.voters = Object.fromEntries(poll.options.map(option => [option.id, []]));
+      for (const vote of votes) {
+        update.voters[vote.optionId]?.push(vote.userId);
+      }
+    }
+
+    return update;
+  }
+}
+
+module.exports = new PollService();
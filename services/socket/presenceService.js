@@ -1,5 +1,6 @@
 // services/socket/presenceService.js
 const redisService = require('../redis');
+const blockService = require('./blockService');
 const db = require('../../db');
 const logger = require('../../utils/logger');
 const { Op } = require('sequelize');
@@ -158,9 +159,10 @@ class PresenceService {
   }
 
   /**
-   * Broadcast user status change to all connected clients
+   * Broadcast user status change to all connected clients except those
+   * who blocked the user
    */
-  broadcastUserStatus(io, userId, isOnline, userName = null, userAvatar = null) {
+  async broadcastUserStatus(io, userId, isOnline, userName = null, userAvatar = null) {
     try {
       const eventData = {
         id: userId,
@@ -170,7 +172,8 @@ class PresenceService {
         lastSeen: isOnline ? null : new Date().toISOString()
       };
       
-      io.emit(isOnline ? 'user_online' : 'user_offline', eventData);
+      const hiddenFrom = await blockService.getHiddenFromRooms(userId);
+      io.except(hiddenFrom).emit(isOnline ? 'user_online' : 'user_offline', eventData);
       
       logger.debug(`Broadcasted ${isOnline ? 'online' : 'offline'} status for user ${userId}`);
     } catch (error) {
@@ -0,0 +1,323 @@
+// services/socket/receiptService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+class ReceiptService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  /**
+   * Record delivery for a recipient. Returns the ids of messages whose
+   * receipt changed.
+   */
+  async markDelivered(userId, messageIds) {
+    return this.recordReceipts(userId, messageIds, 'deliveredAt');
+  }
+
+  /**
+   * Record reads for a recipient, either for explicit messages or for
+   * everything in a conversation since the participant last read it.
+   */
+  async markRead(userId, { messageIds = [], conversationId = null } = {}) {
+    await this.ensureDbInitialized();
+    const { Message, ConversationParticipant } = db.getModels();
+
+    let targetIds = [...messageIds];
+
+    if (conversationId) {
+      const participation = await ConversationParticipant.findOne({
+        where: { conversationId, userId }
+      });
+
+      if (participation) {
+        const where = {
+          conversationId,
+          senderId: { [Op.ne]: userId },
+          deleted: false
+        };
+
+        if (participation.lastReadAt) {
+          where.createdAt = { [Op.gt]: participation.lastReadAt };
+        }
+
+        const unread = await Message.findAll({ where, attributes: ['id'] });
+        targetIds = targetIds.concat(unread.map(m => m.id));
+
+        await participation.update({ lastReadAt: new Date() });
+      }
+    }
+
+    return this.recordReceipts(userId, [...new Set(targetIds)], 'readAt');
+  }
+
+  async recordReceipts(userId, messageIds, field) {
+    if (!userId || !Array.isArray(messageIds) || messageIds.length === 0) {
+      return [];
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, MessageReceipt, ConversationParticipant } = db.getModels();
+
+    if (!Message || !MessageReceipt || !ConversationParticipant) {
+      throw new Error('Required models not initialized');
+    }
+
+    // Receipts only exist for recipients: skip own messages and
+    // conversations the user does not belong to
+    const messages = await Message.findAll({
+      where: {
+        id: { [Op.in]: messageIds },
+        senderId: { [Op.ne]: userId },
+        deleted: false
+      },
+      attributes: ['id', 'conversationId']
+    });
+
+    const participations = await ConversationParticipant.findAll({
+      where: {
+        conversationId: { [Op.in]: [...new Set(messages.map(m => m.conversationId))] },
+        userId
+      },
+      attributes: ['conversationId']
+    });
+    const memberOf = new Set(participations.map(p => p.conversationId));
+    const ids = messages.filter(m => memberOf.has(m.conversationId)).map(m => m.id);
+
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const now = new Date();
+    const existing = await MessageReceipt.findAll({
+      where: { messageId: { [Op.in]: ids }, userId }
+    });
+    const existingIds = new Set(existing.map(r => r.messageId));
+
+    const toCreate = ids
+      .filter(id => !existingIds.has(id))
+      .map(messageId => ({
+        id: uuidv4(),
+        messageId,
+        userId,
+        deliveredAt: now,
+        readAt: field === 'readAt' ? now : null
+      }));
+
+    if (toCreate.length > 0) {
+      await MessageReceipt.bulkCreate(toCreate, { ignoreDuplicates: true });
+    }
+
+    const toUpdate = existing.filter(r => !r[field]);
+
+    if (toUpdate.length > 0) {
+      const receiptIds = toUpdate.map(r => r.id);
+
+      // A read implies delivery
+      if (field === 'readAt') {
+        await MessageReceipt.update(
+          { deliveredAt: now },
+          { where: { id: { [Op.in]: receiptIds }, deliveredAt: null } }
+        );
+      }
+
+      await MessageReceipt.update(
+        { [field]: now },
+        { where: { id: { [Op.in]: receiptIds } } }
+      );
+    }
+
+    const changedIds = [
+      ...toCreate.map(r => r.messageId),
+      ...toUpdate.map(r => r.messageId)
+    ];
+
+    if (changedIds.length > 0) {
+      await this.refreshMessageStatuses(changedIds);
+    }
+
+    return changedIds;
+  }
+
+  /**
+   * Derive Message.status from the individual receipts: a message is
+   * delivered/read only once every recipient has delivered/read it.
+   * Returns { [messageId]: status }.
+   */
+  async refreshMessageStatuses(messageIds) {
+    await this.ensureDbInitialized();
+    const { Message, MessageReceipt, ConversationParticipant } = db.getModels();
+
+    const messages = await Message.findAll({
+      where: { id: { [Op.in]: messageIds } },
+      attributes: ['id', 'senderId', 'conversationId', 'status', 'createdAt']
+    });
+
+    if (messages.length === 0) {
+      return {};
+    }
+
+    const [participants, receipts] = await Promise.all([
+      ConversationParticipant.findAll({
+        where: {
+          conversationId: { [Op.in]: [...new Set(messages.map(m => m.conversationId))] },
+          leftAt: null
+        },
+        attributes: ['conversationId', 'userId', 'joinedAt']
+      }),
+      MessageReceipt.findAll({
+        where: { messageId: { [Op.in]: messages.map(m => m.id) } }
+      })
+    ]);
+
+    const receiptMap = receipts.reduce((map, receipt) => {
+      map[`${receipt.messageId}:${receipt.userId}`] = receipt;
+      return map;
+    }, {});
+
+    const statuses = {};
+    const changes = { sent: [], delivered: [], read: [] };
+
+    for (const message of messages) {
+      const recipients = this.getRecipients(message, participants);
+
+      if (recipients.length === 0) {
+        statuses[message.id] = message.status;
+        continue;
+      }
+
+      const recipientReceipts = recipients.map(uid => receiptMap[`${message.id}:${uid}`]);
+      let status = 'sent';
+      if (recipientReceipts.every(r => r && r.readAt)) {
+        status = 'read';
+      } else if (recipientReceipts.every(r => r && r.deliveredAt)) {
+        status = 'delivered';
+      }
+
+      statuses[message.id] = status;
+      if (status !== message.status) {
+        changes[status].push(message.id);
+      }
+    }
+
+    for (const [status, ids] of Object.entries(changes)) {
+      if (ids.length > 0) {
+        await Message.update({ status }, { where: { id: { [Op.in]: ids } } });
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * Recipients of a message are the active participants other than the
+   * sender who had joined by the time it was sent.
+   */
+  getRecipients(message, participants) {
+    return participants
+      .filter(p =>
+        p.conversationId === message.conversationId &&
+        p.userId !== message.senderId &&
+        (!p.joinedAt || new Date(p.joinedAt) <= new Date(message.createdAt))
+      )
+      .map(p => p.userId);
+  }
+
+  /**
+   * "Seen by / delivered to" breakdown for a single message
+   */
+  async getMessageReceipts(messageId, requesterId) {
+    await this.ensureDbInitialized();
+    const { Message, MessageReceipt, ConversationParticipant, User } = db.getModels();
+
+    const message = await Message.findByPk(messageId);
+
+    if (!message || message.deleted) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    const participation = await ConversationParticipant.findOne({
+      where: { conversationId: message.conversationId, userId: requesterId }
+    });
+
+    if (!participation) {
+      throw createOperationalError('Not authorized to view receipts for this message', 403, 'NOT_AUTHORIZED');
+    }
+
+    const participants = await ConversationParticipant.findAll({
+      where: { conversationId: message.conversationId, leftAt: null },
+      attributes: ['conversationId', 'userId', 'joinedAt']
+    });
+    const recipientIds = this.getRecipients(message, participants);
+
+    const [receipts, users] = await Promise.all([
+      MessageReceipt.findAll({ where: { messageId } }),
+      User.findAll({
+        where: { id: { [Op.in]: recipientIds } },
+        attributes: ['id', 'name', 'avatar']
+      })
+    ]);
+
+    const receiptMap = receipts.reduce((map, receipt) => {
+      map[receipt.userId] = receipt;
+      return map;
+    }, {});
+    const userMap = users.reduce((map, user) => {
+      map[user.id] = user;
+      return map;
+    }, {});
+
+    const readBy = [];
+    const deliveredTo = [];
+    const pending = [];
+
+    for (const recipientId of recipientIds) {
+      const receipt = receiptMap[recipientId];
+      const entry = {
+        userId: recipientId,
+        user: userMap[recipientId] || null,
+        deliveredAt: receipt ? receipt.deliveredAt : null,
+        readAt: receipt ? receipt.readAt : null
+      };
+
+      if (entry.readAt) {
+        readBy.push(entry);
+      } else if (entry.deliveredAt) {
+        deliveredTo.push(entry);
+      } else {
+        pending.push(entry);
+      }
+    }
+
+    let status = message.status;
+    if (recipientIds.length > 0) {
+      status = pending.length === 0 && deliveredTo.length === 0
+        ? 'read'
+        : pending.length === 0 ? 'delivered' : 'sent';
+    }
+
+    logger.debug('Fetched message receipts', {
+      messageId,
+      recipients: recipientIds.length,
+      read: readBy.length
+    });
+
+    return {
+      messageId,
+      conversationId: message.conversationId,
+      status,
+      totalRecipients: recipientIds.length,
+      readBy,
+      deliveredTo,
+      pending
+    };
+  }
+}
+
+module.exports = new ReceiptService();
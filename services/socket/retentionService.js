@@ -0,0 +1,214 @@
+// services/socket/retentionService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const redisService = require('../redis');
+const queueService = require('../queue/queueService');
+const groupService = require('./groupService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+// Supported disappearing-message settings (seconds, null = off)
+const RETENTION_OPTIONS = {
+  off: null,
+  '24h': 24 * 60 * 60,
+  '7d': 7 * 24 * 60 * 60
+};
+
+class RetentionService {
+  constructor() {
+    this.isPurging = false;
+    this.batchSize = 200;
+  }
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  /**
+   * Accepts an option key ('24h', '7d', 'off') or its value in seconds
+   */
+  resolveRetention(retention) {
+    if (Object.prototype.hasOwnProperty.call(RETENTION_OPTIONS, retention)) {
+      return { key: retention, ttlSeconds: RETENTION_OPTIONS[retention] };
+    }
+
+    const entry = Object.entries(RETENTION_OPTIONS)
+      .find(([, seconds]) => seconds !== null && seconds === Number(retention));
+
+    if (!entry) {
+      throw createOperationalError(
+        `Invalid retention. Must be one of: ${Object.keys(RETENTION_OPTIONS).join(', ')}`,
+        400,
+        'INVALID_RETENTION'
+      );
+    }
+
+    return { key: entry[0], ttlSeconds: entry[1] };
+  }
+
+  getRetentionKey(ttlSeconds) {
+    const entry = Object.entries(RETENTION_OPTIONS).find(([, seconds]) => seconds === (ttlSeconds || null));
+    return entry ? entry[0] : 'off';
+  }
+
+  /**
+   * Expiry for a message sent now into a conversation with the given TTL
+   */
+  computeExpiresAt(ttlSeconds, from = new Date()) {
+    return ttlSeconds ? new Date(from.getTime() + ttlSeconds * 1000) : null;
+  }
+
+  async setConversationRetention(io, conversationId, userId, retention) {
+    await this.ensureDbInitialized();
+    const { Conversation } = db.getModels();
+
+    const { key, ttlSeconds } = this.resolveRetention(retention);
+
+    const participation = await groupService.getParticipation(conversationId, userId);
+    groupService.requireRole(participation, 'admin', 'change disappearing messages');
+
+    const conversation = await Conversation.findByPk(conversationId);
+
+    if (!conversation || conversation.deleted) {
+      throw createOperationalError('Conversation not found', 404, 'CONVERSATION_NOT_FOUND');
+    }
+
+    const previous = this.getRetentionKey(conversation.messageTtlSeconds);
+
+    if (previous !== key) {
+      conversation.messageTtlSeconds = ttlSeconds;
+      await conversation.save();
+
+      // Add system message about retention change
+      await queueService.enqueueMessage({
+        id: uuidv4(),
+        conversationId,
+        senderId: userId,
+        receiverId: null,
+        type: 'system',
+        content: {
+          text: ttlSeconds
+            ? `Disappearing messages turned on. New messages will disappear after ${key}`
+            : 'Disappearing messages turned off',
+          systemAction: 'retention_change',
+          previousRetention: previous,
+          newRetention: key
+        },
+        status: 'sent',
+        isSystemMessage: true
+      });
+
+      if (io) {
+        io.to(`conversation:${conversationId}`).emit('conversation_retention_updated', {
+          conversationId,
+          retention: key,
+          messageTtlSeconds: ttlSeconds,
+          updatedBy: userId,
+          timestamp: Date.now()
+        });
+      }
+    }
+
+    return {
+      conversationId,
+      retention: key,
+      messageTtlSeconds: ttlSeconds
+    };
+  }
+
+  /**
+   * Purge expired messages from Postgres, the Redis cache, Media rows and S3,
+   * then tell clients to drop them.
+   */
+  async purgeExpiredMessages(io) {
+    if (this.isPurging) {
+      return 0;
+    }
+
+    this.isPurging = true;
+
+    try {
+      await this.ensureDbInitialized();
+      const { Message, MessageVersion, ExpiredMessage } = db.getModels();
+      const mediaUploadService = require('../mediaUpload.service');
+
+      const expired = await Message.findAll({
+        where: { expiresAt: { [Op.lte]: new Date() } },
+        attributes: ['id', 'conversationId', 'content', 'createdAt', 'expiresAt'],
+        // Rows whose media keeps failing go last so they can't hold up the rest
+        order: [['purgeAttempts', 'ASC'], ['expiresAt', 'ASC']],
+        limit: this.batchSize
+      });
+
+      if (expired.length === 0) {
+        return 0;
+      }
+
+      // Media first: if S3 deletion fails keep the message so the next sweep retries
+      const { failedMessageIds } = await mediaUploadService.purgeMessageMedia(expired);
+      const purgeable = expired.filter(m => !failedMessageIds.includes(m.id));
+      const ids = purgeable.map(m => m.id);
+
+      if (failedMessageIds.length > 0) {
+        await Message.increment('purgeAttempts', {
+          where: { id: { [Op.in]: failedMessageIds } },
+          silent: true
+        });
+      }
+
+      if (ids.length === 0) {
+        return 0;
+      }
+
+      // Tombstones let devices that were offline drop the messages on sync
+      await Message.sequelize.transaction(async (transaction) => {
+        await ExpiredMessage.bulkCreate(purgeable.map(message => ({
+          messageId: message.id,
+          conversationId: message.conversationId,
+          messageCreatedAt: message.createdAt,
+          expiredAt: message.expiresAt
+        })), { ignoreDuplicates: true, transaction });
+
+        await MessageVersion.destroy({ where: { messageId: { [Op.in]: ids } }, transaction });
+        await Message.destroy({ where: { id: { [Op.in]: ids } }, transaction });
+      });
+
+      const byConversation = purgeable.reduce((map, message) => {
+        (map[message.conversationId] = map[message.conversationId] || []).push(message.id);
+        return map;
+      }, {});
+
+      for (const [conversationId, messageIds] of Object.entries(byConversation)) {
+        await redisService.deleteMessages(conversationId, messageIds);
+
+        if (io) {
+          io.to(`conversation:${conversationId}`).emit('messages_expired', {
+            conversationId,
+            messageIds,
+            timestamp: Date.now()
+          });
+        }
+      }
+
+      logger.info(`Purged ${ids.length} expired messages`, {
+        conversations: Object.keys(byConversation).length,
+        retryLater: failedMessageIds.length
+      });
+
+      return ids.length;
+    } catch (error) {
+      logger.error('Error purging expired messages', {
+        error: error.message,
+        stack: error.stack
+      });
+      return 0;
+    } finally {
+      this.isPurging = false;
+    }
+  }
+}
+
+module.exports = new RetentionService();
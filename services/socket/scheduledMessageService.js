@@ -0,0 +1,350 @@
+// services/socket/scheduledMessageService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../../db');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const MAX_SCHEDULE_AHEAD_MS = 90 * 24 * 60 * 60 * 1000; // 90 days
+const MIN_SCHEDULE_AHEAD_MS = 60 * 1000; // 1 minute
+const EDITABLE_PAYLOAD_FIELDS = ['text', 'messageType', 'images', 'attachments', 'audio', 'replyToMessageId', 'jobTitle'];
+
+class ScheduledMessageService {
+  constructor() {
+    this.isProcessing = false;
+    this.batchSize = 20;
+    // A claim older than this belongs to a worker that died mid-batch
+    this.claimTimeoutMs = 5 * 60 * 1000;
+  }
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  validateScheduledFor(scheduledFor) {
+    const date = new Date(scheduledFor);
+
+    if (!scheduledFor || isNaN(date.getTime())) {
+      throw createOperationalError('scheduledFor must be a valid date', 400, 'INVALID_SCHEDULED_FOR');
+    }
+
+    const delta = date.getTime() - Date.now();
+    if (delta < MIN_SCHEDULE_AHEAD_MS) {
+      throw createOperationalError('scheduledFor must be at least one minute in the future', 400, 'SCHEDULED_TIME_IN_PAST');
+    }
+    if (delta > MAX_SCHEDULE_AHEAD_MS) {
+      throw createOperationalError('Messages cannot be scheduled more than 90 days ahead', 400, 'SCHEDULED_TIME_TOO_FAR');
+    }
+
+    return date;
+  }
+
+  buildPayload(data) {
+    const payload = {};
+    for (const field of EDITABLE_PAYLOAD_FIELDS) {
+      if (data[field] !== undefined) {
+        payload[field] = data[field];
+      }
+    }
+
+    const hasContent = (payload.text && String(payload.text).trim()) ||
+      (Array.isArray(payload.images) && payload.images.length > 0) ||
+      (Array.isArray(payload.attachments) && payload.attachments.length > 0) ||
+      payload.audio;
+
+    if (!hasContent) {
+      throw createOperationalError('Message must contain text, images, audio, or file attachments', 400, 'MESSAGE_EMPTY');
+    }
+
+    if (payload.text && String(payload.text).length > 10000) {
+      throw createOperationalError('Message text cannot exceed 10,000 characters', 400, 'TEXT_TOO_LONG');
+    }
+
+    return payload;
+  }
+
+  async scheduleMessage(userId, data) {
+    await this.ensureDbInitialized();
+    const { ScheduledMessage, ConversationParticipant, User } = db.getModels();
+
+    const { conversationId = null, receiverId = null, jobId = null } = data;
+
+    if (!conversationId && !receiverId) {
+      throw createOperationalError('Either conversationId or receiverId is required', 400, 'MISSING_TARGET');
+    }
+
+    const scheduledFor = this.validateScheduledFor(data.scheduledFor);
+    const payload = this.buildPayload(data);
+
+    if (conversationId) {
+      const participation = await ConversationParticipant.findOne({
+        where: { conversationId, userId, leftAt: null }
+      });
+
+      if (!participation) {
+        throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+      }
+    } else {
+      const receiver = await User.findByPk(receiverId, { attributes: ['id'] });
+      if (!receiver) {
+        throw createOperationalError('Receiver user not found', 404, 'RECEIVER_NOT_FOUND');
+      }
+    }
+
+    const scheduled = await ScheduledMessage.create({
+      id: uuidv4(),
+      senderId: userId,
+      conversationId,
+      receiverId,
+      jobId,
+      payload,
+      scheduledFor,
+      status: 'pending'
+    });
+
+    logger.info('Message scheduled', {
+      scheduledMessageId: scheduled.id,
+      userId,
+      conversationId,
+      scheduledFor
+    });
+
+    return scheduled;
+  }
+
+  async listScheduled(userId, { status = 'pending', conversationId, limit = 50, offset = 0 } = {}) {
+    await this.ensureDbInitialized();
+    const { ScheduledMessage } = db.getModels();
+
+    const where = { senderId: userId };
+    if (status && status !== 'all') {
+      where.status = status;
+    }
+    if (conversationId) {
+      where.conversationId = conversationId;
+    }
+
+    const { count, rows } = await ScheduledMessage.findAndCountAll({
+      where,
+      order: [['scheduledFor', 'ASC']],
+      limit,
+      offset
+    });
+
+    return { scheduledMessages: rows, total: count };
+  }
+
+  async getOwnPending(userId, scheduledMessageId) {
+    const { ScheduledMessage } = db.getModels();
+
+    const scheduled = await ScheduledMessage.findOne({
+      where: { id: scheduledMessageId, senderId: userId }
+    });
+
+    if (!scheduled) {
+      throw createOperationalError('Scheduled message not found', 404, 'SCHEDULED_MESSAGE_NOT_FOUND');
+    }
+
+    if (scheduled.status !== 'pending') {
+      throw createOperationalError(`Scheduled message is already ${scheduled.status}`, 409, 'SCHEDULED_MESSAGE_NOT_PENDING');
+    }
+
+    return scheduled;
+  }
+
+  async updateScheduled(userId, scheduledMessageId, changes) {
+    await this.ensureDbInitialized();
+    const { ScheduledMessage } = db.getModels();
+    const scheduled = await this.getOwnPending(userId, scheduledMessageId);
+
+    const updates = {};
+
+    if (changes.scheduledFor !== undefined) {
+      updates.scheduledFor = this.validateScheduledFor(changes.scheduledFor);
+    }
+
+    const payloadChanges = EDITABLE_PAYLOAD_FIELDS.filter(field => changes[field] !== undefined);
+    if (payloadChanges.length > 0) {
+      updates.payload = this.buildPayload({ ...scheduled.payload, ...changes });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw createOperationalError('Nothing to update', 400, 'NO_UPDATE_FIELDS');
+    }
+
+    // Only update while still pending so we never race the worker
+    const [count, rows] = await ScheduledMessage.update(updates, {
+      where: { id: scheduled.id, status: 'pending' },
+      returning: true
+    });
+
+    if (count === 0) {
+      throw createOperationalError('Scheduled message is no longer pending', 409, 'SCHEDULED_MESSAGE_NOT_PENDING');
+    }
+
+    return rows[0];
+  }
+
+  async cancelScheduled(userId, scheduledMessageId) {
+    await this.ensureDbInitialized();
+    const { ScheduledMessage } = db.getModels();
+    const scheduled = await this.getOwnPending(userId, scheduledMessageId);
+
+    const [count, rows] = await ScheduledMessage.update(
+      { status: 'cancelled' },
+      { where: { id: scheduled.id, status: 'pending' }, returning: true }
+    );
+
+    if (count === 0) {
+      throw createOperationalError('Scheduled message is no longer pending', 409, 'SCHEDULED_MESSAGE_NOT_PENDING');
+    }
+
+    return rows[0];
+  }
+
+  /**
+   * Put messages claimed by a worker that crashed or stalled back in the
+   * queue. Resending is safe: the send is idempotent on its clientTempId.
+   */
+  async requeueStaleClaims() {
+    const { ScheduledMessage } = db.getModels();
+
+    const [count] = await ScheduledMessage.update(
+      { status: 'pending', claimedAt: null },
+      {
+        where: {
+          status: 'processing',
+          [Op.or]: [
+            { claimedAt: null },
+            { claimedAt: { [Op.lte]: new Date(Date.now() - this.claimTimeoutMs) } }
+          ]
+        }
+      }
+    );
+
+    if (count > 0) {
+      logger.warn(`Re-queued ${count} stale scheduled message claims`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Release due messages through messageService.handleSendMessage so they
+   * behave exactly like a live send (unread counts, queue, pushes).
+   */
+  async processDueMessages(io) {
+    if (this.isProcessing) {
+      return 0;
+    }
+
+    this.isProcessing = true;
+
+    try {
+      await this.ensureDbInitialized();
+      const { ScheduledMessage, ConversationParticipant, User } = db.getModels();
+      const messageService = require('./messageService');
+      const notificationService = require('../notifications/notificationService');
+      const { createUserSocket } = require('../../socket/workerEmitter');
+
+      await this.requeueStaleClaims();
+
+      const due = await ScheduledMessage.findAll({
+        where: { status: 'pending', scheduledFor: { [Op.lte]: new Date() } },
+        order: [['scheduledFor', 'ASC']],
+        limit: this.batchSize,
+        attributes: ['id']
+      });
+
+      if (due.length === 0) {
+        return 0;
+      }
+
+      // Claim atomically so concurrent workers never send twice
+      const [, claimed] = await ScheduledMessage.update(
+        { status: 'processing', claimedAt: new Date() },
+        {
+          where: { id: { [Op.in]: due.map(d => d.id) }, status: 'pending' },
+          returning: true
+        }
+      );
+
+      let sentCount = 0;
+
+      for (const scheduled of claimed) {
+        try {
+          const sender = await User.findByPk(scheduled.senderId);
+          if (!sender) {
+            throw new Error('Sender no longer exists');
+          }
+
+          if (scheduled.conversationId) {
+            const participation = await ConversationParticipant.findOne({
+              where: { conversationId: scheduled.conversationId, userId: scheduled.senderId, leftAt: null }
+            });
+            if (!participation) {
+              throw new Error('Sender is no longer a participant in this conversation');
+            }
+          }
+
+          const socket = createUserSocket(io, sender);
+          const result = await messageService.handleSendMessage(io, socket, {
+            ...scheduled.payload,
+            conversationId: scheduled.conversationId,
+            receiverId: scheduled.receiverId,
+            jobId: scheduled.jobId,
+            clientTempId: `scheduled-${scheduled.id}`
+          });
+
+          if (result.notifyRecipients && result.participants) {
+            await notificationService.sendMessageNotification(result.message, result.participants);
+          }
+
+          await scheduled.update({
+            status: 'sent',
+            sentMessageId: result.message.id,
+            sentAt: new Date(),
+            conversationId: result.conversationId
+          });
+
+          socket.emit('scheduled_message_sent', {
+            scheduledMessageId: scheduled.id,
+            messageId: result.message.id,
+            conversationId: result.conversationId,
+            timestamp: Date.now()
+          });
+
+          sentCount++;
+        } catch (error) {
+          logger.error('Failed to release scheduled message', {
+            scheduledMessageId: scheduled.id,
+            error: error.message
+          });
+
+          await scheduled.update({
+            status: 'failed',
+            failureReason: error.message.substring(0, 500)
+          });
+        }
+      }
+
+      if (sentCount > 0) {
+        logger.info(`Released ${sentCount} scheduled messages`);
+      }
+
+      return sentCount;
+    } catch (error) {
+      logger.error('Error processing scheduled messages', {
+        error: error.message,
+        stack: error.stack
+      });
+      return 0;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = new ScheduledMessageService();
@@ -0,0 +1,237 @@
+// services/socket/starService.js
+const { v4: uuidv4 } = require('uuid');
+const { Op, Sequelize } = require('sequelize');
+const db = require('../../db');
+const deliveryService = require('./deliveryService');
+const logger = require('../../utils/logger');
+const { createOperationalError } = require('../../middleware/exceptionHandler');
+
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Per-user saved messages. A star only lives as long as the user can see
+ * the message: deleting it for everyone, hiding it, or leaving the
+ * conversation removes it.
+ */
+class StarService {
+
+  async ensureDbInitialized() {
+    if (!db.isInitialized()) {
+      await db.waitForInitialization();
+    }
+  }
+
+  encodeCursor(star) {
+    return Buffer.from(JSON.stringify({
+      t: new Date(star.createdAt).toISOString(),
+      id: star.id
+    })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const createdAt = new Date(position.t);
+
+      if (isNaN(createdAt.getTime()) || !position.id) {
+        throw new Error('Invalid cursor');
+      }
+
+      return { createdAt, id: position.id };
+    } catch (error) {
+      throw createOperationalError('Invalid cursor', 400, 'INVALID_CURSOR');
+    }
+  }
+
+  async starMessage(io, { messageId, userId }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    await this.ensureDbInitialized();
+    const { Message, ConversationParticipant, HiddenMessage, StarredMessage } = db.getModels();
+
+    const message = await Message.findByPk(messageId, {
+      attributes: ['id', 'conversationId', 'deleted', 'expiresAt']
+    });
+
+    if (!message || message.deleted || (message.expiresAt && new Date(message.expiresAt) <= new Date())) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    const [participation, hidden] = await Promise.all([
+      ConversationParticipant.findOne({
+        where: { conversationId: message.conversationId, userId, leftAt: null }
+      }),
+      HiddenMessage.findOne({ where: { messageId, userId } })
+    ]);
+
+    if (!participation) {
+      throw createOperationalError('Not a participant in this conversation', 403, 'NOT_PARTICIPANT');
+    }
+
+    if (hidden) {
+      throw createOperationalError('Message not found', 404, 'MESSAGE_NOT_FOUND');
+    }
+
+    const [star] = await StarredMessage.findOrCreate({
+      where: { messageId, userId },
+      defaults: {
+        id: uuidv4(),
+        messageId,
+        userId,
+        conversationId: message.conversationId
+      }
+    });
+
+    const result = {
+      messageId,
+      conversationId: message.conversationId,
+      starred: true,
+      starredAt: star.createdAt
+    };
+
+    // Keep the user's other devices in step
+    if (io) {
+      io.to(deliveryService.userRoom(userId)).emit('message_starred', result);
+    }
+
+    return result;
+  }
+
+  async unstarMessage(io, { messageId, userId }) {
+    if (!messageId) {
+      throw createOperationalError('Message ID is required', 400, 'MISSING_MESSAGE_ID');
+    }
+
+    await this.ensureDbInitialized();
+    const { StarredMessage } = db.getModels();
+
+    const removed = await StarredMessage.destroy({ where: { messageId, userId } });
+
+    const result = {
+      messageId,
+      starred: false,
+      removed: removed > 0
+    };
+
+    if (io && removed > 0) {
+      io.to(deliveryService.userRoom(userId)).emit('message_unstarred', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Starred messages across all conversations, newest star first
+   * @param {string} userId - Owner of the stars
+   * @param {Object} options - cursor (from a previous page), limit
+   * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean}>}
+   */
+  async getStarredMessages(userId, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    await this.ensureDbInitialized();
+    const { Message, StarredMessage, User } = db.getModels();
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const where = {
+      userId,
+      // Stars in conversations the user has left are cleaned up on leave;
+      // this keeps the list correct even if that cleanup was missed
+      conversationId: {
+        [Op.in]: Sequelize.literal(
+          `(SELECT "conversationId" FROM conversation_participants WHERE "userId" = ${Message.sequelize.escape(userId)} AND "leftAt" IS NULL)`
+        )
+      }
+    };
+
+    if (cursor) {
+      const position = this.decodeCursor(cursor);
+      where[Op.or] = [
+        { createdAt: { [Op.lt]: position.createdAt } },
+        { createdAt: position.createdAt, id: { [Op.lt]: position.id } }
+      ];
+    }
+
+    const stars = await StarredMessage.findAll({
+      where,
+      include: [{
+        model: Message,
+        as: 'message',
+        required: true,
+        where: {
+          deleted: false,
+          [Op.or]: [
+            { expiresAt: null },
+            { expiresAt: { [Op.gt]: new Date() } }
+          ]
+        },
+        include: [{
+          model: User,
+          as: 'sender',
+          attributes: ['id', 'name', 'avatar']
+        }]
+      }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: pageSize + 1
+    });
+
+    const hasMore = stars.length > pageSize;
+    const page = hasMore ? stars.slice(0, pageSize) : stars;
+
+    return {
+      items: page.map(star => ({
+        starredAt: star.createdAt,
+        message: {
+          id: star.message.id,
+          conversationId: star.message.conversationId,
+          seq: star.message.seq,
+          senderId: star.message.senderId,
+          sender: star.message.sender || null,
+          type: star.message.type,
+          content: star.message.content,
+          isEdited: star.message.isEdited,
+          createdAt: star.message.createdAt,
+          updatedAt: star.message.updatedAt
+        }
+      })),
+      nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+      hasMore
+    };
+  }
+
+  /**
+   * Drop a user's stars in a conversation they no longer have access to
+   */
+  async removeForParticipant(conversationId, userId) {
+    await this.ensureDbInitialized();
+    const { StarredMessage } = db.getModels();
+
+    try {
+      const removed = await StarredMessage.destroy({ where: { conversationId, userId } });
+
+      if (removed > 0) {
+        logger.info('Removed stars after losing conversation access', {
+          conversationId,
+          userId,
+          removed
+        });
+      }
+
+      return removed;
+    } catch (error) {
+      // Listing filters by access anyway; leaving must not fail on this
+      logger.error('Failed to remove stars for participant', {
+        conversationId,
+        userId,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+}
+
+const starServiceInstance = new StarService();
+module.exports = starServiceInstance;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
@@ -0,0 +1,432 @@
+const { QueryTypes } = require('sequelize');
+const logger = require('../utils/logger');
+const db = require('../db/models');
+const { createOperationalError } = require('../middleware/exceptionHandler');
+const muteService = require('./socket/muteService');
+
+const DEFAULT_PAGE_SIZE = 200;
+const MAX_PAGE_SIZE = 500;
+
+// The final cursor of a sync is moved back by this much so rows written by
+// slow transactions or app servers with a slightly skewed clock are picked up
+// on the next sync. Clients upsert by id, so the overlap is harmless.
+const CURSOR_OVERLAP_MS = 5000;
+
+class SyncService {
+  /**
+   * Encode a position in the change stream as an opaque cursor
+   * @param {Date} timestamp - updatedAt of the last change seen
+   * @param {string|null} messageId - Tie-breaker for messages sharing that timestamp
+   * @returns {string} Base64url cursor
+   */
+  encodeCursor(timestamp, messageId = null) {
+    const position = { t: new Date(timestamp).toISOString() };
+    if (messageId) {
+      position.id = messageId;
+    }
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+  }
+
+  /**
+   * @param {string} cursor - Cursor from a previous sync or initial_data
+   * @returns {{timestamp: Date, messageId: string|null}}
+   */
+  decodeCursor(cursor) {
+    try {
+      const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      const timestamp = new Date(position.t);
+
+      if (isNaN(timestamp.getTime())) {
+        throw new Error('Invalid timestamp');
+      }
+
+      return { timestamp, messageId: position.id || null };
+    } catch (error) {
+      throw createOperationalError('Invalid sync cursor', 400, 'INVALID_SYNC_CURSOR');
+    }
+  }
+
+  /**
+   * Cursor for a client that has just loaded full state (e.g. initial_data)
+   */
+  createCursor(from = new Date()) {
+    return this.encodeCursor(new Date(from.getTime() - CURSOR_OVERLAP_MS));
+  }
+
+  /**
+   * Everything that changed for the user since the cursor, read from Postgres.
+   * Messages are paged in (updatedAt, id) order; other changes are bounded by
+   * the last message of the page so that no page skips anything.
+   * @param {string} userId - Syncing user
+   * @param {Object} options - since (cursor), limit
+   * @returns {Promise<Object>} Delta and the next cursor
+   */
+  async getChanges(userId, { since = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const position = since ? this.decodeCursor(since) : null;
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const [{ now }] = await db.sequelize.query('SELECT NOW() AS now', { type: QueryTypes.SELECT });
+
+    const messageRows = await this.getChangedMessages(userId, position, pageSize + 1);
+    const hasMore = messageRows.length > pageSize;
+    const messages = hasMore ? messageRows.slice(0, pageSize) : messageRows;
+
+    const lastMessage = messages[messages.length - 1];
+    const until = hasMore ? lastMessage.updatedAt : null;
+
+    const window = {
+      userId,
+      since: position ? position.timestamp : null,
+      until
+    };
+
+    const [conversations, participants, receipts, hidden, expired] = await Promise.all([
+      this.getChangedConversations(window),
+      this.getChangedParticipants(window),
+      this.getChangedReceipts(window),
+      this.getHiddenMessages(window),
+      this.getExpiredMessages(window)
+    ]);
+
+    const cursor = hasMore
+      ? this.encodeCursor(lastMessage.updatedAt, lastMessage.id)
+      : this.createCursor(new Date(now));
+
+    logger.debug('Sync delta computed', {
+      userId,
+      messages: messages.length,
+      conversations: conversations.length,
+      participants: participants.length,
+      receipts: receipts.length,
+      hasMore
+    });
+
+    return {
+      cursor,
+      hasMore,
+      serverTime: now,
+      messages: this.groupMessages(messages, hidden, expired, window.since),
+      conversations: conversations.map(row => this.formatConversation(row, window.since)),
+      participants: participants.map(row => ({
+        conversationId: row.conversationId,
+        userId: row.userId,
+        participantRole: row.role,
+        joinedAt: row.joinedAt,
+        leftAt: row.leftAt,
+        isActive: !row.leftAt,
+        updatedAt: row.updatedAt
+      })),
+      readState: {
+        conversations: conversations.map(row => ({
+          conversationId: row.id,
+          lastReadAt: row.lastReadAt,
+          unreadCount: row.unreadCount || 0,
+          unreadMentionCount: row.unreadMentionCount || 0
+        })),
+        receipts
+      }
+    };
+  }
+
+  /**
+   * Messages in conversations the user belongs to. After leaving, only
+   * messages up to leftAt stay visible.
+   */
+  async getChangedMessages(userId, position, limit) {
+    const replacements = { userId, limit };
+    let positionCondition = '';
+
+    if (position && position.messageId) {
+      positionCondition = `AND (m."updatedAt" > :since OR (m."updatedAt" = :since AND m.id > :sinceId))`;
+      replacements.since = position.timestamp;
+      replacements.sinceId = position.messageId;
+    } else if (position) {
+      positionCondition = 'AND m."updatedAt" > :since';
+      replacements.since = position.timestamp;
+    }
+
+    return db.sequelize.query(`
+      SELECT
+        m.id,
+        m."conversationId",
+        m.seq,
+        m."senderId",
+        m."receiverId",
+        m.type,
+        m.content,
+        m.status,
+        m.deleted,
+        m."clientTempId",
+        m."isSystemMessage",
+        m."parentMessageId",
+        m."threadReplyCount",
+        m."threadLastReplyAt",
+        m."expiresAt",
+        m."editCount",
+        m."editedAt",
+        m."forwardedFromId",
+        m."originalSenderId",
+        m."createdAt",
+        m."updatedAt"
+      FROM messages m
+      JOIN conversation_participants cp
+        ON cp."conversationId" = m."conversationId"
+        AND cp."userId" = :userId
+        AND (cp."leftAt" IS NULL OR m."createdAt" <= cp."leftAt")
+      WHERE (m."expiresAt" IS NULL OR m."expiresAt" > NOW())
+        AND NOT EXISTS (
+          SELECT 1 FROM hidden_messages h
+          WHERE h."messageId" = m.id AND h."userId" = :userId
+        )
+        ${positionCondition}
+      ORDER BY m."updatedAt" ASC, m.id ASC
+      LIMIT :limit
+    `, {
+      replacements,
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Conversations whose metadata or the user's own participation changed
+   */
+  async getChangedConversations({ userId, since, until }) {
+    return db.sequelize.query(`
+      SELECT
+        c.id,
+        c.type,
+        c.name,
+        c.avatar,
+        c.description,
+        c."jobId",
+        c."jobTitle",
+        c.status,
+        c."createdBy",
+        c."closedAt",
+        c."lastMessageAt",
+        c.deleted,
+        c."messageTtlSeconds",
+        c."lastMessageSeq",
+        c."createdAt",
+        c."updatedAt",
+        cp."unreadCount",
+        cp."unreadMentionCount",
+        cp."lastReadAt",
+        cp."isMuted",
+        cp."mutedUntil",
+        cp."isPinned",
+        cp."notificationEnabled",
+        cp."notificationLevel",
+        cp.role,
+        cp.draft,
+        cp."draftUpdatedAt",
+        cp."archivedAt",
+        cp."labelIds",
+        cp."joinedAt",
+        cp."leftAt",
+        cp."createdAt" AS "participationCreatedAt"
+      FROM conversations c
+      JOIN conversation_participants cp
+        ON cp."conversationId" = c.id AND cp."userId" = :userId
+      WHERE ${this.windowCondition(['c."updatedAt"', 'cp."updatedAt"'], since, until)}
+      ORDER BY c."updatedAt" ASC
+    `, {
+      replacements: { userId, since, until },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Joins, leaves and role changes of other participants in the user's conversations
+   */
+  async getChangedParticipants({ userId, since, until }) {
+    return db.sequelize.query(`
+      SELECT
+        op."conversationId",
+        op."userId",
+        op.role,
+        op."joinedAt",
+        op."leftAt",
+        op."updatedAt"
+      FROM conversation_participants op
+      JOIN conversation_participants cp
+        ON cp."conversationId" = op."conversationId" AND cp."userId" = :userId
+      WHERE op."userId" <> :userId
+        AND ${this.windowCondition(['op."updatedAt"'], since, until)}
+      ORDER BY op."updatedAt" ASC
+    `, {
+      replacements: { userId, since, until },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Delivery and read receipts on messages the user sent
+   */
+  async getChangedReceipts({ userId, since, until }) {
+    return db.sequelize.query(`
+      SELECT
+        r."messageId",
+        m."conversationId",
+        r."userId",
+        r."deliveredAt",
+        r."readAt"
+      FROM message_receipts r
+      JOIN messages m ON m.id = r."messageId"
+      WHERE m."senderId" = :userId
+        AND ${this.windowCondition(['r."updatedAt"'], since, until)}
+      ORDER BY r."updatedAt" ASC
+    `, {
+      replacements: { userId, since, until },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Messages the user deleted for themselves on any device
+   */
+  async getHiddenMessages({ userId, since, until }) {
+    return db.sequelize.query(`
+      SELECT
+        h."messageId",
+        h."conversationId",
+        h."createdAt"
+      FROM hidden_messages h
+      WHERE h."userId" = :userId
+        AND ${this.windowCondition(['h."createdAt"'], since, until)}
+      ORDER BY h."createdAt" ASC
+    `, {
+      replacements: { userId, since, until },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * Disappearing messages that expired in the window: rows the purge has
+   * not reached yet plus tombstones of purged ones. Both are keyed on
+   * expiresAt so a message is reported once whichever side it is on.
+   * A full sync (no cursor) has nothing to drop.
+   */
+  async getExpiredMessages({ userId, since, until }) {
+    if (!since) {
+      return [];
+    }
+
+    return db.sequelize.query(`
+      SELECT m.id AS "messageId", m."conversationId", m."expiresAt" AS "expiredAt"
+      FROM messages m
+      JOIN conversation_participants cp
+        ON cp."conversationId" = m."conversationId"
+        AND cp."userId" = :userId
+        AND (cp."leftAt" IS NULL OR m."createdAt" <= cp."leftAt")
+      WHERE m."expiresAt" <= NOW()
+        AND ${this.windowCondition(['m."expiresAt"'], since, until)}
+      UNION ALL
+      SELECT e."messageId", e."conversationId", e."expiredAt"
+      FROM expired_messages e
+      JOIN conversation_participants cp
+        ON cp."conversationId" = e."conversationId"
+        AND cp."userId" = :userId
+        AND (cp."leftAt" IS NULL OR e."messageCreatedAt" <= cp."leftAt")
+      WHERE ${this.windowCondition(['e."expiredAt"'], since, until)}
+      ORDER BY "expiredAt" ASC
+    `, {
+      replacements: { userId, since, until },
+      type: QueryTypes.SELECT
+    });
+  }
+
+  /**
+   * (since, until] condition over any of the given timestamp columns
+   */
+  windowCondition(columns, since, until) {
+    const conditions = columns.map(column => {
+      const bounds = [];
+      if (since) bounds.push(`${column} > :since`);
+      if (until) bounds.push(`${column} <= :until`);
+      return bounds.length > 0 ? `(${bounds.join(' AND ')})` : 'TRUE';
+    });
+
+    return `(${conditions.join(' OR ')})`;
+  }
+
+  /**
+   * Split messages into created, updated (edits, status, thread counters)
+   * and deleted (for everyone, or hidden by this user), relative to the
+   * previous cursor
+   */
+  groupMessages(messages, hidden, expired, since) {
+    const grouped = { created: [], updated: [], deleted: [] };
+
+    for (const row of expired) {
+      grouped.deleted.push({
+        id: row.messageId,
+        conversationId: row.conversationId,
+        mode: 'expired',
+        deletedAt: row.expiredAt
+      });
+    }
+
+    for (const row of hidden) {
+      grouped.deleted.push({
+        id: row.messageId,
+        conversationId: row.conversationId,
+        mode: 'me',
+        deletedAt: row.createdAt
+      });
+    }
+
+    for (const message of messages) {
+      if (message.deleted) {
+        grouped.deleted.push({
+          id: message.id,
+          conversationId: message.conversationId,
+          mode: 'everyone',
+          deletedAt: message.updatedAt
+        });
+      } else if (!since || new Date(message.createdAt) > since) {
+        grouped.created.push(message);
+      } else {
+        grouped.updated.push(message);
+      }
+    }
+
+    return grouped;
+  }
+
+  formatConversation(row, since) {
+    return {
+      id: row.id,
+      type: row.type || 'direct_message',
+      metadata: {
+        jobId: row.jobId,
+        jobTitle: row.jobTitle,
+        status: row.status || 'active',
+        createdBy: row.createdBy,
+        closedAt: row.closedAt,
+        name: row.name,
+        avatar: row.avatar,
+        description: row.description,
+        messageTtlSeconds: row.messageTtlSeconds,
+        lastMessageSeq: row.lastMessageSeq
+      },
+      settings: muteService.formatSettings(row),
+      // Newly joined: history before the cursor is not part of the delta
+      isNew: !!since && new Date(row.participationCreatedAt) > since,
+      participantRole: row.role,
+      draft: row.draft ? { ...row.draft, updatedAt: row.draftUpdatedAt } : null,
+      archivedAt: row.archivedAt || null,
+      labelIds: row.labelIds || [],
+      isActive: !row.leftAt,
+      leftAt: row.leftAt,
+      deleted: row.deleted,
+      lastMessageAt: row.lastMessageAt,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt
+    };
+  }
+}
+
+const syncServiceInstance = new SyncService();
+module.exports = syncServiceInstance;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
@@ -2,6 +2,9 @@
 const logger = require('../../utils/logger');
 const redisService = require('../../services/redis');
 const conversationService = require('../../services/socket/conversationService');
+const syncService = require('../../services/sync.service');
+const deliveryService = require('../../services/socket/deliveryService');
+const blockService = require('../../services/socket/blockService');
 const db = require('../../db');
 
 module.exports = (io, socket) => {
@@ -35,6 +38,9 @@ module.exports = (io, socket) => {
       
       logger.info('[CONNECTION] Updated Redis presence for user', { userId, socketId });
 
+      // Join user/device rooms used for acked message delivery
+      const deviceId = await deliveryService.registerDevice(socket);
+
       // Update database (async, fire-and-forget for performance)
       db.getModels().User.update(
         { 
@@ -50,8 +56,9 @@ module.exports = (io, socket) => {
         })
       );
 
-      // Notify other clients about this user coming online
-      socket.broadcast.emit('user_online', {
+      // Notify other clients about this user coming online (not those who blocked them)
+      const hiddenFrom = await blockService.getHiddenFromRooms(userId);
+      socket.broadcast.except(hiddenFrom).emit('user_online', {
         id: userId,
         name: userName,
         firstName: socket.user.firstName,
@@ -66,6 +73,7 @@ module.exports = (io, socket) => {
         conversationService.getUserConversations(userId),
         redisService.getOnlineUsers()
       ]);
+      const visibleOnlineUsers = await blockService.filterOnlineUsers(userId, onlineUsers);
       
       logger.info('[CONNECTION] Fetched user data', {
         userId,
@@ -74,10 +82,12 @@ module.exports = (io, socket) => {
       });
 
       // Send initial data to connecting client
+      // syncCursor lets the client catch up later via GET /api/v1/sync
       socket.emit('initial_data', {
         userId,
         conversations,
-        onlineUsers
+        onlineUsers: visibleOnlineUsers,
+        syncCursor: syncService.createCursor()
       });
 
       // Join conversation rooms
@@ -89,15 +99,21 @@ module.exports = (io, socket) => {
       socket.emit('connection_established', {
         userId,
         socketId,
+        deviceId,
         timestamp: Date.now()
       });
 
+      // Redeliver messages this device never acked (non-blocking)
+      deliveryService.redeliverPending(socket).catch(err =>
+        logger.error('[CONNECTION] Redelivery failed (non-blocking)', {
+          userId,
+          deviceId,
+          error: err.message
+        })
+      );
+
       // Broadcast updated online users list to ALL clients
-      io.emit('all_online_users', {
-        users: onlineUsers,
-        count: onlineUsers.length,
-        timestamp: Date.now()
-      });
+      await blockService.emitOnlineUsers(io, onlineUsers);
 
       logger.info('[CONNECTION SUCCESS] User fully initialized', {
         userId,
@@ -128,7 +144,10 @@ module.exports = (io, socket) => {
         });
       }
 
-      const presence = await redisService.getUsersPresence(userIds);
+      const presence = await blockService.hidePresence(
+        userId,
+        await redisService.getUsersPresence(userIds)
+      );
       
       socket.emit('presence_status', {
         presence,
@@ -165,7 +184,7 @@ module.exports = (io, socket) => {
     });
 
     try {
-      const onlineUsers = await redisService.getOnlineUsers();
+      const onlineUsers = await blockService.filterOnlineUsers(userId, await redisService.getOnlineUsers());
       
       logger.info('[GET_ALL_ONLINE_USERS] Fetched successfully', {
         requestId,
@@ -236,8 +255,9 @@ module.exports = (io, socket) => {
           })
         );
 
-        // Notify other clients that user is offline
-        socket.broadcast.emit('user_offline', {
+        // Notify other clients that user is offline (not those who blocked them)
+        const hiddenFrom = await blockService.getHiddenFromRooms(userId);
+        socket.broadcast.except(hiddenFrom).emit('user_offline', {
           id: userId,
           name: userName,
           isOnline: false,
@@ -246,11 +266,7 @@ module.exports = (io, socket) => {
         
         // Broadcast updated online users list
         const onlineUsers = await redisService.getOnlineUsers();
-        io.emit('all_online_users', {
-          users: onlineUsers,
-          count: onlineUsers.length,
-          timestamp: Date.now()
-        });
+        await blockService.emitOnlineUsers(io, onlineUsers);
 
         logger.info('[DISCONNECT] User fully offline', {
           userId,
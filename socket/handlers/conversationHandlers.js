@@ -5,6 +5,11 @@ const db = require('../../db');
 const redisService = require('../../services/redis');
 const queueService = require('../../services/queue/queueService');
 const presenceService = require('../../services/socket/presenceService');
+const pinService = require('../../services/socket/pinService');
+const draftService = require('../../services/socket/draftService');
+const groupService = require('../../services/socket/groupService');
+const inboxService = require('../../services/socket/inboxService');
+const blockService = require('../../services/socket/blockService');
 const { Op } = require('sequelize');
 
 module.exports = (io, socket) => {
@@ -111,7 +116,7 @@ module.exports = (io, socket) => {
   });
 
   // Create a new conversation
-  socket.on('create_conversation', async ({ participantIds, jobId, jobTitle }) => {
+  socket.on('create_conversation', async ({ participantIds, jobId, jobTitle, type, name, avatar, description }) => {
     try {
       if (!participantIds || !Array.isArray(participantIds) || participantIds.length === 0) {
         return socket.emit('error', {
@@ -120,26 +125,50 @@ module.exports = (io, socket) => {
         });
       }
 
+      if (type && !groupService.CONVERSATION_TYPES.includes(type)) {
+        return socket.emit('error', {
+          code: 'INVALID_REQUEST',
+          message: 'type must be job_chat, direct_message or group'
+        });
+      }
+
+      const groupDetails = type === 'group'
+        ? groupService.validateGroupDetails({ name, avatar, description }, { requireName: true })
+        : {};
+
       const { ConversationParticipant, Conversation } = getModels();
 
       // Ensure current user is included
       const allParticipantIds = [...new Set([userId, ...participantIds])];
+
+      // Blocks only stop one-to-one conversations; groups can include both users
+      if (type !== 'group' && await blockService.isBlockedBetween(userId, allParticipantIds.filter(id => id !== userId))) {
+        return socket.emit('error', {
+          code: 'USER_BLOCKED',
+          message: 'You cannot start a conversation with this user'
+        });
+      }
+
       const conversationId = uuidv4();
 
       // Create conversation directly in database
       const conversation = await Conversation.create({
         id: conversationId,
+        ...(type && { type }),
         jobId,
         jobTitle,
         participantIds: allParticipantIds,
+        createdBy: userId,
+        ...groupDetails,
         lastMessageAt: new Date()
       });
 
-      // Create participant records
+      // Create participant records; the creator owns the conversation
       const participantRecords = allParticipantIds.map(pId => ({
         id: uuidv4(),
         conversationId,
         userId: pId,
+        role: pId === userId ? 'owner' : 'member',
         unreadCount: 0,
         joinedAt: new Date()
       }));
@@ -176,8 +205,8 @@ module.exports = (io, socket) => {
         participantIds
       });
       socket.emit('error', {
-        code: 'CREATE_CONVERSATION_FAILED',
-        message: 'Failed to create conversation'
+        code: error.isOperational ? error.code : 'CREATE_CONVERSATION_FAILED',
+        message: error.isOperational ? error.message : 'Failed to create conversation'
       });
     }
   });
@@ -194,9 +223,9 @@ module.exports = (io, socket) => {
 
       const { ConversationParticipant, Conversation } = getModels();
 
-      // Verify user is a participant
+      // Verify user is a participant allowed to add others
       const participation = await ConversationParticipant.findOne({
-        where: { conversationId, userId }
+        where: { conversationId, userId, leftAt: null }
       });
 
       if (!participation) {
@@ -206,6 +235,13 @@ module.exports = (io, socket) => {
         });
       }
 
+      if (!groupService.hasRole(participation, 'admin')) {
+        return socket.emit('error', {
+          code: 'INSUFFICIENT_ROLE',
+          message: 'Only the conversation owner and admins can add participants'
+        });
+      }
+
       // Get conversation
       const conversation = await Conversation.findByPk(conversationId);
       if (!conversation) {
@@ -231,16 +267,8 @@ module.exports = (io, socket) => {
       const updatedParticipantIds = [...conversation.participantIds, ...newParticipantIds];
       await conversation.update({ participantIds: updatedParticipantIds });
 
-      // Create participant records
-      const participantRecords = newParticipantIds.map(pId => ({
-        id: uuidv4(),
-        conversationId,
-        userId: pId,
-        unreadCount: 0,
-        joinedAt: new Date()
-      }));
-
-      await ConversationParticipant.bulkCreate(participantRecords);
+      // Create participant records (or reactivate those of former participants)
+      await groupService.addMembers(conversationId, newParticipantIds);
 
       // Notify all participants
       io.to(`conversation:${conversationId}`).emit('participants_added', {
@@ -281,7 +309,7 @@ module.exports = (io, socket) => {
 
       // Verify user is a participant
       const participation = await ConversationParticipant.findOne({
-        where: { conversationId, userId }
+        where: { conversationId, userId, leftAt: null }
       });
 
       if (!participation) {
@@ -301,13 +329,19 @@ module.exports = (io, socket) => {
       }
 
       // Check if participant exists
-      if (!conversation.participantIds.includes(participantId)) {
+      const targetParticipation = await ConversationParticipant.findOne({
+        where: { conversationId, userId: participantId, leftAt: null }
+      });
+
+      if (!conversation.participantIds.includes(participantId) || !targetParticipation) {
         return socket.emit('error', {
           code: 'INVALID_REQUEST',
           message: 'User is not a participant'
         });
       }
 
+      groupService.assertCanRemove(participation, targetParticipation);
+
       // Update conversation
       const updatedParticipantIds = conversation.participantIds.filter(
         id => id !== participantId
@@ -320,6 +354,7 @@ module.exports = (io, socket) => {
         { leftAt: new Date() },
         { where: { conversationId, userId: participantId } }
       );
+      await groupService.handleParticipantLeft(io, conversationId, participantId);
 
       // Notify all participants
       io.to(`conversation:${conversationId}`).emit('participant_removed', {
@@ -348,8 +383,8 @@ module.exports = (io, socket) => {
         participantId
       });
       socket.emit('error', {
-        code: 'REMOVE_PARTICIPANT_FAILED',
-        message: 'Failed to remove participant'
+        code: error.isOperational ? error.code : 'REMOVE_PARTICIPANT_FAILED',
+        message: error.isOperational ? error.message : 'Failed to remove participant'
       });
     }
   });
@@ -406,6 +441,7 @@ module.exports = (io, socket) => {
         conversation,
         participants: participants.map(p => p.toJSON()),
         unreadCount: participation.unreadCount,
+        unreadMentionCount: participation.unreadMentionCount || 0,
         timestamp: Date.now()
       });
 
@@ -424,16 +460,24 @@ module.exports = (io, socket) => {
   });
 
   // Get user's conversations
-  socket.on('get_conversations', async ({ limit = 20, offset = 0 }) => {
+  // Filters: archived ('false' by default, 'true' or 'all'), labelId,
+  // unreadOnly, pinnedFirst (default true) and jobId
+  socket.on('get_conversations', async ({ limit = 20, offset = 0, ...filters } = {}) => {
     try {
       const { ConversationParticipant, Conversation } = getModels();
+      const { participantWhere, conversationWhere, order } = inboxService.buildListQuery(userId, filters);
 
       // Get user's conversation participations
       const participations = await ConversationParticipant.findAll({
-        where: { userId },
+        where: participantWhere,
+        include: [{
+          model: Conversation,
+          as: 'conversation',
+          where: conversationWhere
+        }],
         limit: parseInt(limit),
         offset: parseInt(offset),
-        order: [['joinedAt', 'DESC']]
+        order
       });
 
       if (participations.length === 0) {
@@ -447,21 +491,16 @@ module.exports = (io, socket) => {
         return;
       }
 
-      const conversationIds = participations.map(p => p.conversationId);
-
-      // Get conversations
-      const conversations = await Conversation.findAll({
-        where: { id: { [Op.in]: conversationIds } },
-        order: [['lastMessageAt', 'DESC']]
-      });
-
       // Get unread counts
       const unreadCounts = await redisService.getUnreadCounts(userId);
 
-      // Enrich conversations with unread counts
-      const enrichedConversations = conversations.map(conv => ({
-        ...conv.toJSON(),
-        unreadCount: unreadCounts[conv.id] || 0
+      // Enrich conversations with unread counts and the user's inbox state
+      const enrichedConversations = participations.map(participation => ({
+        ...participation.conversation.toJSON(),
+        unreadCount: unreadCounts[participation.conversationId] || 0,
+        isPinned: participation.isPinned || false,
+        archivedAt: participation.archivedAt || null,
+        labelIds: participation.labelIds || []
       }));
 
       socket.emit('conversations_list', {
@@ -483,8 +522,8 @@ module.exports = (io, socket) => {
         offset
       });
       socket.emit('error', {
-        code: 'GET_CONVERSATIONS_FAILED',
-        message: 'Failed to get conversations'
+        code: error.isOperational ? error.code : 'GET_CONVERSATIONS_FAILED',
+        message: error.isOperational ? error.message : 'Failed to get conversations'
       });
     }
   });
@@ -501,9 +540,9 @@ module.exports = (io, socket) => {
 
       const { ConversationParticipant, Conversation } = getModels();
 
-      // Verify user is a participant
+      // Verify user is a participant allowed to change settings
       const participation = await ConversationParticipant.findOne({
-        where: { conversationId, userId }
+        where: { conversationId, userId, leftAt: null }
       });
 
       if (!participation) {
@@ -513,6 +552,13 @@ module.exports = (io, socket) => {
         });
       }
 
+      if (!groupService.hasRole(participation, 'admin')) {
+        return socket.emit('error', {
+          code: 'INSUFFICIENT_ROLE',
+          message: 'Only the conversation owner and admins can update the conversation'
+        });
+      }
+
       // Get conversation
       const conversation = await Conversation.findByPk(conversationId);
       if (!conversation) {
@@ -526,6 +572,13 @@ module.exports = (io, socket) => {
       const allowedUpdates = {};
       if (updates.jobTitle !== undefined) allowedUpdates.jobTitle = updates.jobTitle;
       if (updates.jobId !== undefined) allowedUpdates.jobId = updates.jobId;
+      if (conversation.type === 'group') {
+        Object.assign(allowedUpdates, groupService.validateGroupDetails({
+          name: updates.name,
+          avatar: updates.avatar,
+          description: updates.description
+        }));
+      }
 
       await conversation.update(allowedUpdates);
 
@@ -557,8 +610,8 @@ module.exports = (io, socket) => {
         updates
       });
       socket.emit('error', {
-        code: 'UPDATE_CONVERSATION_FAILED',
-        message: 'Failed to update conversation'
+        code: error.isOperational ? error.code : 'UPDATE_CONVERSATION_FAILED',
+        message: error.isOperational ? error.message : 'Failed to update conversation'
       });
     }
   });
@@ -635,4 +688,95 @@ module.exports = (io, socket) => {
       });
     }
   });
+
+  // Roles: owner promotes/demotes admins and can hand over ownership
+  socket.on('set_participant_role', async ({ conversationId, participantId, role } = {}) => {
+    try {
+      const result = await groupService.setParticipantRole(io, { conversationId, userId, participantId, role });
+      socket.emit('set_participant_role_confirmation', result);
+    } catch (error) {
+      logger.error(`Error setting participant role: ${error.message}`, { userId, conversationId, participantId });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'SET_PARTICIPANT_ROLE_FAILED',
+        message: error.isOperational ? error.message : 'Failed to update participant role'
+      });
+    }
+  });
+
+  socket.on('transfer_ownership', async ({ conversationId, newOwnerId } = {}) => {
+    try {
+      const result = await groupService.transferOwnership(io, { conversationId, userId, newOwnerId });
+      socket.emit('transfer_ownership_confirmation', result);
+    } catch (error) {
+      logger.error(`Error transferring ownership: ${error.message}`, { userId, conversationId, newOwnerId });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'TRANSFER_OWNERSHIP_FAILED',
+        message: error.isOperational ? error.message : 'Failed to transfer ownership'
+      });
+    }
+  });
+
+  // Pin a message for everyone in the conversation
+  socket.on('pin_message', async ({ conversationId, messageId } = {}) => {
+    try {
+      const pin = await pinService.pinMessage(io, { conversationId, messageId, user: socket.user });
+      socket.emit('pin_message_confirmation', pin);
+    } catch (error) {
+      logger.error(`Error pinning message: ${error.message}`, { userId, conversationId, messageId });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'PIN_MESSAGE_FAILED',
+        message: error.isOperational ? error.message : 'Failed to pin message'
+      });
+    }
+  });
+
+  socket.on('unpin_message', async ({ conversationId, messageId } = {}) => {
+    try {
+      const result = await pinService.unpinMessage(io, { conversationId, messageId, user: socket.user });
+      socket.emit('unpin_message_confirmation', result);
+    } catch (error) {
+      logger.error(`Error unpinning message: ${error.message}`, { userId, conversationId, messageId });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'UNPIN_MESSAGE_FAILED',
+        message: error.isOperational ? error.message : 'Failed to unpin message'
+      });
+    }
+  });
+
+  // Drafts: the user's other devices get draft_updated, this socket doesn't
+  socket.on('save_draft', async ({ conversationId, text, replyToMessageId } = {}) => {
+    try {
+      const result = await draftService.saveDraft(io, {
+        conversationId,
+        userId,
+        text,
+        replyToMessageId,
+        originSocketId: socket.id
+      });
+      socket.emit('draft_saved', result);
+    } catch (error) {
+      logger.error(`Error saving draft: ${error.message}`, { userId, conversationId });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'SAVE_DRAFT_FAILED',
+        message: error.isOperational ? error.message : 'Failed to save draft'
+      });
+    }
+  });
+
+  socket.on('delete_draft', async ({ conversationId } = {}) => {
+    try {
+      const result = await draftService.deleteDraft(io, {
+        conversationId,
+        userId,
+        originSocketId: socket.id
+      });
+      socket.emit('draft_saved', result);
+    } catch (error) {
+      logger.error(`Error deleting draft: ${error.message}`, { userId, conversationId });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'DELETE_DRAFT_FAILED',
+        message: error.isOperational ? error.message : 'Failed to delete draft'
+      });
+    }
+  });
 };
\ No newline at end of file
@@ -3,6 +3,7 @@ const logger = require('../../utils/logger');
 const messageService = require('../../services/socket/messageService');
 const conversationService = require('../../services/socket/conversationService');
 const presenceService = require('../../services/socket/presenceService');
+const blockService = require('../../services/socket/blockService');
 const notificationService = require('../../services/notifications/notificationService');
 const userService = require('../../services/socket/userService');
 const redisService = require('../../services/redis');
@@ -41,16 +42,59 @@ module.exports = (io, socket) => {
       await messageService.handleUpdateMessage(io, socket, { messageId, newContent });
     } catch (error) {
       logger.error(`Error handling update_message: ${error}`);
-      socket.emit('error', { code: 'UPDATE_FAILED', message: 'Failed to update message' });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'UPDATE_FAILED',
+        message: error.isOperational ? error.message : 'Failed to update message'
+      });
     }
   });
 
-  socket.on('delete_message', async ({ messageId }) => {
+  socket.on('delete_message', async ({ messageId, mode = 'everyone' } = {}) => {
     try {
-      await messageService.handleDeleteMessage(io, socket, { messageId });
+      await messageService.handleDeleteMessage(io, socket, { messageId, mode });
     } catch (error) {
       logger.error(`Error handling delete_message: ${error}`);
-      socket.emit('error', { code: 'DELETE_FAILED', message: 'Failed to delete message' });
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'DELETE_FAILED',
+        message: error.isOperational ? error.message : 'Failed to delete message'
+      });
+    }
+  });
+
+  socket.on('card_action', async ({ messageId, action, slotIndex } = {}) => {
+    try {
+      await messageService.handleCardAction(io, socket, { messageId, action, slotIndex });
+    } catch (error) {
+      logger.error(`Error handling card_action: ${error}`);
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'CARD_ACTION_FAILED',
+        message: error.isOperational ? error.message : 'Failed to update card'
+      });
+    }
+  });
+
+  // An empty optionIds array retracts the user's vote
+  socket.on('poll_vote', async ({ messageId, optionIds } = {}) => {
+    try {
+      await messageService.handlePollVote(io, socket, { messageId, optionIds });
+    } catch (error) {
+      logger.error(`Error handling poll_vote: ${error}`);
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'POLL_VOTE_FAILED',
+        message: error.isOperational ? error.message : 'Failed to record vote'
+      });
+    }
+  });
+
+  socket.on('react_message', async ({ messageId, emoji, action = 'add' } = {}) => {
+    try {
+      await messageService.handleReactMessage(io, { messageId, userId, emoji, action });
+    } catch (error) {
+      logger.error(`Error handling react_message: ${error}`);
+      socket.emit('error', {
+        code: error.isOperational ? error.code : 'REACTION_FAILED',
+        message: error.isOperational ? error.message : 'Failed to update reaction'
+      });
     }
   });
 
@@ -86,6 +130,8 @@ module.exports = (io, socket) => {
       }
 
       const typingKey = `${userId}:${conversationId}`;
+      // Users who blocked this user don't see them typing
+      const hiddenFrom = await blockService.getHiddenFromRooms(userId);
 
       if (isTyping) {
         // Start typing
@@ -101,7 +147,7 @@ module.exports = (io, socket) => {
         const timeoutId = setTimeout(async () => {
           try {
             await redisService.removeUserTyping?.(userId, conversationId);
-            socket.to(`conversation:${conversationId}`).emit('user_typing', {
+            socket.to(`conversation:${conversationId}`).except(hiddenFrom).emit('user_typing', {
               userId,
               conversationId,
               isTyping: false,
@@ -116,7 +162,7 @@ module.exports = (io, socket) => {
         typingTimeouts.set(typingKey, timeoutId);
         
         // Broadcast to conversation participants
-        socket.to(`conversation:${conversationId}`).emit('user_typing', {
+        socket.to(`conversation:${conversationId}`).except(hiddenFrom).emit('user_typing', {
           userId,
           conversationId,
           isTyping: true,
@@ -135,7 +181,7 @@ module.exports = (io, socket) => {
         }
         
         // Broadcast stop typing
-        socket.to(`conversation:${conversationId}`).emit('user_typing', {
+        socket.to(`conversation:${conversationId}`).except(hiddenFrom).emit('user_typing', {
           userId,
           conversationId,
           isTyping: false,
@@ -196,8 +242,10 @@ module.exports = (io, socket) => {
       let typingUsers = [];
       if (redisService.getUsersTyping) {
         typingUsers = await redisService.getUsersTyping(conversationId);
-        // Filter out current user
+        // Filter out current user and users they blocked
         typingUsers = typingUsers.filter(id => id !== userId);
+        const blocked = await blockService.getBlockedAmong(userId, typingUsers);
+        typingUsers = typingUsers.filter(id => !blocked.has(id));
       }
       
       socket.emit('typing_users', {
@@ -227,6 +275,7 @@ module.exports = (io, socket) => {
       // Clear all typing timeouts for this user
       const userTimeouts = Array.from(typingTimeouts.keys())
         .filter(key => key.startsWith(`${userId}:`));
+      const hiddenFrom = userTimeouts.length > 0 ? await blockService.getHiddenFromRooms(userId) : [];
       
       for (const key of userTimeouts) {
         const timeoutId = typingTimeouts.get(key);
@@ -241,7 +290,7 @@ module.exports = (io, socket) => {
           try {
             await redisService.removeUserTyping?.(userId, conversationId);
             // Broadcast stop typing
-            socket.to(`conversation:${conversationId}`).emit('user_typing', {
+            socket.to(`conversation:${conversationId}`).except(hiddenFrom).emit('user_typing', {
               userId,
               conversationId,
               isTyping: false,
@@ -1,6 +1,7 @@
 // socket/handlers/presenceHandler.js
 const logger = require('../../utils/logger');
 const presenceService = require('../../services/socket/presenceService');
+const blockService = require('../../services/socket/blockService');
 const redisService = require('../../services/redis');
 const db = require('../../db');
 const { Op } = require('sequelize');
@@ -81,7 +82,7 @@ module.exports = (io, socket) => {
       }
       
       socket.emit('presence_status', {
-        presence: presenceMap,
+        presence: await blockService.hidePresence(userId, presenceMap),
         timestamp: Date.now()
       });
       
@@ -169,8 +170,9 @@ module.exports = (io, socket) => {
         await redisService.setUserTyping(userId, conversationId);
       }
       
-      // Broadcast to conversation participants
-      socket.to(`conversation:${conversationId}`).emit('user_typing', {
+      // Broadcast to conversation participants who haven't blocked the user
+      const hiddenFrom = await blockService.getHiddenFromRooms(userId);
+      socket.to(`conversation:${conversationId}`).except(hiddenFrom).emit('user_typing', {
         userId,
         conversationId,
         isTyping,
@@ -204,11 +206,13 @@ module.exports = (io, socket) => {
         });
       }
 
-      const typingUsers = await redisService.getUsersTyping(conversationId);
+      const typingUsers = (await redisService.getUsersTyping(conversationId))
+        .filter(id => id !== userId); // Don't include self
+      const blocked = await blockService.getBlockedAmong(userId, typingUsers);
       
       socket.emit('typing_users', {
         conversationId,
-        userIds: typingUsers.filter(id => id !== userId), // Don't include self
+        userIds: typingUsers.filter(id => !blocked.has(id)),
         timestamp: Date.now()
       });
       
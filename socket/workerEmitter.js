@@ -0,0 +1,81 @@
+// socket/workerEmitter.js
+const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const redisService = require('../services/redis');
+
+/**
+ * Socket.IO instance for processes that don't accept connections (queueWorker).
+ * It never listens; with the Redis adapter its broadcasts reach the sockets
+ * connected to the API nodes, so `io.to(room).emit()` behaves as it does there.
+ */
+async function createWorkerIO() {
+  const io = new Server();
+
+  if (!process.env.REDIS_HOST) {
+    logger.warn('No Redis host configured, worker socket events will not reach clients');
+    return io;
+  }
+
+  const redisOptions = {
+    host: process.env.REDIS_HOST,
+    port: parseInt(process.env.REDIS_PORT || '6379', 10),
+    password: process.env.REDIS_PASSWORD || undefined
+  };
+
+  const pubClient = new Redis(redisOptions);
+  const subClient = new Redis(redisOptions);
+
+  pubClient.on('error', (err) => {
+    logger.error('Worker Redis pub client error', { error: err.message, code: err.code });
+  });
+  subClient.on('error', (err) => {
+    logger.error('Worker Redis sub client error', { error: err.message, code: err.code });
+  });
+
+  io.adapter(createAdapter(pubClient, subClient));
+  logger.info('Worker Socket.IO emitter initialized with Redis adapter');
+
+  return io;
+}
+
+/**
+ * Minimal stand-in for a connected socket so server-side jobs can reuse
+ * handlers written against (io, socket). Emits go to every socket the
+ * user currently has open.
+ */
+function createUserSocket(io, user) {
+  const emitToUser = async (event, data) => {
+    try {
+      const presence = await redisService.getUserPresence(user.id);
+      const socketIds = presence?.socketIds || [];
+      if (socketIds.length > 0) {
+        io.to(socketIds).emit(event, data);
+      }
+    } catch (error) {
+      logger.error('Error emitting to user sockets', {
+        userId: user.id,
+        event,
+        error: error.message
+      });
+    }
+  };
+
+  return {
+    id: null,
+    user,
+    join: () => {},
+    leave: () => {},
+    emit: (event, data) => {
+      emitToUser(event, data);
+      return true;
+    },
+    to: (room) => io.to(room)
+  };
+}
+
+module.exports = {
+  createWorkerIO,
+  createUserSocket
+};
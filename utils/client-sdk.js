@@ -29,7 +29,13 @@ const generateClientConfig = (req) => {
           create: '/api/v1/conversations',
           addParticipants: '/api/v1/conversations/:id/participants',
           removeParticipant: '/api/v1/conversations/:id/participants/:participantId',
-          markAsRead: '/api/v1/conversations/:id/read'
+          markAsRead: '/api/v1/conversations/:id/read',
+          invites: '/api/v1/conversations/:id/invites',
+          previewInvite: '/api/v1/conversations/invites/:token',
+          joinWithInvite: '/api/v1/conversations/invites/:token/join',
+          archive: '/api/v1/conversations/:id/archive',
+          labels: '/api/v1/conversations/labels',
+          conversationLabel: '/api/v1/conversations/:id/labels/:labelId'
         },
         messages: {
           list: '/api/v1/messages/conversation/:conversationId',
@@ -0,0 +1,79 @@
+// utils/mentions.js - @mention parsing
+
+// Client mention pickers insert `@[Display Name](userId)`
+const MARKUP_PATTERN = /@\[([^\]\n]{1,100})\]\(([0-9a-fA-F-]{36})\)/g;
+
+// Free-typed `@handle`, only at the start of the text or after whitespace
+// so e-mail addresses are not picked up
+const HANDLE_PATTERN = /(^|\s)@([\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*)/gu;
+
+const MAX_MENTIONS = 50;
+
+/**
+ * Parse mentions out of message text. Markup is rewritten to `@Display Name`
+ * so the stored text reads naturally; offsets and lengths refer to the
+ * rewritten text (UTF-16 code units, as in JavaScript strings).
+ * @param {string} text - Raw message text
+ * @returns {{text: string, candidates: Array<Object>}} Rewritten text and
+ *   unresolved mentions: {userId, name, offset, length} for markup,
+ *   {handle, offset, length} for free-typed handles
+ */
+const parseMentions = (text) => {
+  if (!text || typeof text !== 'string' || !text.includes('@')) {
+    return { text: text || '', candidates: [] };
+  }
+
+  const candidates = [];
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(MARKUP_PATTERN)) {
+    const [raw, name, userId] = match;
+    const display = `@${name.trim()}`;
+
+    output += text.slice(lastIndex, match.index);
+    candidates.push({ userId: userId.toLowerCase(), name: name.trim(), offset: output.length, length: display.length });
+    output += display;
+    lastIndex = match.index + raw.length;
+  }
+  output += text.slice(lastIndex);
+
+  const covered = (offset) => candidates.some(c => offset >= c.offset && offset < c.offset + c.length);
+
+  for (const match of output.matchAll(HANDLE_PATTERN)) {
+    const offset = match.index + match[1].length;
+    if (!covered(offset)) {
+      candidates.push({ handle: match[2], offset, length: match[2].length + 1 });
+    }
+  }
+
+  candidates.sort((a, b) => a.offset - b.offset);
+
+  return { text: output, candidates: candidates.slice(0, MAX_MENTIONS) };
+};
+
+/**
+ * Handles a user can be mentioned by when no markup is used: first name,
+ * or full name with the spaces removed
+ * @param {Object} user - User with name/firstName/lastName
+ * @returns {string[]} Lower-cased handles
+ */
+const handlesForUser = (user) => {
+  const handles = new Set();
+  const compact = (value) => String(value).replace(/\s+/g, '').toLowerCase();
+
+  if (user.firstName) handles.add(compact(user.firstName));
+  if (user.firstName && user.lastName) handles.add(compact(`${user.firstName}${user.lastName}`));
+  if (user.name) {
+    handles.add(compact(user.name));
+    handles.add(compact(user.name.trim().split(/\s+/)[0]));
+  }
+
+  return [...handles].filter(Boolean);
+};
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  handlesForUser
+};
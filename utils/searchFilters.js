@@ -0,0 +1,155 @@
+// utils/searchFilters.js - Search filter grammar
+
+const { validateUUID } = require('./validation');
+const { createOperationalError } = require('../middleware/exceptionHandler');
+
+/**
+ * Supported filters, usable inline in the search string ("from:<id> invoice")
+ * or as query-string parameters (?from=<id>&q=invoice):
+ *
+ *   from:<userId>                 sender (messages) / participant (conversations)
+ *   type:image|file|audio         message type, pipe-separated for several
+ *   before:<date>  after:<date>   ISO 8601 date or datetime
+ *   has:attachment                messages with files, images or audio
+ *   in:<conversationId>           restrict to one conversation
+ *   job:<jobId>                   restrict to one job
+ */
+const FILTER_KEYS = ['from', 'type', 'before', 'after', 'has', 'in', 'job'];
+const MESSAGE_TYPES = ['text', 'image', 'file', 'emoji', 'audio', 'system', 'quote', 'appointment', 'location', 'contact', 'poll'];
+const HAS_VALUES = ['attachment'];
+
+// Query-string aliases for the inline keys
+const PARAM_ALIASES = {
+  from: ['from', 'senderId'],
+  type: ['type'],
+  before: ['before'],
+  after: ['after'],
+  has: ['has'],
+  in: ['in', 'conversationId'],
+  job: ['job', 'jobId']
+};
+
+const TOKEN_REGEX = /(\w+):("[^"]*"|\S+)/g;
+
+const invalid = (message) => createOperationalError(message, 400, 'INVALID_SEARCH_FILTER');
+
+/**
+ * Split a search string into free text and raw filter values.
+ * Unknown "key:value" tokens are left in the text.
+ * @param {string} input - Raw search string
+ * @returns {{text: string, raw: Object}}
+ */
+const parseSearchString = (input = '') => {
+  const raw = {};
+
+  const text = String(input).replace(TOKEN_REGEX, (token, key, value) => {
+    const normalizedKey = key.toLowerCase();
+    if (!FILTER_KEYS.includes(normalizedKey)) {
+      return token;
+    }
+    raw[normalizedKey] = value.replace(/^"|"$/g, '');
+    return ' ';
+  });
+
+  return {
+    text: text.replace(/\s+/g, ' ').trim(),
+    raw
+  };
+};
+
+const parseDate = (key, value) => {
+  const timestamp = Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw invalid(`${key}: must be a valid date`);
+  }
+  return new Date(timestamp);
+};
+
+/**
+ * Validate raw filter values and convert them to typed filters
+ * @param {Object} raw - Raw values keyed by filter name
+ * @returns {Object} Typed filters (senderId, types, before, after, hasAttachment, conversationId, jobId)
+ */
+const validateFilters = (raw) => {
+  const filters = {};
+
+  if (raw.from !== undefined) {
+    if (!validateUUID(raw.from)) throw invalid('from: must be a user ID');
+    filters.senderId = raw.from;
+  }
+
+  if (raw.type !== undefined) {
+    const types = String(raw.type).toLowerCase().split(/[|,]/).filter(Boolean);
+    const unknown = types.filter(t => !MESSAGE_TYPES.includes(t));
+    if (types.length === 0 || unknown.length > 0) {
+      throw invalid(`type: must be one of ${MESSAGE_TYPES.join(', ')}`);
+    }
+    filters.types = [...new Set(types)];
+  }
+
+  if (raw.before !== undefined) {
+    filters.before = parseDate('before', raw.before);
+  }
+
+  if (raw.after !== undefined) {
+    filters.after = parseDate('after', raw.after);
+  }
+
+  if (filters.before && filters.after && filters.after >= filters.before) {
+    throw invalid('after: must be earlier than before:');
+  }
+
+  if (raw.has !== undefined) {
+    if (!HAS_VALUES.includes(String(raw.has).toLowerCase())) {
+      throw invalid(`has: must be one of ${HAS_VALUES.join(', ')}`);
+    }
+    filters.hasAttachment = true;
+  }
+
+  if (raw.in !== undefined) {
+    if (!validateUUID(raw.in)) throw invalid('in: must be a conversation ID');
+    filters.conversationId = raw.in;
+  }
+
+  if (raw.job !== undefined) {
+    if (!validateUUID(raw.job)) throw invalid('job: must be a job ID');
+    filters.jobId = raw.job;
+  }
+
+  return filters;
+};
+
+/**
+ * Resolve free text and filters from an Express query object. Filters may
+ * appear inline in the search string or as parameters; parameters win.
+ * @param {Object} query - req.query
+ * @param {string} textParam - Name of the search string parameter
+ * @returns {{text: string, filters: Object}}
+ */
+const resolveSearchFilters = (query = {}, textParam = 'query') => {
+  const { text, raw } = parseSearchString(query[textParam] || query.q || '');
+
+  for (const [key, aliases] of Object.entries(PARAM_ALIASES)) {
+    const param = aliases.find(alias => query[alias] !== undefined && query[alias] !== '');
+    if (param) {
+      raw[key] = Array.isArray(query[param]) ? query[param][0] : query[param];
+    }
+  }
+
+  if (query.hasAttachment === 'true') {
+    raw.has = 'attachment';
+  }
+
+  return {
+    text,
+    filters: validateFilters(raw)
+  };
+};
+
+module.exports = {
+  FILTER_KEYS,
+  MESSAGE_TYPES,
+  parseSearchString,
+  validateFilters,
+  resolveSearchFilters
+};
@@ -0,0 +1,105 @@
+// utils/textDiff.js - Word-level text diff
+
+// Above this many LCS cells the changed middle is reported as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into words and the whitespace between them, so joining the
+ * tokens restores the original text exactly
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens
+ */
+const tokenize = (text) => (text ? String(text).split(/(\s+)/).filter(token => token !== '') : []);
+
+const pushChange = (changes, type, value) => {
+  const last = changes[changes.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    changes.push({ type, value });
+  }
+};
+
+/**
+ * Longest-common-subsequence diff of two token lists
+ */
+const diffTokens = (before, after) => {
+  const changes = [];
+  const rows = before.length;
+  const cols = after.length;
+
+  if (rows * cols > MAX_DIFF_CELLS) {
+    if (rows) pushChange(changes, 'delete', before.join(''));
+    if (cols) pushChange(changes, 'insert', after.join(''));
+    return changes;
+  }
+
+  // lengths[i][j] = LCS length of before[i..] and after[j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      pushChange(changes, 'equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      pushChange(changes, 'delete', before[i++]);
+    } else {
+      pushChange(changes, 'insert', after[j++]);
+    }
+  }
+  while (i < rows) pushChange(changes, 'delete', before[i++]);
+  while (j < cols) pushChange(changes, 'insert', after[j++]);
+
+  return changes;
+};
+
+/**
+ * Word-level diff between two texts
+ * @param {string} before - Earlier text
+ * @param {string} after - Later text
+ * @returns {{changes: Array<{type: string, value: string}>, stats: Object}}
+ */
+const diffText = (before = '', after = '') => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Trim the common prefix and suffix before running the quadratic part
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const changes = [];
+  if (start > 0) pushChange(changes, 'equal', a.slice(0, start).join(''));
+  for (const change of diffTokens(a.slice(start, endA), b.slice(start, endB))) {
+    pushChange(changes, change.type, change.value);
+  }
+  if (endA < a.length) pushChange(changes, 'equal', a.slice(endA).join(''));
+
+  const stats = { inserted: 0, deleted: 0 };
+  for (const change of changes) {
+    if (change.type === 'insert') stats.inserted += change.value.length;
+    if (change.type === 'delete') stats.deleted += change.value.length;
+  }
+
+  return { changes, stats };
+};
+
+module.exports = {
+  diffText
+};